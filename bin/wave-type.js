@@ -0,0 +1,6 @@
+#!/usr/bin/env node
+import { runCLI } from '../src/cli/index.js';
+
+runCLI(process.argv.slice(2)).then((code) => {
+  process.exitCode = code;
+});
@@ -0,0 +1,66 @@
+/**
+ * OpenTypeOutlines - Glyph outline source for Node (no p5, no DOM)
+ *
+ * Reads a local TTF/OTF/WOFF file with opentype.js and returns outlines in
+ * the same form as GlyphCache's p5 path: [type, ...coords] commands centered
+ * on the glyph's center/middle point (textAlign 'center' + textBaseline
+ * 'middle', the middle being half way between the font's ascender and
+ * descender).
+ *
+ * Variable fonts are instanced at the requested weight when they have a
+ * wght axis; otherwise every weight uses the file's outlines. Every font
+ * name resolves to the one loaded file.
+ */
+
+import opentype from 'opentype.js';
+
+export class OpenTypeOutlines {
+  /**
+   * @param {ArrayBuffer} buffer - Font file contents
+   */
+  constructor(buffer) {
+    this.font = opentype.parse(buffer);
+    this.weightAxis = this.font.tables.fvar?.axes.find(a => a.tag === 'wght') || null;
+  }
+
+  /**
+   * Family name from the font's name table
+   */
+  getFamilyName() {
+    return this.font.getEnglishName('fontFamily') || 'wave-type';
+  }
+
+  /**
+   * Outline commands for a character at a size and weight
+   * (GlyphCache outline source interface)
+   */
+  getCommands(fontName, char, fontSize, fontWeight) {
+    const options = {};
+    if (this.weightAxis) {
+      const { minValue, maxValue } = this.weightAxis;
+      options.variation = { wght: Math.min(maxValue, Math.max(minValue, fontWeight)) };
+    }
+
+    const path = this.font.getPath(char, 0, 0, fontSize, options);
+    const advance = this.font.getAdvanceWidth(char, fontSize, options);
+    const unitScale = fontSize / this.font.unitsPerEm;
+
+    // Left baseline origin → center/middle origin (y grows downwards)
+    const dx = -advance / 2;
+    const dy = (this.font.ascender + this.font.descender) / 2 * unitScale;
+
+    return path.commands.map((cmd) => {
+      switch (cmd.type) {
+        case 'M':
+        case 'L':
+          return [cmd.type, cmd.x + dx, cmd.y + dy];
+        case 'Q':
+          return ['Q', cmd.x1 + dx, cmd.y1 + dy, cmd.x + dx, cmd.y + dy];
+        case 'C':
+          return ['C', cmd.x1 + dx, cmd.y1 + dy, cmd.x2 + dx, cmd.y2 + dy, cmd.x + dx, cmd.y + dy];
+        default:
+          return ['Z'];
+      }
+    });
+  }
+}
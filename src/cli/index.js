@@ -0,0 +1,279 @@
+/**
+ * wave-type CLI - Headless frame renderer (Node, no browser)
+ *
+ * Renders a preset or full-state JSON file to numbered SVG frames (vector
+ * paths from a local font file) or PNG frames when a Node canvas backend
+ * ("@napi-rs/canvas" or "canvas") is installed. Layout, transforms and
+ * physics come from the same DOM-free core as the browser app.
+ *
+ * Time follows the exporters: the preview advances globalSpeed per frame at
+ * ~60fps, so second s of the animation is time s × 60 × globalSpeed.
+ * Size does too: fontSize is scaled by the frame width over the preview width
+ * the app would show in a 1920×1080 window (override with --scale).
+ */
+
+import { readFile, writeFile, mkdir } from 'node:fs/promises';
+import { parseArgs } from 'node:util';
+import { join, resolve } from 'node:path';
+import { PARAMS } from '../config.js';
+import { upgradeParams, describeImportChanges } from '../schema/index.js';
+import { getLoopInfo, MAX_LOOP_SECONDS } from '../transforms/index.js';
+import { CollisionDetector, CollisionResolver } from '../physics/index.js';
+import { layoutItems, getExportDimensions, calculateCanvasDimensions, renderFrame } from '../core/index.js';
+import { glyphCache, generateVectorSVG } from '../vector/index.js';
+import { getFrameTiming } from '../export/frames.js';
+import { createWebGLRenderer } from '../webgl/index.js';
+import { OpenTypeOutlines } from './OpenTypeOutlines.js';
+
+const USAGE = `Usage: wave-type <state.json> --font <file> [options]
+
+Renders a preset ({ name, params }), project (saved from the app) or
+full-state ({ params } or a plain params object) JSON file to numbered frames.
+
+Options:
+  --font <file>      Font file (TTF/OTF/WOFF) used for glyph outlines (required)
+  --out <dir>        Output directory (default: wave-type-frames)
+  --format <svg|png> Frame format (default: svg; png needs "@napi-rs/canvas" or "canvas")
+  --size <px>        Long side in pixels (default: the state's exportWidth)
+  --scale <n>        Font size multiplier (default: width / preview width in a
+                     1920×1080 browser window, like the app's exports)
+  --fps <n>          Frames per second (default: the state's exportFps)
+  --start <s>        Start time in seconds (default: 0)
+  --end <s>          End time in seconds (default: start + the state's exportDuration)
+  --loop             Render exactly one perfect loop (ignores --start/--end; loops
+                     longer than 30s fall back to exportDuration)
+  --webgl            Draw PNG frames with the WebGL renderer in software GL (needs "gl")
+  --name <prefix>    File name prefix (default: wave-type)
+  -h, --help         Show this help`;
+
+// Browser window the default --scale assumes for the app's preview
+const REFERENCE_WINDOW = { width: 1920, height: 1080 };
+
+const ARG_OPTIONS = {
+  font: { type: 'string' },
+  out: { type: 'string', default: 'wave-type-frames' },
+  format: { type: 'string', default: 'svg' },
+  size: { type: 'string' },
+  scale: { type: 'string' },
+  fps: { type: 'string' },
+  start: { type: 'string', default: '0' },
+  end: { type: 'string' },
+  loop: { type: 'boolean', default: false },
+  webgl: { type: 'boolean', default: false },
+  name: { type: 'string', default: 'wave-type' },
+  help: { type: 'boolean', short: 'h', default: false },
+};
+
+/**
+ * Parse a numeric option, rejecting anything that isn't a finite number
+ */
+const toNumber = (value, option, { min = -Infinity } = {}) => {
+  const number = Number(value);
+  if (!Number.isFinite(number) || number < min) {
+    throw new Error(`--${option} must be a number${min > -Infinity ? ` ≥ ${min}` : ''} (got "${value}")`);
+  }
+  return number;
+};
+
+/**
+ * Read a preset or full-state JSON file into a complete params object
+ * Older files are migrated (unversioned files count as version 0); unknown or
+ * invalid keys are dropped with a warning, missing keys keep their defaults.
+ */
+export const loadStateFile = async (path) => {
+  let data;
+  try {
+    data = JSON.parse(await readFile(path, 'utf8'));
+  } catch (error) {
+    throw new Error(`Could not read "${path}": ${error.message}`);
+  }
+
+  const wrapped = data && typeof data.params === 'object';
+  const overrides = wrapped ? data.params : data;
+  const version = wrapped && Number.isInteger(data.version) ? data.version : 0;
+  const result = upgradeParams(overrides, version);
+  [...result.migrations, ...describeImportChanges(result)].forEach((change) => {
+    console.warn(`wave-type: ${change}`);
+  });
+
+  const params = { ...PARAMS };
+  Object.keys(result.params).forEach((key) => {
+    if (key in params) params[key] = result.params[key];
+  });
+  return params;
+};
+
+/**
+ * Load an installed Node canvas backend, or null when none is present
+ * Returns { createCanvas, registerFont(path, family) }.
+ */
+const loadCanvasBackend = async () => {
+  try {
+    const { createCanvas, GlobalFonts } = await import('@napi-rs/canvas');
+    return { createCanvas, registerFont: (path, family) => GlobalFonts.registerFromPath(path, family) };
+  } catch {
+    // Not installed - try node-canvas
+  }
+  try {
+    const { createCanvas, registerFont } = await import('canvas');
+    return { createCanvas, registerFont: (path, family) => registerFont(path, { family }) };
+  } catch {
+    return null;
+  }
+};
+
+/**
+ * Create the WebGL renderer on a headless-gl context (software GL, no GPU needed)
+ */
+const createHeadlessRenderer = async (backend, width, height) => {
+  let createGL;
+  try {
+    ({ default: createGL } = await import('gl'));
+  } catch {
+    throw new Error('--webgl needs headless WebGL: npm install gl');
+  }
+
+  const gl = createGL(width, height, { alpha: true, premultipliedAlpha: true, antialias: false });
+  const renderer = gl && createWebGLRenderer({ gl, createCanvas: backend.createCanvas });
+  if (!renderer) throw new Error('Could not create a WebGL context');
+  return renderer;
+};
+
+/**
+ * Export scale the app would use for a frame width: width / preview width
+ */
+export const getDefaultScale = (width, aspectRatio) => {
+  const preview = calculateCanvasDimensions(REFERENCE_WINDOW.width, REFERENCE_WINDOW.height, aspectRatio);
+  return width / preview.width;
+};
+
+/**
+ * Render frames to files
+ *
+ * @param {Object} params - Complete params object
+ * @param {Object} options - { fontPath, outDir, format, size, scale, fps, start, end, loop, name, webgl }
+ *   scale: fontSize multiplier (default: getDefaultScale)
+ * @returns {Promise<number>} - Number of frames written
+ */
+export const renderToFiles = async (params, options) => {
+  const { fontPath, outDir, format, size, fps, start, end, loop, name, webgl } = options;
+  const { width, height } = getExportDimensions(size, params.aspectRatio, false);
+  const scale = options.scale ?? getDefaultScale(width, params.aspectRatio);
+  // SVG frames size glyph outlines from fontSize directly
+  const svgParams = { ...params, fontSize: params.fontSize * scale };
+
+  // Glyph outlines straight from the font file
+  const fontFile = await readFile(fontPath);
+  const outlines = new OpenTypeOutlines(fontFile.buffer.slice(fontFile.byteOffset, fontFile.byteOffset + fontFile.byteLength));
+  glyphCache.setOutlineSource(outlines);
+
+  let backend = null;
+  if (format === 'png') {
+    backend = await loadCanvasBackend();
+    if (!backend) {
+      throw new Error('PNG frames need a canvas backend: npm install @napi-rs/canvas (or canvas)');
+    }
+    // Register under the state's font name so ctx.font resolves to this file
+    backend.registerFont(fontPath, params.font);
+  }
+
+  // Same timing as the video exporters
+  const loopInfo = loop ? getLoopInfo(params) : null;
+  if (loopInfo && !loopInfo.exact) {
+    console.warn(`wave-type: Perfect loop is longer than ${MAX_LOOP_SECONDS}s; rendering ${loopInfo.seconds}s (exportDuration), which won't loop exactly`);
+  }
+  const { totalFrames, timeStep } = getFrameTiming({
+    fps,
+    duration: loopInfo ? loopInfo.seconds : end - start,
+    loopLength: loopInfo ? loopInfo.length : null,
+  }, params);
+  const startTime = loopInfo ? 0 : start * 60 * params.globalSpeed;
+
+  const physics = { collisionDetector: new CollisionDetector(), collisionResolver: new CollisionResolver() };
+
+  // Collision responses depend on earlier frames: run the physics up to the start time
+  if (params.collisionEnabled) {
+    for (let t = 0; t < startTime; t += timeStep) {
+      layoutItems(params, width, height, t, physics);
+    }
+  }
+
+  await mkdir(outDir, { recursive: true });
+  const canvas = backend ? backend.createCanvas(width, height) : null;
+  const ctx = canvas ? canvas.getContext('2d') : null;
+  const glyphRenderer = ctx && webgl ? await createHeadlessRenderer(backend, width, height) : null;
+
+  // Zero-pad to the width of the last frame number (at least 4 digits), like image sequences
+  const digits = Math.max(4, String(totalFrames - 1).length);
+
+  for (let frame = 0; frame < totalFrames; frame++) {
+    const t = startTime + frame * timeStep;
+    const file = join(outDir, `${name}_${String(frame).padStart(digits, '0')}.${format}`);
+
+    const items = layoutItems(params, width, height, t, physics);
+    if (ctx) {
+      renderFrame(ctx, { params, items }, t, { width, height, scale }, glyphRenderer);
+      await writeFile(file, canvas.toBuffer('image/png'));
+    } else {
+      await writeFile(file, generateVectorSVG(items, svgParams, width, height, t));
+    }
+
+    console.log(`wave-type: ${frame + 1}/${totalFrames} ${file}`);
+  }
+
+  if (glyphRenderer) glyphRenderer.dispose();
+  return totalFrames;
+};
+
+/**
+ * Run the CLI
+ *
+ * @param {Array<string>} argv - Arguments after the script name
+ * @returns {Promise<number>} - Process exit code
+ */
+export const runCLI = async (argv) => {
+  try {
+    const { values, positionals } = parseArgs({ args: argv, options: ARG_OPTIONS, allowPositionals: true });
+
+    if (values.help) {
+      console.log(USAGE);
+      return 0;
+    }
+    if (positionals.length !== 1 || !values.font) {
+      console.error(USAGE);
+      return 1;
+    }
+    if (values.format !== 'svg' && values.format !== 'png') {
+      throw new Error(`--format must be svg or png (got "${values.format}")`);
+    }
+    if (values.webgl && values.format !== 'png') {
+      throw new Error('--webgl only applies to --format png');
+    }
+
+    const params = await loadStateFile(resolve(positionals[0]));
+    const start = toNumber(values.start, 'start', { min: 0 });
+    const end = values.end !== undefined
+      ? toNumber(values.end, 'end', { min: start })
+      : start + params.exportDuration;
+
+    const frames = await renderToFiles(params, {
+      fontPath: resolve(values.font),
+      outDir: resolve(values.out),
+      format: values.format,
+      size: Math.round(toNumber(values.size ?? params.exportWidth, 'size', { min: 1 })),
+      scale: values.scale !== undefined ? toNumber(values.scale, 'scale', { min: 0.01 }) : undefined,
+      fps: toNumber(values.fps ?? params.exportFps, 'fps', { min: 1 }),
+      start,
+      end,
+      loop: values.loop,
+      name: values.name,
+      webgl: values.webgl,
+    });
+
+    console.log(`wave-type: Wrote ${frames} ${values.format.toUpperCase()} frames to ${resolve(values.out)}`);
+    return 0;
+  } catch (error) {
+    console.error(`wave-type: ${error.message}`);
+    return 1;
+  }
+};
@@ -0,0 +1,162 @@
+/**
+ * Color Module
+ *
+ * Resolves the fill color of a grid item for every renderer
+ * (p5 preview, offscreen export canvas, vector SVG and text SVG).
+ *
+ * Modes (params.colorMode):
+ * - solid:    textColor for every item
+ * - gradient: gradientStart → gradientEnd, driven by params.colorSource
+ * - rainbow:  full hue cycle, driven by params.colorSource
+ * - position: hue by column
+ * - depth:    gradient driven by the animated scale (larger = closer)
+ *
+ * When the animated color channel is enabled (params.colorEnabled),
+ * applyTransforms sets transformed.color and that takes precedence.
+ *
+ * Sources (params.colorSource):
+ * - position: grid position (row + column)
+ * - phase:    current wave phase (moves with the scale wave)
+ * - scale:    animated scale value mapped over scaleMin..scaleMax
+ */
+
+const TWO_PI = Math.PI * 2;
+
+// Parsed hex colors (avoids re-parsing the same gradient stops every frame)
+const rgbCache = new Map();
+
+export const hexToRgb = (hex) => {
+  if (rgbCache.has(hex)) return rgbCache.get(hex);
+
+  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
+  const rgb = result ? {
+    r: parseInt(result[1], 16),
+    g: parseInt(result[2], 16),
+    b: parseInt(result[3], 16),
+  } : null;
+
+  rgbCache.set(hex, rgb);
+  return rgb;
+};
+
+export const rgbToHex = (r, g, b) => {
+  return '#' + [r, g, b].map(x => {
+    const hex = x.toString(16);
+    return hex.length === 1 ? '0' + hex : hex;
+  }).join('');
+};
+
+/**
+ * Parse a CSS color produced by getItemColor (hex or hsl()) to 0-255 RGB
+ */
+export const parseColor = (color) => {
+  const rgb = hexToRgb(color);
+  if (rgb) return rgb;
+
+  const hsl = /^hsl\(\s*([\d.]+),\s*([\d.]+)%,\s*([\d.]+)%\s*\)$/i.exec(color);
+  if (!hsl) return null;
+
+  const h = parseFloat(hsl[1]) / 360;
+  const s = parseFloat(hsl[2]) / 100;
+  const l = parseFloat(hsl[3]) / 100;
+
+  const q = l < 0.5 ? l * (1 + s) : l + s - l * s;
+  const p = 2 * l - q;
+  const channel = (t) => {
+    const k = ((t % 1) + 1) % 1;
+    if (k < 1 / 6) return p + (q - p) * 6 * k;
+    if (k < 1 / 2) return q;
+    if (k < 2 / 3) return p + (q - p) * (2 / 3 - k) * 6;
+    return p;
+  };
+
+  return {
+    r: Math.round(channel(h + 1 / 3) * 255),
+    g: Math.round(channel(h) * 255),
+    b: Math.round(channel(h - 1 / 3) * 255),
+  };
+};
+
+export const interpolateColor = (color1, color2, t) => {
+  const c1 = hexToRgb(color1);
+  const c2 = hexToRgb(color2);
+
+  if (!c1 || !c2) return color1;
+
+  const clamped = Math.max(0, Math.min(1, t));
+  const r = Math.round(c1.r + (c2.r - c1.r) * clamped);
+  const g = Math.round(c1.g + (c2.g - c1.g) * clamped);
+  const b = Math.round(c1.b + (c2.b - c1.b) * clamped);
+
+  return rgbToHex(r, g, b);
+};
+
+/**
+ * Normalized (0-1) scale value of a transformed item
+ */
+const getScaleDriver = (transformed, params) => {
+  const range = params.scaleMax - params.scaleMin;
+  if (!transformed || !params.scaleEnabled || range === 0) return 0.5;
+  return Math.max(0, Math.min(1, (transformed.scale - params.scaleMin) / range));
+};
+
+/**
+ * Normalized (0-1) driver value for gradient and rainbow modes
+ * Gradients ping-pong with the wave; hues wrap around once per wave cycle.
+ */
+const getColorDriver = (item, params, wrap) => {
+  const { row, col, totalRows, totalCols, transformed } = item;
+
+  switch (params.colorSource) {
+    case 'phase': {
+      const phase = transformed?.phase ?? 0;
+      if (wrap) {
+        const cycle = (phase / TWO_PI) % 1;
+        return cycle < 0 ? cycle + 1 : cycle;
+      }
+      return (Math.sin(phase) + 1) / 2;
+    }
+
+    case 'scale':
+      return getScaleDriver(transformed, params);
+
+    case 'position':
+    default:
+      return (col / totalCols + row / totalRows) / 2;
+  }
+};
+
+/**
+ * Get the fill color for a grid item
+ * Expects item.transformed to be set (from applyTransforms) for phase/scale sources.
+ *
+ * @param {Object} item - Grid item ({ row, col, totalRows, totalCols, transformed })
+ * @param {Object} params - PARAMS object
+ * @returns {string} - CSS color string (hex or hsl)
+ */
+export const getItemColor = (item, params) => {
+  // Animated color channel (computed in applyTransforms)
+  if (item.transformed?.color) return item.transformed.color;
+
+  switch (params.colorMode) {
+    case 'rainbow': {
+      const hue = getColorDriver(item, params, true) * 360;
+      return `hsl(${hue.toFixed(0)}, 80%, 50%)`;
+    }
+
+    case 'gradient':
+      return interpolateColor(params.gradientStart, params.gradientEnd, getColorDriver(item, params, false));
+
+    case 'depth':
+      return interpolateColor(params.gradientStart, params.gradientEnd, getScaleDriver(item.transformed, params));
+
+    case 'position': {
+      const hue = (item.col / item.totalCols) * 360;
+      return `hsl(${hue.toFixed(0)}, 70%, 50%)`;
+    }
+
+    case 'solid':
+    default:
+      return params.textColor;
+  }
+};
@@ -2,6 +2,8 @@
 export const PARAMS = {
   // Canvas
   aspectRatio: '1:1',
+  renderer: 'canvas', // 'canvas' | 'webgl' (instanced glyph atlas, falls back to canvas)
+  layoutWorker: true, // transforms + collisions in a Web Worker (main thread with jitter)
 
   // Text
   text: 'HELLO WORLD',
@@ -11,6 +13,17 @@ export const PARAMS = {
   fontWeight: 400,
   fontSize: 36,
 
+  // Variable Font Axes (per-glyph, driven by spatialPhase like scale)
+  weightEnabled: false,
+  weightMin: 100,
+  weightMax: 900,
+  weightCurve: 'sine', // 'sine' | 'bounce' | 'elastic' | 'snap' | 'smooth'
+  axisEnabled: false,
+  axisTag: 'wdth', // 'wdth' | 'slnt' (only axes the current font has are offered)
+  axisMin: 75,
+  axisMax: 100,
+  axisCurve: 'sine', // 'sine' | 'bounce' | 'elastic' | 'snap' | 'smooth'
+
   // Grid
   columns: 20,
   rows: 12,
@@ -41,6 +54,14 @@ export const PARAMS = {
   positionEasing: 'linear', // 'linear' | 'easeIn' | 'easeOut' | 'easeInOut' | 'easeInQuad' | 'easeOutQuad' | 'easeInOutQuad' | 'easeInCubic' | 'easeOutCubic' | 'easeInOutCubic' | 'easeInQuart' | 'easeOutQuart' | 'easeInOutQuart'
   containToCell: false, // prevent letters from overlapping
 
+  // Rotation Animation
+  rotationEnabled: false,
+  rotationMin: -45, // degrees
+  rotationMax: 45, // degrees
+  rotationCurve: 'sine', // 'sine' | 'bounce' | 'elastic' | 'snap' | 'smooth'
+  rotationEasing: 'linear', // any key of EASINGS, applied to the curve output
+  rotationPhaseOffset: 0, // Offset from the scale wave in cycles (-1 to 1)
+
   // Collision Physics
   collisionEnabled: false, // Enable collision detection between letters/words
   collisionStrength: 1.0, // Deflection force multiplier (0.1 - 3.0)
@@ -70,6 +91,15 @@ export const PARAMS = {
   backgroundColor: '#0a0a0a',
   textColor: '#ffffff',
   backgroundTransparent: false,
+  colorMode: 'solid', // 'solid' | 'gradient' | 'rainbow' | 'position' | 'depth'
+  colorSource: 'position', // 'position' | 'phase' | 'scale' (drives gradient and rainbow)
+  gradientStart: '#ff3366',
+  gradientEnd: '#33ccff',
+
+  // Color Animation (overrides colorMode while enabled)
+  colorEnabled: false,
+  colorCurve: 'sine', // 'sine' | 'doubleSinusoid' | 'bounce' | 'elastic' | 'snap' | 'smooth'
+  colorPalette: ['#ff3366', '#ffcc00', '#33ccff'], // 2 to MAX_PALETTE_STOPS hex stops
 
   // Export
   exportWidth: 1920,
@@ -77,6 +107,30 @@ export const PARAMS = {
   exportFps: 30,
   exportDuration: 5,
   exportQuality: 0.8,
+  videoFormat: 'mp4', // 'mp4' (H.264, no alpha) | 'webm' (VP9, keeps alpha)
+  pngSizeMode: 'long-side', // 'long-side' | 'custom'
+  pngLongSide: 3840, // Long side in px (aspect ratio from canvas)
+  pngWidth: 3840, // Custom size (max 7680)
+  pngHeight: 2160,
+  sequenceFormat: 'png', // 'png' | 'webp' (image sequence ZIP, uses video size/duration)
+  pdfUnit: 'mm', // 'mm' | 'in' (physical page size unit)
+  pdfLongSide: 297, // Page long side in pdfUnit (aspect ratio from canvas)
+  plotterFormat: 'svg', // 'svg' | 'hpgl' | 'gcode'
+  plotterPaper: 'A4', // Key of PAPER_SIZES (orientation follows the canvas)
+  plotterMargin: 15, // mm
+  plotterPenWidth: 0.3, // mm (SVG stroke width)
+  plotterHatch: false, // Hatch-fill solid letters
+  plotterHatchSpacing: 0.8, // mm between hatch lines
+  plotterHatchAngle: 45, // degrees
+  plotterHideLines: true, // Remove strokes hidden behind glyphs drawn on top (extrusion clones)
+  svgAnimationFps: 24, // Animated SVG keyframe samples per second (over one perfect loop)
+  lottieFps: 30, // Lottie frame rate (one keyframe per frame over one perfect loop)
+  gifFps: 20, // GIF frame rate (frame delays are whole hundredths of a second)
+  gifScale: 0.5, // GIF size relative to the video size
+  gifDither: true, // Floyd–Steinberg dithering after palette quantization
+  gifLoopCount: 0, // Extra repeats after the first play (0 = loop forever)
+  loopEnabled: false, // Perfect loop: export duration snaps to whole wave periods
+  loopCycles: 1, // Minimum number of full wave cycles in the loop
 
   // Vector Export (for SVG with embedded paths)
   useVectorExport: true, // Feature flag: export as vector paths vs text elements
@@ -91,9 +145,19 @@ export const PARAMS = {
   cloneWaveFrequency: 0.2, // radians per clone (wave mode)
   cloneOpacityDecay: 0.95, // multiplier per clone (0.9 = 90% of previous)
   cloneScaleDecay: 1.0, // multiplier per clone (1.0 = no change)
+};
 
-  // Vector rendering detail
-  sampleFactor: 0.5, // 0.1 (low detail) to 1.0 (high detail) for textToPoints
+// Maximum number of stops in the animated color palette
+export const MAX_PALETTE_STOPS = 5;
+
+// Plotter paper sizes in mm (portrait; rotated to match the canvas orientation)
+export const PAPER_SIZES = {
+  A5: [148, 210],
+  A4: [210, 297],
+  A3: [297, 420],
+  Letter: [215.9, 279.4],
+  Tabloid: [279.4, 431.8],
+  '9×12 in': [228.6, 304.8],
 };
 
 // Aspect ratio presets
@@ -112,12 +176,13 @@ export const ASPECT_RATIOS = {
 };
 
 // Available fonts - curated for generative typography
-// Each font includes metadata about variable weight support
+// Each font includes metadata about variable weight support.
+// Variable fonts may list extra axes (besides wght) in `axes`.
 export const FONTS = [
   // Variable Fonts (continuous weight range)
   { name: 'Inter', variable: true, weights: { min: 100, max: 900 }, cssFamily: 'Inter' },
   { name: 'Inter Tight', variable: true, weights: { min: 100, max: 900 }, cssFamily: 'Inter Tight' },
-  { name: 'Instrument Sans', variable: true, weights: { min: 400, max: 700 }, cssFamily: 'Instrument Sans' },
+  { name: 'Instrument Sans', variable: true, weights: { min: 400, max: 700 }, cssFamily: 'Instrument Sans', axes: [{ tag: 'wdth', name: 'Width', min: 75, max: 100, default: 100 }] },
   { name: 'Instrument Serif', variable: true, weights: { min: 400, max: 700 }, cssFamily: 'Instrument Serif' },
   { name: 'Outfit', variable: true, weights: { min: 100, max: 900 }, cssFamily: 'Outfit' },
   { name: 'Unbounded', variable: true, weights: { min: 200, max: 900 }, cssFamily: 'Unbounded' },
@@ -1,5 +1,5 @@
 import { Pane } from 'tweakpane';
-import { PARAMS, FONTS, PATTERNS, uploadedFonts, ASPECT_RATIOS } from './config.js';
+import { PARAMS, FONTS, PATTERNS, uploadedFonts, ASPECT_RATIOS, MAX_PALETTE_STOPS, PAPER_SIZES } from './config.js';
 
 // Calculate export height based on the "long side" setting and aspect ratio.
 // PARAMS.exportWidth is the long side: for landscape it's the width,
@@ -21,11 +21,35 @@ import {
   resetToDefaults,
   getPresetOptions,
   getAllPresets,
+  getPreset,
+  isBuiltinPreset,
+  deleteCustomPreset,
+  renameCustomPreset,
+  duplicatePreset,
+  updatePresetMetadata,
+  searchPresets,
+  exportAllPresetsJSON,
+  importAllPresetsJSON,
+  getPresetThumbnail,
+  generatePresetThumbnail,
 } from './presets.js';
+import { fontManager, parseFontAxes, ANIMATABLE_AXES } from './vector/index.js';
+import { getLoopInfo, MAX_LOOP_SECONDS } from './transforms/index.js';
+import { ExportQueue, QUEUE_FORMATS } from './export/queue.js';
+import { downloadBlob } from './export/utils.js';
+import { exportProjectJSON, parseProjectJSON, applyProjectParams, isProjectFontAvailable } from './project.js';
+import { createShareLink, decodeShareHash, isSharingSupported } from './share.js';
+import { History } from './history.js';
 
 let pane = null;
 let fontBinding = null;
+let updateAxisControls = null;
+let rebuildFontDropdown = null;
 let presetState = { selected: '' };
+let refreshPresetLibrary = null;
+let updatePresetDropdown = null;
+let openShareLink = null;
+let history = null;
 
 // Show toast notification
 function showToast(message, isError = true) {
@@ -37,6 +61,19 @@ function showToast(message, isError = true) {
   setTimeout(() => toast.remove(), 3000);
 }
 
+// Warn when the perfect loop is too long and the export falls back to Duration
+function warnInexactLoop() {
+  const loop = getLoopInfo(PARAMS);
+  if (!loop.exact) {
+    showToast(`Perfect loop is longer than ${MAX_LOOP_SECONDS}s: exporting ${loop.seconds}s, which won't loop exactly`);
+  }
+}
+
+// Log what an import migrated, dropped or coerced
+function reportImportChanges(source, changes) {
+  if (changes && changes.length) console.warn(`${source} import:\n  ${changes.join('\n  ')}`);
+}
+
 // Get all available fonts (Google + uploaded)
 function getAllFonts() {
   const fonts = {};
@@ -57,6 +94,14 @@ function injectFontFace(name, dataUrl) {
   document.head.appendChild(style);
 }
 
+// Add (or replace) an uploaded font and update the font dropdown
+function addUploadedFont(font) {
+  const index = uploadedFonts.findIndex(f => f.name === font.name);
+  if (index !== -1) uploadedFonts.splice(index, 1);
+  uploadedFonts.push(font);
+  if (rebuildFontDropdown) rebuildFontDropdown();
+}
+
 // Handle font file upload
 async function handleFontUpload(file) {
   const validExtensions = ['.ttf', '.otf', '.woff', '.woff2'];
@@ -86,48 +131,50 @@ async function handleFontUpload(file) {
     // Wait for font to load
     await document.fonts.load(`16px "${fontName}"`);
 
+    // Detect variation axes from the font's fvar table
+    const axes = await parseFontAxes(await file.arrayBuffer());
+    const weightAxis = axes.find(a => a.tag === 'wght');
+
     // Detect font weight capabilities
-    let isVariable = false;
+    let isVariable = !!weightAxis;
     let weightRange = [400];
 
-    try {
-      const testWeights = [100, 200, 300, 400, 500, 600, 700, 800, 900];
-      const availableWeights = [];
-
-      for (const weight of testWeights) {
-        const result = await document.fonts.load(`${weight} 16px "${fontName}"`);
-        if (result.length > 0) availableWeights.push(weight);
+    // Fall back to probing weights when the font has no readable wght axis
+    if (!weightAxis) {
+      try {
+        const testWeights = [100, 200, 300, 400, 500, 600, 700, 800, 900];
+        const availableWeights = [];
+
+        for (const weight of testWeights) {
+          const result = await document.fonts.load(`${weight} 16px "${fontName}"`);
+          if (result.length > 0) availableWeights.push(weight);
+        }
+
+        weightRange = availableWeights.length > 1 ? availableWeights : [400];
+        isVariable = availableWeights.length > 3; // Heuristic: 4+ weights = likely variable
+      } catch (error) {
+        console.warn('Could not detect font weights:', error);
       }
+    }
 
-      weightRange = availableWeights.length > 1 ? availableWeights : [400];
-      isVariable = availableWeights.length > 3; // Heuristic: 4+ weights = likely variable
-    } catch (error) {
-      console.warn('Could not detect font weights:', error);
+    // Heuristically variable fonts without a readable fvar still get a weight axis
+    if (isVariable && !weightAxis) {
+      axes.push({ tag: 'wght', name: 'Weight', min: 100, max: 900, default: 400 });
     }
 
-    uploadedFonts.push({
+    addUploadedFont({
       name: fontName,
       dataUrl,
       variable: isVariable,
-      weights: isVariable ? { min: 100, max: 900 } : weightRange
+      weights: weightAxis
+        ? { min: weightAxis.min, max: weightAxis.max }
+        : (isVariable ? { min: 100, max: 900 } : weightRange),
+      axes,
     });
 
-    // Update font dropdown
-    if (fontBinding) {
-      fontBinding.dispose();
-      fontBinding = pane.children[0].children.find(c => c.label === 'Font');
-      if (!fontBinding) {
-        // Re-add binding with updated options
-        const textFolder = pane.children[0];
-        fontBinding = textFolder.addBinding(PARAMS, 'font', {
-          label: 'Font',
-          options: getAllFonts(),
-        });
-      }
-    }
-
     // Select the uploaded font
     PARAMS.font = fontName;
+    if (updateAxisControls) updateAxisControls();
     pane.refresh();
 
     showToast(`Font "${fontName}" loaded`, false);
@@ -175,7 +222,7 @@ function createFontDropZone(container) {
   container.appendChild(dropZone);
 }
 
-export const initControls = (container, onExport, onTransparencyChange, onRedraw, onAspectRatioChange) => {
+export const initControls = (container, onExport, onTransparencyChange, onRedraw, onAspectRatioChange, onCancelExport) => {
   pane = new Pane({
     container,
     title: 'Wave Type',
@@ -189,33 +236,61 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
   }
 
 
+  // Undo/redo: every param edit is a step (recorded by the change listener at the end)
+  history = new History(PARAMS, {
+    refresh: () => {
+      // The params no longer match a preset
+      presetState.selected = '';
+      pane.refresh();
+      if (updateAxisControls) updateAxisControls();
+    },
+  });
+
   // ===== PRESETS =====
   const presetFolder = pane.addFolder({ title: 'Presets', expanded: true });
 
+  const onPresetSelected = (ev) => {
+    if (ev.value && !ev.value.startsWith('---')) {
+      history.batch(`Preset "${ev.value}"`, () => {
+        applyPreset(ev.value, PARAMS);
+        pane.refresh();
+      });
+    }
+    if (refreshPresetLibrary) refreshPresetLibrary();
+  };
+
   // Preset dropdown
-  const presetBinding = presetFolder.addBinding(presetState, 'selected', {
+  let presetBinding = presetFolder.addBinding(presetState, 'selected', {
     label: 'Preset',
     options: getPresetOptions(),
   });
+  presetBinding.on('change', onPresetSelected);
+
+  // Rebuild the dropdown when presets are added, renamed or removed
+  const updatePresetOptions = () => {
+    presetBinding.dispose();
+    presetBinding = presetFolder.addBinding(presetState, 'selected', {
+      label: 'Preset',
+      options: getPresetOptions(),
+      index: 0,
+    });
+    presetBinding.on('change', onPresetSelected);
+  };
 
-  presetBinding.on('change', (ev) => {
-    if (ev.value && !ev.value.startsWith('---')) {
-      applyPreset(ev.value, PARAMS);
-      pane.refresh();
-    }
-  });
+  updatePresetDropdown = updatePresetOptions;
 
   // Save preset button
   presetFolder.addButton({ title: 'Save Preset' }).on('click', () => {
     const name = prompt('Enter preset name:');
     if (name && name.trim()) {
+      if (isBuiltinPreset(name.trim())) {
+        showToast(`"${name.trim()}" is a built-in preset name`);
+        return;
+      }
       saveCustomPreset(name.trim(), PARAMS);
-      // Update dropdown options
-      presetBinding.dispose();
-      presetFolder.children[0] = presetFolder.addBinding(presetState, 'selected', {
-        label: 'Preset',
-        options: getPresetOptions(),
-      });
+      presetState.selected = name.trim();
+      updatePresetOptions();
+      refreshPresetLibrary();
       showToast(`Preset "${name.trim()}" saved`, false);
     }
   });
@@ -228,13 +303,7 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
     }
     const json = exportPresetJSON(presetState.selected);
     if (json) {
-      const blob = new Blob([json], { type: 'application/json' });
-      const url = URL.createObjectURL(blob);
-      const link = document.createElement('a');
-      link.href = url;
-      link.download = `${presetState.selected.replace(/\s+/g, '-')}.json`;
-      link.click();
-      URL.revokeObjectURL(url);
+      downloadBlob(new Blob([json], { type: 'application/json' }), `${presetState.selected.replace(/\s+/g, '-')}.json`);
       showToast('Preset exported', false);
     }
   });
@@ -250,6 +319,27 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
     importInput.click();
   });
 
+  // Share link: the whole composition, compressed into the URL hash
+  presetFolder.addButton({ title: 'Copy Share Link' }).on('click', async () => {
+    if (!isSharingSupported()) {
+      showToast('This browser cannot create share links');
+      return;
+    }
+    try {
+      await navigator.clipboard.writeText(await createShareLink(PARAMS));
+      const uploadedFont = uploadedFonts.some(f => f.name === PARAMS.font);
+      showToast(
+        uploadedFont
+          ? `Link copied. Viewers need to upload "${PARAMS.font}" themselves.`
+          : 'Share link copied',
+        false
+      );
+    } catch (error) {
+      console.error('Share link failed:', error);
+      showToast('Could not copy the share link');
+    }
+  });
+
   importInput.addEventListener('change', (e) => {
     const file = e.target.files[0];
     if (!file) return;
@@ -259,10 +349,20 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
       const result = importPresetJSON(event.target.result);
       if (result.success) {
         // Update dropdown and apply
-        presetState.selected = result.preset.name;
-        applyPreset(result.preset.name, PARAMS);
-        pane.refresh();
-        showToast(`Preset "${result.preset.name}" imported`, false);
+        history.batch(`Import "${result.preset.name}"`, () => {
+          presetState.selected = result.preset.name;
+          applyPreset(result.preset.name, PARAMS);
+          updatePresetOptions();
+          refreshPresetLibrary();
+          pane.refresh();
+        });
+        reportImportChanges(`Preset "${result.preset.name}"`, result.changes);
+        showToast(
+          result.changes.length
+            ? `Preset "${result.preset.name}" imported (${result.changes.length} change(s), see console)`
+            : `Preset "${result.preset.name}" imported`,
+          false
+        );
       } else {
         showToast(result.error);
       }
@@ -273,12 +373,393 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
 
   // Reset button
   presetFolder.addButton({ title: 'Reset to Default' }).on('click', () => {
-    resetToDefaults(PARAMS);
-    presetState.selected = '';
-    pane.refresh();
+    history.batch('Reset to defaults', () => {
+      resetToDefaults(PARAMS);
+      presetState.selected = '';
+      pane.refresh();
+    });
     showToast('Reset to defaults', false);
   });
 
+  // Project snapshots: the whole composition (all settings + font) in one file
+  const projectFolder = presetFolder.addFolder({ title: 'Project', expanded: false });
+
+  projectFolder.addButton({ title: 'Save Project' }).on('click', () => {
+    downloadBlob(new Blob([exportProjectJSON(PARAMS)], { type: 'application/json' }), 'wave-type-project.json');
+    showToast('Project saved', false);
+  });
+
+  const projectInput = document.createElement('input');
+  projectInput.type = 'file';
+  projectInput.accept = '.json';
+  projectInput.style.display = 'none';
+  container.appendChild(projectInput);
+
+  projectFolder.addButton({ title: 'Open Project' }).on('click', () => {
+    projectInput.click();
+  });
+
+  projectInput.addEventListener('change', async (e) => {
+    const file = e.target.files[0];
+    projectInput.value = ''; // Reset for next open
+    if (!file) return;
+
+    const result = parseProjectJSON(await file.text());
+    if (!result.success) {
+      showToast(result.error);
+      return;
+    }
+
+    try {
+      reportImportChanges(`Project "${file.name}"`, result.changes);
+      await openProject(result.project);
+    } catch (error) {
+      console.error('Project load failed:', error);
+      showToast('Failed to open project');
+    }
+  });
+
+  // Restore a composition (project or share link): font first (the dropdown must
+  // offer it), then every param. Refreshing the pane fires the change handlers that
+  // resize the canvas, toggle transparency and update the font-dependent controls.
+  // Returns false when the font is missing (the default font is used instead).
+  const applyComposition = async (project, label) => {
+    const { font } = project;
+    if (font.source === 'uploaded') {
+      injectFontFace(font.name, font.dataUrl);
+      await document.fonts.load(`16px "${font.name}"`);
+      const { source, ...uploadedFont } = font;
+      addUploadedFont(uploadedFont);
+    }
+
+    const fontAvailable = isProjectFontAvailable(project);
+    await history.batch(label, () => {
+      applyProjectParams(project, PARAMS);
+      if (!fontAvailable) PARAMS.font = FONTS[0].name;
+
+      presetState.selected = '';
+      pane.refresh();
+      if (updateAxisControls) updateAxisControls();
+    });
+    return fontAvailable;
+  };
+
+  const openProject = async (project) => {
+    const fontAvailable = await applyComposition(project, 'Open project');
+    showToast(
+      fontAvailable ? 'Project opened' : `Project opened, font "${project.font.name}" is not available`,
+      !fontAvailable
+    );
+  };
+
+  // Shared links name uploaded fonts but can't carry them
+  openShareLink = async (hash) => {
+    const result = await decodeShareHash(hash);
+    if (!result.success) {
+      showToast(result.error);
+      return false;
+    }
+    reportImportChanges('Share link', result.changes);
+
+    const { font } = result;
+    const fontAvailable = await applyComposition(
+      { params: result.params, font: { name: font.name, source: 'curated' } },
+      'Open share link'
+    );
+    if (fontAvailable) {
+      showToast('Shared composition loaded', false);
+    } else {
+      const warning = font.uploaded
+        ? `This link uses the uploaded font "${font.name}". Upload it to see the composition as shared.`
+        : `This link uses the font "${font.name}", which isn't available here.`;
+      console.warn(warning);
+      showToast(warning);
+    }
+    return true;
+  };
+
+  // Preset library: thumbnails, search, folders and tags (saved in IndexedDB)
+  const libraryFolder = presetFolder.addFolder({ title: 'Library', expanded: false });
+  const libraryState = { search: '', folder: '', tags: '' };
+  let syncingLibraryFields = false;
+
+  const librarySearchBinding = libraryFolder.addBinding(libraryState, 'search', { label: 'Search' });
+
+  // Folder and tags of the selected custom preset (tags comma separated)
+  const libraryFolderBinding = libraryFolder.addBinding(libraryState, 'folder', { label: 'Folder' });
+  const libraryTagsBinding = libraryFolder.addBinding(libraryState, 'tags', { label: 'Tags' });
+
+  libraryFolderBinding.on('change', (ev) => {
+    if (syncingLibraryFields) return;
+    updatePresetMetadata(presetState.selected, { folder: ev.value });
+    updatePresetOptions();
+    refreshPresetLibrary();
+  });
+  libraryTagsBinding.on('change', (ev) => {
+    if (syncingLibraryFields) return;
+    updatePresetMetadata(presetState.selected, { tags: ev.value.split(',') });
+    refreshPresetLibrary();
+  });
+
+  const renameButton = libraryFolder.addButton({ title: 'Rename' });
+  renameButton.on('click', () => {
+    const name = presetState.selected;
+    const newName = prompt('Rename preset:', name);
+    if (!newName || !newName.trim()) return;
+
+    const result = renameCustomPreset(name, newName.trim());
+    if (!result.success) {
+      showToast(result.error);
+      return;
+    }
+    presetState.selected = newName.trim();
+    updatePresetOptions();
+    refreshPresetLibrary();
+    showToast(`Preset renamed to "${newName.trim()}"`, false);
+  });
+
+  libraryFolder.addButton({ title: 'Duplicate' }).on('click', () => {
+    if (!presetState.selected || presetState.selected.startsWith('---')) {
+      showToast('Select a preset first');
+      return;
+    }
+    const result = duplicatePreset(presetState.selected);
+    if (!result.success) {
+      showToast(result.error);
+      return;
+    }
+    presetState.selected = result.preset.name;
+    updatePresetOptions();
+    refreshPresetLibrary();
+    showToast(`Preset "${result.preset.name}" created`, false);
+  });
+
+  const deleteButton = libraryFolder.addButton({ title: 'Delete' });
+  deleteButton.on('click', () => {
+    const name = presetState.selected;
+    if (!confirm(`Delete preset "${name}"?`)) return;
+    deleteCustomPreset(name);
+    presetState.selected = '';
+    updatePresetOptions();
+    refreshPresetLibrary();
+    showToast(`Preset "${name}" deleted`, false);
+  });
+
+  // Whole-library backup / restore
+  libraryFolder.addButton({ title: 'Export Library' }).on('click', () => {
+    if (!getAllPresets().custom.length) {
+      showToast('The library has no custom presets');
+      return;
+    }
+    downloadBlob(new Blob([exportAllPresetsJSON()], { type: 'application/json' }), 'wave-type-presets.json');
+    showToast('Library exported', false);
+  });
+
+  const libraryImportInput = document.createElement('input');
+  libraryImportInput.type = 'file';
+  libraryImportInput.accept = '.json';
+  libraryImportInput.multiple = true;
+  libraryImportInput.style.display = 'none';
+  container.appendChild(libraryImportInput);
+
+  libraryFolder.addButton({ title: 'Import Library' }).on('click', () => {
+    libraryImportInput.click();
+  });
+
+  libraryImportInput.addEventListener('change', async (e) => {
+    const files = [...e.target.files];
+    libraryImportInput.value = ''; // Reset for next import
+    let imported = 0;
+    const errors = [];
+
+    for (const file of files) {
+      const result = importAllPresetsJSON(await file.text());
+      imported += result.imported.length;
+      if (result.error) errors.push(`${file.name}: ${result.error}`);
+      errors.push(...result.errors);
+      reportImportChanges(file.name, result.changes);
+    }
+
+    updatePresetOptions();
+    refreshPresetLibrary();
+    if (errors.length) console.warn('Preset library import skipped:', errors);
+    showToast(
+      errors.length
+        ? `Imported ${imported} preset(s), skipped ${errors.length} (see console)`
+        : `Imported ${imported} preset(s)`,
+      imported === 0
+    );
+  });
+
+  // Thumbnail grid (below the search box), grouped by folder
+  const libraryGrid = document.createElement('div');
+  libraryGrid.className = 'preset-library';
+  librarySearchBinding.element.after(libraryGrid);
+
+  const failedThumbnails = new Set();
+  let renderingThumbnails = false;
+
+  // Render missing thumbnails one at a time, redrawing the grid as they arrive
+  const renderMissingThumbnails = async (names) => {
+    if (renderingThumbnails) return;
+    renderingThumbnails = true;
+    try {
+      for (const name of names) {
+        if (getPresetThumbnail(name) || failedThumbnails.has(name)) continue;
+        try {
+          if (!await generatePresetThumbnail(name)) return; // No renderer yet
+        } catch (error) {
+          console.warn(`Thumbnail for preset "${name}" failed:`, error);
+          failedThumbnails.add(name);
+        }
+        renderLibraryGrid();
+      }
+    } finally {
+      renderingThumbnails = false;
+    }
+  };
+
+  const createPresetCard = (preset) => {
+    const card = document.createElement('button');
+    card.type = 'button';
+    card.className = 'preset-card';
+    card.classList.toggle('selected', preset.name === presetState.selected);
+    card.title = preset.tags && preset.tags.length ? `${preset.name}\n#${preset.tags.join(' #')}` : preset.name;
+
+    const thumbnail = getPresetThumbnail(preset.name);
+    const image = document.createElement(thumbnail ? 'img' : 'div');
+    image.className = 'preset-card-thumbnail';
+    if (thumbnail) image.src = thumbnail;
+
+    const label = document.createElement('span');
+    label.textContent = preset.name;
+
+    card.append(image, label);
+    card.addEventListener('click', () => {
+      history.batch(`Preset "${preset.name}"`, () => {
+        presetState.selected = preset.name;
+        applyPreset(preset.name, PARAMS);
+        pane.refresh();
+      });
+      refreshPresetLibrary();
+    });
+    return card;
+  };
+
+  const renderLibraryGrid = () => {
+    const { builtin, custom } = searchPresets(libraryState.search);
+    const groups = new Map();
+    custom.forEach((preset) => {
+      const folder = preset.folder || 'Unfiled';
+      if (!groups.has(folder)) groups.set(folder, []);
+      groups.get(folder).push(preset);
+    });
+    if (builtin.length) groups.set('Built-in', builtin);
+
+    libraryGrid.replaceChildren();
+    groups.forEach((presets, folder) => {
+      const heading = document.createElement('div');
+      heading.className = 'preset-library-folder';
+      heading.textContent = folder;
+      const cards = document.createElement('div');
+      cards.className = 'preset-library-cards';
+      cards.append(...presets.map(createPresetCard));
+      libraryGrid.append(heading, cards);
+    });
+    if (!groups.size) {
+      libraryGrid.textContent = 'No matching presets';
+    }
+
+    // Thumbnails are only worth rendering while the library is open
+    if (libraryFolder.expanded) {
+      renderMissingThumbnails([...custom, ...builtin].map((p) => p.name));
+    }
+  };
+
+  // Sync the grid and the selected preset's fields
+  refreshPresetLibrary = () => {
+    const selected = getAllPresets().custom.find((p) => p.name === presetState.selected);
+    syncingLibraryFields = true;
+    libraryState.folder = selected ? selected.folder : '';
+    libraryState.tags = selected ? selected.tags.join(', ') : '';
+    libraryFolderBinding.hidden = !selected;
+    libraryTagsBinding.hidden = !selected;
+    renameButton.hidden = !selected;
+    deleteButton.hidden = !selected;
+    libraryFolderBinding.refresh();
+    libraryTagsBinding.refresh();
+    syncingLibraryFields = false;
+    renderLibraryGrid();
+  };
+
+  // Filter while typing (the binding itself only updates on enter/blur)
+  librarySearchBinding.element.querySelector('input').addEventListener('input', (e) => {
+    libraryState.search = e.target.value;
+    renderLibraryGrid();
+  });
+  libraryFolder.on('fold', (ev) => {
+    if (ev.expanded) renderLibraryGrid();
+  });
+  refreshPresetLibrary();
+
+
+  // ===== HISTORY =====
+  const historyFolder = pane.addFolder({ title: 'History', expanded: false });
+
+  const undoButton = historyFolder.addButton({ title: 'Undo' });
+  undoButton.on('click', () => history.undo());
+  const redoButton = historyFolder.addButton({ title: 'Redo' });
+  redoButton.on('click', () => history.redo());
+
+  // Step list, newest first; click a step to jump to the state after it
+  const historyList = document.createElement('div');
+  historyList.className = 'history-list';
+  redoButton.element.after(historyList);
+
+  const createHistoryRow = (label, position, title = '') => {
+    const row = document.createElement('button');
+    row.type = 'button';
+    row.className = 'history-row';
+    row.classList.toggle('current', position === history.position);
+    row.classList.toggle('undone', position > history.position);
+    row.textContent = label;
+    row.title = title;
+    row.addEventListener('click', () => history.goTo(position));
+    return row;
+  };
+
+  const describeHistoryEntry = (entry) =>
+    Object.entries(entry.changes)
+      .map(([key, [before, after]]) => `${key}: ${JSON.stringify(before)} → ${JSON.stringify(after)}`)
+      .join('\n');
+
+  const renderHistoryList = () => {
+    undoButton.disabled = !history.canUndo;
+    redoButton.disabled = !history.canRedo;
+    const rows = history.entries.map((entry, i) => createHistoryRow(entry.label, i + 1, describeHistoryEntry(entry)));
+    rows.unshift(createHistoryRow('Start', 0));
+    historyList.replaceChildren(...rows.reverse());
+  };
+  history.onChange = renderHistoryList;
+  renderHistoryList();
+
+  // Cmd/Ctrl+Z undo, Cmd/Ctrl+Shift+Z (or Ctrl+Y) redo; text fields keep their own undo
+  document.addEventListener('keydown', (e) => {
+    if (!(e.metaKey || e.ctrlKey) || e.altKey) return;
+    const target = e.target;
+    if (target.isContentEditable || ['INPUT', 'TEXTAREA', 'SELECT'].includes(target.tagName)) return;
+
+    const key = e.key.toLowerCase();
+    if (key === 'z' && !e.shiftKey) {
+      e.preventDefault();
+      history.undo();
+    } else if ((key === 'z' && e.shiftKey) || (key === 'y' && !e.shiftKey)) {
+      e.preventDefault();
+      history.redo();
+    }
+  });
+
+
   // ===== CANVAS =====
   const canvasFolder = pane.addFolder({ title: 'Canvas', expanded: true });
 
@@ -296,6 +777,15 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
     if (onAspectRatioChange) onAspectRatioChange();
   });
 
+  canvasFolder.addBinding(PARAMS, 'renderer', {
+    label: 'Renderer',
+    options: {
+      'Canvas 2D': 'canvas',
+      'WebGL': 'webgl',
+    },
+  });
+  canvasFolder.addBinding(PARAMS, 'layoutWorker', { label: 'Layout Worker' });
+
   // ===== TEXT =====
   const textFolder = pane.addFolder({ title: 'Text', expanded: true });
   textFolder.addBinding(PARAMS, 'text', { label: 'Text' });
@@ -371,6 +861,106 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
   // Create font drop zone after pane
   createFontDropZone(container);
 
+  // ===== VARIABLE AXES =====
+  const axesFolder = pane.addFolder({ title: 'Variable Axes', expanded: false });
+  const curveOptions = {
+    'Sine': 'sine',
+    'Bounce': 'bounce',
+    'Elastic': 'elastic',
+    'Snap': 'snap',
+    'Smooth': 'smooth',
+  };
+
+  const weightBindings = [
+    axesFolder.addBinding(PARAMS, 'weightEnabled', { label: 'Animate Weight' }),
+    axesFolder.addBinding(PARAMS, 'weightCurve', { label: 'Weight Curve', options: curveOptions }),
+  ];
+  const weightMinBinding = axesFolder.addBinding(PARAMS, 'weightMin', { label: 'Weight Min', min: 100, max: 900, step: 1 });
+  const weightMaxBinding = axesFolder.addBinding(PARAMS, 'weightMax', { label: 'Weight Max', min: 100, max: 900, step: 1 });
+  weightBindings.push(weightMinBinding, weightMaxBinding);
+
+  const axisEnabledBinding = axesFolder.addBinding(PARAMS, 'axisEnabled', { label: 'Animate Axis' });
+  let axisTagBinding = null;
+  const axisCurveBinding = axesFolder.addBinding(PARAMS, 'axisCurve', { label: 'Axis Curve', options: curveOptions });
+  const axisMinBinding = axesFolder.addBinding(PARAMS, 'axisMin', { label: 'Axis Min', min: 0, max: 100, step: 0.5 });
+  const axisMaxBinding = axesFolder.addBinding(PARAMS, 'axisMax', { label: 'Axis Max', min: 0, max: 100, step: 0.5 });
+
+  // Clamp an axis range binding pair to the font's axis bounds
+  const setRangeBindings = (minBinding, maxBinding, minKey, maxKey, axis) => {
+    [minBinding, maxBinding].forEach((binding) => {
+      binding.min = axis.min;
+      binding.max = axis.max;
+    });
+    PARAMS[minKey] = Math.min(Math.max(PARAMS[minKey], axis.min), axis.max);
+    PARAMS[maxKey] = Math.min(Math.max(PARAMS[maxKey], axis.min), axis.max);
+  };
+
+  // Apply a selected axis tag: bounds follow the font's axis range
+  const applyAxisTag = (axes) => {
+    const axis = axes.find(a => a.tag === PARAMS.axisTag);
+    if (axis) setRangeBindings(axisMinBinding, axisMaxBinding, 'axisMin', 'axisMax', axis);
+  };
+
+  // Show only the axes the current font supports
+  updateAxisControls = () => {
+    const axes = fontManager.getAxes(PARAMS.font);
+    const weightAxis = axes.find(a => a.tag === 'wght');
+    const extraAxes = axes.filter(a => ANIMATABLE_AXES.includes(a.tag));
+
+    weightBindings.forEach((binding) => { binding.hidden = !weightAxis; });
+    if (weightAxis) {
+      setRangeBindings(weightMinBinding, weightMaxBinding, 'weightMin', 'weightMax', weightAxis);
+    } else {
+      PARAMS.weightEnabled = false;
+    }
+
+    // Rebuild the axis dropdown with this font's axes
+    const index = axisTagBinding
+      ? axesFolder.children.indexOf(axisTagBinding)
+      : axesFolder.children.indexOf(axisCurveBinding);
+    if (axisTagBinding) axisTagBinding.dispose();
+    axisTagBinding = null;
+
+    const hasAxes = extraAxes.length > 0;
+    [axisEnabledBinding, axisCurveBinding, axisMinBinding, axisMaxBinding].forEach((binding) => {
+      binding.hidden = !hasAxes;
+    });
+
+    if (hasAxes) {
+      if (!extraAxes.some(a => a.tag === PARAMS.axisTag)) {
+        PARAMS.axisTag = extraAxes[0].tag;
+      }
+      const options = {};
+      extraAxes.forEach((a) => { options[`${a.name} (${a.tag})`] = a.tag; });
+      axisTagBinding = axesFolder.addBinding(PARAMS, 'axisTag', { label: 'Axis', options, index });
+      axisTagBinding.on('change', () => {
+        applyAxisTag(fontManager.getAxes(PARAMS.font));
+        pane.refresh();
+      });
+      applyAxisTag(extraAxes);
+    } else {
+      PARAMS.axisEnabled = false;
+    }
+
+    pane.refresh();
+  };
+
+  fontBinding.on('change', updateAxisControls);
+  updateAxisControls();
+
+  // Re-create the font dropdown in place when the font list changes
+  rebuildFontDropdown = () => {
+    const index = textFolder.children.indexOf(fontBinding);
+    fontBinding.dispose();
+    fontBinding = textFolder.addBinding(PARAMS, 'font', {
+      label: 'Font',
+      options: getAllFonts(),
+      index,
+    });
+    fontBinding.on('change', updateWeightSlider);
+    fontBinding.on('change', updateAxisControls);
+  };
+
   // ===== GRID =====
   const gridFolder = pane.addFolder({ title: 'Grid', expanded: true });
   gridFolder.addBinding(PARAMS, 'columns', { label: 'Columns', min: 3, max: 150, step: 1 });
@@ -555,6 +1145,46 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
   positionCurveBinding.on('change', updatePositionControls);
   updatePositionControls(); // Initialize visibility
 
+  // ===== ROTATION =====
+  const rotationFolder = pane.addFolder({ title: 'Rotation', expanded: false });
+  rotationFolder.addBinding(PARAMS, 'rotationEnabled', { label: 'Enabled' });
+  rotationFolder.addBinding(PARAMS, 'rotationCurve', {
+    label: 'Curve',
+    options: {
+      'Sine': 'sine',
+      'Bounce': 'bounce',
+      'Elastic': 'elastic',
+      'Snap': 'snap',
+      'Smooth': 'smooth',
+    },
+  });
+  rotationFolder.addBinding(PARAMS, 'rotationEasing', {
+    label: 'Easing',
+    options: {
+      'Linear': 'linear',
+      'Ease In': 'easeIn',
+      'Ease Out': 'easeOut',
+      'Ease In Out': 'easeInOut',
+      'Ease In Quad': 'easeInQuad',
+      'Ease Out Quad': 'easeOutQuad',
+      'Ease In Out Quad': 'easeInOutQuad',
+      'Ease In Cubic': 'easeInCubic',
+      'Ease Out Cubic': 'easeOutCubic',
+      'Ease In Out Cubic': 'easeInOutCubic',
+      'Ease In Quart': 'easeInQuart',
+      'Ease Out Quart': 'easeOutQuart',
+      'Ease In Out Quart': 'easeInOutQuart',
+    },
+  });
+  rotationFolder.addBinding(PARAMS, 'rotationMin', { label: 'Min °', min: -360, max: 360, step: 1 });
+  rotationFolder.addBinding(PARAMS, 'rotationMax', { label: 'Max °', min: -360, max: 360, step: 1 });
+  rotationFolder.addBinding(PARAMS, 'rotationPhaseOffset', {
+    label: 'Phase Offset',
+    min: -1,
+    max: 1,
+    step: 0.05,
+  });
+
   // ===== COLLISION =====
   const collisionFolder = pane.addFolder({ title: 'Collision', expanded: false });
   collisionFolder.addBinding(PARAMS, 'collisionEnabled', { label: 'Enabled' });
@@ -588,6 +1218,57 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
     },
   });
 
+  // ===== COLOR ANIMATION =====
+  const colorAnimFolder = pane.addFolder({ title: 'Color Animation', expanded: false });
+  colorAnimFolder.addBinding(PARAMS, 'colorEnabled', { label: 'Enabled' });
+  colorAnimFolder.addBinding(PARAMS, 'colorCurve', {
+    label: 'Curve',
+    options: {
+      'Sine': 'sine',
+      'Double Sinusoid': 'doubleSinusoid',
+      'Bounce': 'bounce',
+      'Elastic': 'elastic',
+      'Snap': 'snap',
+      'Smooth': 'smooth',
+    },
+  });
+
+  // Palette stops are bound through accessors so presets that replace
+  // PARAMS.colorPalette stay in sync with the controls
+  const paletteState = {};
+  Object.defineProperty(paletteState, 'count', {
+    get: () => PARAMS.colorPalette.length,
+    set: (count) => {
+      const stops = PARAMS.colorPalette.slice(0, count);
+      while (stops.length < count) stops.push(stops[stops.length - 1]);
+      PARAMS.colorPalette = stops;
+    },
+  });
+  colorAnimFolder.addBinding(paletteState, 'count', { label: 'Stops', min: 2, max: MAX_PALETTE_STOPS, step: 1 });
+
+  const paletteBindings = [];
+  for (let i = 0; i < MAX_PALETTE_STOPS; i++) {
+    Object.defineProperty(paletteState, `stop${i}`, {
+      get: () => PARAMS.colorPalette[Math.min(i, PARAMS.colorPalette.length - 1)],
+      set: (value) => {
+        const stops = [...PARAMS.colorPalette];
+        stops[i] = value;
+        PARAMS.colorPalette = stops;
+      },
+    });
+    paletteBindings.push(colorAnimFolder.addBinding(paletteState, `stop${i}`, { label: `Stop ${i + 1}` }));
+  }
+
+  // Show only the active palette stops
+  const updatePaletteControls = () => {
+    paletteBindings.forEach((binding, i) => {
+      binding.hidden = i >= PARAMS.colorPalette.length;
+    });
+  };
+
+  pane.on('change', updatePaletteControls);
+  updatePaletteControls(); // Initialize visibility
+
   // ===== JITTER =====
   const jitterFolder = pane.addFolder({ title: 'Jitter', expanded: false });
   jitterFolder.addBinding(PARAMS, 'jitterEnabled', { label: 'Enabled' });
@@ -684,7 +1365,43 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
   // ===== COLORS =====
   const colorFolder = pane.addFolder({ title: 'Colors', expanded: false });
   colorFolder.addBinding(PARAMS, 'backgroundColor', { label: 'Background' });
-  colorFolder.addBinding(PARAMS, 'textColor', { label: 'Text' });
+  const colorModeBinding = colorFolder.addBinding(PARAMS, 'colorMode', {
+    label: 'Mode',
+    options: {
+      'Solid': 'solid',
+      'Gradient': 'gradient',
+      'Rainbow': 'rainbow',
+      'Position': 'position',
+      'Depth': 'depth',
+    },
+  });
+  const colorSourceBinding = colorFolder.addBinding(PARAMS, 'colorSource', {
+    label: 'Driven By',
+    options: {
+      'Grid Position': 'position',
+      'Wave Phase': 'phase',
+      'Scale': 'scale',
+    },
+  });
+  const textColorBinding = colorFolder.addBinding(PARAMS, 'textColor', { label: 'Text' });
+  const gradientStartBinding = colorFolder.addBinding(PARAMS, 'gradientStart', { label: 'Gradient Start' });
+  const gradientEndBinding = colorFolder.addBinding(PARAMS, 'gradientEnd', { label: 'Gradient End' });
+
+  // Update color controls visibility based on mode
+  const updateColorControls = () => {
+    const mode = PARAMS.colorMode;
+    const usesGradient = mode === 'gradient' || mode === 'depth';
+
+    textColorBinding.hidden = mode !== 'solid';
+    colorSourceBinding.hidden = mode !== 'gradient' && mode !== 'rainbow';
+    gradientStartBinding.hidden = !usesGradient;
+    gradientEndBinding.hidden = !usesGradient;
+
+    pane.refresh();
+  };
+
+  colorModeBinding.on('change', updateColorControls);
+  updateColorControls(); // Initialize visibility
   colorFolder.addBinding(PARAMS, 'backgroundTransparent', { label: 'Transparent' })
     .on('change', (ev) => {
       if (onTransparencyChange) onTransparencyChange(ev.value);
@@ -699,18 +1416,150 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
     if (onExport) onExport('svg');
   });
 
-  // MP4 settings
-  const mp4Folder = exportFolder.addFolder({ title: 'MP4', expanded: false });
+  // PDF settings (page keeps the canvas aspect ratio)
+  const pdfFolder = exportFolder.addFolder({ title: 'PDF', expanded: false });
+  const pdfUnitBinding = pdfFolder.addBinding(PARAMS, 'pdfUnit', {
+    label: 'Unit',
+    options: { 'mm': 'mm', 'inches': 'in' },
+  });
+  pdfFolder.addBinding(PARAMS, 'pdfLongSide', {
+    label: 'Long side',
+    min: 1,
+    max: 2000,
+  });
+
+  const pdfPageState = { size: '' };
+  pdfFolder.addBinding(pdfPageState, 'size', { label: 'Page', readonly: true });
+
+  // Page size readout in the chosen unit (aspect ratio from canvas)
+  const updatePdfPageSize = () => {
+    const ratio = ASPECT_RATIOS[PARAMS.aspectRatio] || 1;
+    const longSide = PARAMS.pdfLongSide;
+    const [w, h] = ratio >= 1 ? [longSide, longSide / ratio] : [longSide * ratio, longSide];
+    const digits = PARAMS.pdfUnit === 'in' ? 2 : 0;
+    pdfPageState.size = `${w.toFixed(digits)} × ${h.toFixed(digits)} ${PARAMS.pdfUnit}`;
+  };
+
+  // Switching units converts the long side so the page keeps its physical size
+  pdfUnitBinding.on('change', (ev) => {
+    PARAMS.pdfLongSide = ev.value === 'in'
+      ? Math.round(PARAMS.pdfLongSide / 25.4 * 100) / 100
+      : Math.round(PARAMS.pdfLongSide * 25.4);
+    updatePdfPageSize();
+    pane.refresh();
+  });
+  pane.on('change', updatePdfPageSize);
+  updatePdfPageSize();
+
+  pdfFolder.addButton({ title: 'Save PDF' }).on('click', () => {
+    if (onExport) onExport('pdf');
+  });
+
+  // Pen plotter (stroke-only outlines on a physical paper size)
+  const plotterFolder = exportFolder.addFolder({ title: 'Plotter', expanded: false });
+  plotterFolder.addBinding(PARAMS, 'plotterFormat', {
+    label: 'Format',
+    options: { 'SVG': 'svg', 'HPGL': 'hpgl', 'G-code': 'gcode' },
+  });
+  plotterFolder.addBinding(PARAMS, 'plotterPaper', {
+    label: 'Paper',
+    options: Object.fromEntries(Object.keys(PAPER_SIZES).map(key => [key, key])),
+  });
+  plotterFolder.addBinding(PARAMS, 'plotterMargin', { label: 'Margin (mm)', min: 0, max: 50, step: 1 });
+  plotterFolder.addBinding(PARAMS, 'plotterPenWidth', { label: 'Pen (mm)', min: 0.1, max: 2, step: 0.05 });
+  plotterFolder.addBinding(PARAMS, 'plotterHideLines', { label: 'Hide Lines' });
+  const plotterHatchBinding = plotterFolder.addBinding(PARAMS, 'plotterHatch', { label: 'Hatch Fill' });
+  const plotterHatchSpacingBinding = plotterFolder.addBinding(PARAMS, 'plotterHatchSpacing', { label: 'Spacing (mm)', min: 0.2, max: 5, step: 0.1 });
+  const plotterHatchAngleBinding = plotterFolder.addBinding(PARAMS, 'plotterHatchAngle', { label: 'Angle', min: 0, max: 180, step: 1 });
+
+  const updatePlotterControls = () => {
+    plotterHatchSpacingBinding.hidden = !PARAMS.plotterHatch;
+    plotterHatchAngleBinding.hidden = !PARAMS.plotterHatch;
+  };
+  plotterHatchBinding.on('change', updatePlotterControls);
+  updatePlotterControls(); // Initialize visibility
+
+  plotterFolder.addButton({ title: 'Save Plot' }).on('click', () => {
+    if (onExport) onExport('plotter');
+  });
+
+  // Animated SVG (always one perfect loop, see Video → Loop Cycles)
+  const animatedSvgFolder = exportFolder.addFolder({ title: 'Animated SVG', expanded: false });
+  animatedSvgFolder.addBinding(PARAMS, 'svgAnimationFps', {
+    label: 'Samples/s',
+    options: { '12': 12, '24': 24, '30': 30, '60': 60 },
+  });
+  animatedSvgFolder.addButton({ title: 'Save Animated SVG' }).on('click', () => {
+    warnInexactLoop();
+    if (onExport) onExport('svg-animated');
+  });
+
+  // Lottie (one perfect loop, for app and web players)
+  const lottieFolder = exportFolder.addFolder({ title: 'Lottie', expanded: false });
+  lottieFolder.addBinding(PARAMS, 'lottieFps', {
+    label: 'FPS',
+    options: { '24': 24, '30': 30, '60': 60 },
+  });
+  lottieFolder.addButton({ title: 'Save Lottie' }).on('click', () => {
+    warnInexactLoop();
+    if (onExport) onExport('lottie');
+  });
+
+  // PNG settings
+  const pngFolder = exportFolder.addFolder({ title: 'PNG', expanded: false });
+  const pngSizeModeBinding = pngFolder.addBinding(PARAMS, 'pngSizeMode', {
+    label: 'Size',
+    options: {
+      'Long Side': 'long-side',
+      'Custom': 'custom',
+    },
+  });
+  const pngLongSideBinding = pngFolder.addBinding(PARAMS, 'pngLongSide', {
+    label: 'Long side',
+    options: { '1920': 1920, '2560': 2560, '3840': 3840, '5120': 5120, '7680': 7680 },
+  });
+  const pngWidthBinding = pngFolder.addBinding(PARAMS, 'pngWidth', { label: 'Width', min: 16, max: 7680, step: 1 });
+  const pngHeightBinding = pngFolder.addBinding(PARAMS, 'pngHeight', { label: 'Height', min: 16, max: 7680, step: 1 });
+
+  // Update PNG size controls visibility based on size mode
+  const updatePngControls = () => {
+    const isCustom = PARAMS.pngSizeMode === 'custom';
+    pngLongSideBinding.hidden = isCustom;
+    pngWidthBinding.hidden = !isCustom;
+    pngHeightBinding.hidden = !isCustom;
+    pane.refresh();
+  };
+
+  pngSizeModeBinding.on('change', updatePngControls);
+  updatePngControls(); // Initialize visibility
+
+  // Video settings (MP4 / WebM)
+  const videoFolder = exportFolder.addFolder({ title: 'Video', expanded: false });
+
+  const videoFormatBinding = videoFolder.addBinding(PARAMS, 'videoFormat', {
+    label: 'Format',
+    options: {
+      'MP4 (H.264)': 'mp4',
+      'WebM (VP9 + alpha)': 'webm',
+    },
+  });
+
+  // H.264 has no alpha channel: transparent MP4s come out with a black background
+  const alphaWarningState = { message: 'MP4 drops transparency. Use WebM to keep alpha.' };
+  const alphaWarningBinding = videoFolder.addBinding(alphaWarningState, 'message', {
+    label: 'Warning',
+    readonly: true,
+  });
 
   // Export height display state (computed from width + aspect ratio)
   const exportHeightState = { height: getExportHeight() };
 
-  const exportWidthBinding = mp4Folder.addBinding(PARAMS, 'exportWidth', {
+  const exportWidthBinding = videoFolder.addBinding(PARAMS, 'exportWidth', {
     label: 'Long side',
     options: { '1280': 1280, '1920': 1920, '2560': 2560, '3840': 3840 },
   });
 
-  const exportHeightBinding = mp4Folder.addBinding(exportHeightState, 'height', {
+  const exportHeightBinding = videoFolder.addBinding(exportHeightState, 'height', {
     label: 'Height',
     readonly: true,
     format: (v) => `${v}px (auto)`,
@@ -725,10 +1574,265 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
   exportWidthBinding.on('change', updateExportHeight);
   aspectRatioBinding.on('change', updateExportHeight);
 
-  mp4Folder.addBinding(PARAMS, 'exportDuration', { label: 'Duration', min: 1, max: 30, step: 1 });
+  const exportDurationBinding = videoFolder.addBinding(PARAMS, 'exportDuration', { label: 'Duration', min: 1, max: 30, step: 1 });
+
+  // Perfect loop: duration snaps to whole wave periods
+  videoFolder.addBinding(PARAMS, 'loopEnabled', { label: 'Perfect Loop' });
+  const loopCyclesBinding = videoFolder.addBinding(PARAMS, 'loopCycles', { label: 'Loop Cycles', min: 1, max: 10, step: 1 });
+
+  const loopState = { length: getLoopInfo(PARAMS).seconds, exact: getLoopInfo(PARAMS).exact };
+  const loopLengthBinding = videoFolder.addBinding(loopState, 'length', {
+    label: 'Loop Length',
+    readonly: true,
+    format: (v) => `${v.toFixed(2)}s${loopState.exact ? '' : ' (not exact)'}`,
+  });
+
+  // Recompute loop length whenever timing params change
+  const updateLoopControls = () => {
+    exportDurationBinding.hidden = PARAMS.loopEnabled;
+    loopCyclesBinding.hidden = !PARAMS.loopEnabled;
+    loopLengthBinding.hidden = !PARAMS.loopEnabled;
+    const loop = getLoopInfo(PARAMS);
+    loopState.length = loop.seconds;
+    loopState.exact = loop.exact;
+  };
+
+  pane.on('change', updateLoopControls);
+  updateLoopControls(); // Initialize visibility
+
+  const exportState = { progress: 0, eta: null, isExporting: false };
+  videoFolder.addBinding(exportState, 'progress', {
+    label: 'Progress',
+    readonly: true,
+    format: (v) => `${Math.round(v * 100)}%`,
+    view: 'slider',
+    min: 0,
+    max: 1,
+  });
+  const etaBinding = videoFolder.addBinding(exportState, 'eta', {
+    label: 'Time Left',
+    readonly: true,
+    format: (v) => {
+      if (v === null) return '…';
+      const seconds = Math.round(v);
+      return `${Math.floor(seconds / 60)}:${String(seconds % 60).padStart(2, '0')}`;
+    },
+  });
+  etaBinding.hidden = true;
+
+  /**
+   * Run an animated export from a button: progress (and ETA) while it runs,
+   * the button cancels the export and gets its title back when done
+   */
+  const bindExportButton = (button, state, { getType, getTitle, etaBinding = null }) => {
+    let runningType = null;
+    button.on('click', async () => {
+      // Cancel only this button's export (other exports can run alongside)
+      if (state.isExporting) {
+        if (onCancelExport) onCancelExport(runningType);
+        return;
+      }
+      runningType = getType();
+      state.isExporting = true;
+      button.title = 'Cancel Export';
+      if (etaBinding) {
+        state.eta = null;
+        etaBinding.hidden = false;
+      }
+
+      const onProgress = (progress, eta = null) => {
+        if (progress === null) {
+          state.isExporting = false;
+          state.progress = 0;
+          button.title = getTitle();
+          if (etaBinding) etaBinding.hidden = true;
+        } else {
+          state.progress = progress;
+          if (etaBinding) state.eta = eta;
+        }
+        pane.refresh();
+      };
+
+      if (PARAMS.loopEnabled) warnInexactLoop();
+      if (onExport) await onExport(runningType, onProgress);
+    });
+  };
+
+  const getVideoButtonTitle = () => `Export ${PARAMS.videoFormat === 'webm' ? 'WebM' : 'MP4'}`;
+  const videoButton = videoFolder.addButton({ title: getVideoButtonTitle() });
+  bindExportButton(videoButton, exportState, {
+    getType: () => PARAMS.videoFormat,
+    getTitle: getVideoButtonTitle,
+    etaBinding,
+  });
+
+  // Show the alpha warning only for transparent MP4 exports
+  const updateVideoControls = () => {
+    alphaWarningBinding.hidden = !(PARAMS.backgroundTransparent && PARAMS.videoFormat === 'mp4');
+    if (!exportState.isExporting) videoButton.title = getVideoButtonTitle();
+  };
+
+  pane.on('change', updateVideoControls);
+  videoFormatBinding.on('change', updateVideoControls);
+  updateVideoControls(); // Initialize visibility
+
+  // Image sequence settings (size, duration and loop come from the Video folder)
+  const sequenceFolder = exportFolder.addFolder({ title: 'Image Sequence', expanded: false });
+  sequenceFolder.addBinding(PARAMS, 'sequenceFormat', {
+    label: 'Format',
+    options: {
+      'PNG': 'png',
+      'WebP': 'webp',
+    },
+  });
+
+  const sequenceState = { progress: 0, isExporting: false };
+  sequenceFolder.addBinding(sequenceState, 'progress', {
+    label: 'Progress',
+    readonly: true,
+    format: (v) => `${Math.round(v * 100)}%`,
+    view: 'slider',
+    min: 0,
+    max: 1,
+  });
+
+  const sequenceButton = sequenceFolder.addButton({ title: 'Export ZIP' });
+  bindExportButton(sequenceButton, sequenceState, {
+    getType: () => 'sequence',
+    getTitle: () => 'Export ZIP',
+  });
+
+  // Animated GIF (duration and loop come from the Video folder)
+  const gifFolder = exportFolder.addFolder({ title: 'GIF', expanded: false });
+  gifFolder.addBinding(PARAMS, 'gifFps', {
+    label: 'FPS',
+    options: { '10': 10, '15': 15, '20': 20, '25': 25, '30': 30 },
+  });
+  gifFolder.addBinding(PARAMS, 'gifScale', {
+    label: 'Scale',
+    options: { '25%': 0.25, '50%': 0.5, '75%': 0.75, '100%': 1 },
+  });
+  gifFolder.addBinding(PARAMS, 'gifDither', { label: 'Dither' });
+  gifFolder.addBinding(PARAMS, 'gifLoopCount', {
+    label: 'Repeats',
+    min: 0,
+    max: 10,
+    step: 1,
+    format: (v) => (v === 0 ? 'forever' : `${v}`),
+  });
+
+  const gifState = { progress: 0, isExporting: false };
+  gifFolder.addBinding(gifState, 'progress', {
+    label: 'Progress',
+    readonly: true,
+    format: (v) => `${Math.round(v * 100)}%`,
+    view: 'slider',
+    min: 0,
+    max: 1,
+  });
+
+  const gifButton = gifFolder.addButton({ title: 'Export GIF' });
+  bindExportButton(gifButton, gifState, {
+    getType: () => 'gif',
+    getTitle: () => 'Export GIF',
+  });
+
+  // Export queue: batch jobs (source × aspect ratio × format × resolution) into one ZIP
+  const queueFolder = exportFolder.addFolder({ title: 'Export Queue', expanded: false });
+  const exportQueue = new ExportQueue();
+  const queueState = {
+    source: '',
+    aspectRatio: PARAMS.aspectRatio,
+    format: 'png',
+    resolution: 1920,
+    jobs: '',
+    progress: 0,
+    isExporting: false,
+  };
+
+  // '' = snapshot of the current settings
+  const getQueueSourceOptions = () => {
+    const { builtin, custom } = getAllPresets();
+    const options = { 'Current (snapshot)': '' };
+    [...builtin, ...custom].forEach(p => { options[p.name] = p.name; });
+    return options;
+  };
+
+  let queueSourceBinding = queueFolder.addBinding(queueState, 'source', {
+    label: 'Source',
+    options: getQueueSourceOptions(),
+  });
 
-  const exportState = { progress: 0, isExporting: false };
-  mp4Folder.addBinding(exportState, 'progress', {
+  // Pick up presets saved since the folder was last opened
+  queueFolder.on('fold', (ev) => {
+    if (!ev.expanded) return;
+    queueSourceBinding.dispose();
+    queueSourceBinding = queueFolder.addBinding(queueState, 'source', {
+      label: 'Source',
+      options: getQueueSourceOptions(),
+      index: 0,
+    });
+  });
+
+  queueFolder.addBinding(queueState, 'aspectRatio', {
+    label: 'Aspect',
+    options: {
+      ...Object.fromEntries(Object.keys(ASPECT_RATIOS).map(k => [k, k])),
+      'All ratios': 'all',
+    },
+  });
+  queueFolder.addBinding(queueState, 'format', {
+    label: 'Format',
+    options: Object.fromEntries(Object.entries(QUEUE_FORMATS).map(([key, f]) => [f.label, key])),
+  });
+  queueFolder.addBinding(queueState, 'resolution', {
+    label: 'Long side',
+    options: { '1080': 1080, '1280': 1280, '1920': 1920, '2560': 2560, '3840': 3840 },
+  });
+
+  const updateQueueList = () => {
+    queueState.jobs = exportQueue.jobs.map((job, i) => `${i + 1}. ${exportQueue.describe(job)}`).join('\n');
+    pane.refresh();
+  };
+
+  queueFolder.addButton({ title: 'Add Job' }).on('click', () => {
+    if (queueState.isExporting) return;
+
+    // Presets are looked up now; the snapshot freezes the current settings
+    const preset = queueState.source && getPreset(queueState.source);
+    const source = preset
+      ? { name: preset.name, params: { ...preset.params } }
+      : { name: 'snapshot', params: structuredClone(PARAMS) };
+    const ratios = queueState.aspectRatio === 'all' ? Object.keys(ASPECT_RATIOS) : [queueState.aspectRatio];
+
+    ratios.forEach(aspectRatio => exportQueue.add({
+      source,
+      aspectRatio,
+      format: queueState.format,
+      resolution: queueState.resolution,
+    }));
+    updateQueueList();
+  });
+
+  queueFolder.addBinding(queueState, 'jobs', {
+    label: 'Jobs',
+    readonly: true,
+    multiline: true,
+    rows: 5,
+  });
+
+  queueFolder.addButton({ title: 'Remove Last' }).on('click', () => {
+    if (queueState.isExporting || !exportQueue.jobs.length) return;
+    exportQueue.remove(exportQueue.jobs[exportQueue.jobs.length - 1].id);
+    updateQueueList();
+  });
+  queueFolder.addButton({ title: 'Clear Queue' }).on('click', () => {
+    if (queueState.isExporting) return;
+    exportQueue.clear();
+    updateQueueList();
+  });
+
+  queueFolder.addBinding(queueState, 'progress', {
     label: 'Progress',
     readonly: true,
     format: (v) => `${Math.round(v * 100)}%`,
@@ -737,30 +1841,47 @@ export const initControls = (container, onExport, onTransparencyChange, onRedraw
     max: 1,
   });
 
-  const mp4Button = mp4Folder.addButton({ title: 'Export MP4' });
-  mp4Button.on('click', async () => {
-    if (exportState.isExporting) return;
-    exportState.isExporting = true;
-    mp4Button.title = 'Exporting...';
+  const queueButton = queueFolder.addButton({ title: 'Run Queue' });
+  queueButton.on('click', async () => {
+    // While running the button cancels
+    if (queueState.isExporting) {
+      if (onCancelExport) onCancelExport('queue');
+      return;
+    }
+    if (!exportQueue.jobs.length) {
+      showToast('Add a job first');
+      return;
+    }
+    queueState.isExporting = true;
+    queueButton.title = 'Cancel Queue';
 
     const onProgress = (progress) => {
       if (progress === null) {
-        exportState.isExporting = false;
-        exportState.progress = 0;
-        mp4Button.title = 'Export MP4';
-        pane.refresh();
+        queueState.isExporting = false;
+        queueState.progress = 0;
+        queueButton.title = 'Run Queue';
       } else {
-        exportState.progress = progress;
-        pane.refresh();
+        queueState.progress = progress;
       }
+      pane.refresh();
     };
 
-    if (onExport) await onExport('mp4', onProgress);
+    if (onExport) await onExport('queue', onProgress, exportQueue);
+  });
+
+  // Record edits after the other change handlers, so params they adjust join the
+  // same step. A slider drag merges into one step until it's released.
+  pane.on('change', (ev) => {
+    const key = ev.target && ev.target.key;
+    history.record(ev.target && ev.target.label ? ev.target.label : null, { mergeKey: key || null, last: ev.last });
   });
 
   // Trigger initial transparency state
   if (onTransparencyChange) onTransparencyChange(PARAMS.backgroundTransparent);
 
+  // Start from the params as the controls left them
+  history.clear();
+
   return pane;
 };
 
@@ -768,6 +1889,19 @@ export const refreshControls = () => {
   if (pane) pane.refresh();
 };
 
+// Refresh preset dropdown and library (e.g. after the stored library loads)
+export const refreshPresetControls = () => {
+  if (!pane) return;
+  if (updatePresetDropdown) updatePresetDropdown();
+  if (refreshPresetLibrary) refreshPresetLibrary();
+};
+
+// Load the composition in a share link hash (#s=...); false when it can't be opened
+export const openShareHash = async (hash) => {
+  if (!openShareLink) return false;
+  return openShareLink(hash);
+};
+
 // Update font dropdown when fonts change
 export const updateFontOptions = () => {
   if (fontBinding) {
@@ -0,0 +1,111 @@
+/**
+ * Draw commands
+ * A laid-out frame as a flat, back-to-front list of glyph draws: the single
+ * description of what gets drawn, shared by the Canvas 2D renderer (preview,
+ * PNG, video, GIF) and the vector writers (SVG, PDF, plotter, Lottie).
+ * DOM-free.
+ *
+ * viewport: { width, height, scale } - scale multiplies fontSize for exports
+ * rendered larger than the preview (1 for the preview and vector output).
+ */
+
+import { getItemColor } from '../color/index.js';
+
+const DEFAULT_VIEWPORT = { width: 0, height: 0, scale: 1 };
+
+/**
+ * Number of extrusion clones drawn per item
+ */
+export function getCloneCount(params) {
+  return params.extrusionEnabled
+    ? Math.min(Math.max(1, params.cloneCount), 100)
+    : 1;
+}
+
+/**
+ * Clone offset from the item position
+ * Wave clones advance with animation time (phase = time * 0.05).
+ */
+export function getCloneOffset(cloneIndex, params, time = 0) {
+  if (params.cloneMode === 'wave') {
+    const phase = cloneIndex * params.cloneWaveFrequency + time * 0.05;
+    return {
+      x: Math.sin(phase) * params.cloneWaveAmplitude,
+      y: Math.cos(phase) * params.cloneWaveAmplitude,
+    };
+  }
+
+  // Linear mode (default)
+  return {
+    x: cloneIndex * params.cloneDensityX,
+    y: cloneIndex * params.cloneDensityY,
+  };
+}
+
+/**
+ * Draw commands for every clone of one item, back to front
+ * Fully transparent clones are included (animated writers keep them as tracks).
+ *
+ * @returns {Array<{item, clone, char, x, y, rotation, scale, opacity, fill, fontSize}>}
+ *   Empty when the item has no transform
+ */
+export function getItemCommands(item, params, time, viewport = DEFAULT_VIEWPORT) {
+  const { transformed } = item;
+  if (!transformed) return [];
+
+  let { x, y, scale, opacity, rotation } = transformed;
+  if (!isFinite(x)) x = 0;
+  if (!isFinite(y)) y = 0;
+  if (!isFinite(scale) || scale <= 0) scale = 1;
+  if (!isFinite(opacity)) opacity = 1;
+  if (!isFinite(rotation)) rotation = 0;
+
+  const fill = getItemColor(item, params);
+  const fontSize = params.fontSize * viewport.scale;
+  const cloneCount = getCloneCount(params);
+  const commands = [];
+
+  for (let c = cloneCount - 1; c >= 0; c--) {
+    const offset = getCloneOffset(c, params, time);
+
+    commands.push({
+      item,
+      clone: c,
+      char: item.char,
+      x: x + offset.x,
+      y: y + offset.y,
+      rotation,
+      scale: scale * Math.pow(params.cloneScaleDecay, c),
+      opacity: opacity * Math.pow(params.cloneOpacityDecay, c),
+      fill,
+      fontSize,
+    });
+  }
+
+  return commands;
+}
+
+/**
+ * Draw commands for a frame
+ *
+ * @param {Object} state - { params, items } (items laid out for `time`)
+ * @param {number} time - Animation time
+ * @param {Object} viewport - { width, height, scale }
+ * @returns {{ background: string|null, glyphs: Array }} - background color
+ *   (null when transparent) and the visible glyph commands, back to front
+ */
+export function getDrawCommands(state, time, viewport = DEFAULT_VIEWPORT) {
+  const { params, items } = state;
+  const glyphs = [];
+
+  for (const item of items) {
+    for (const command of getItemCommands(item, params, time, viewport)) {
+      if (command.opacity > 0.01) glyphs.push(command);
+    }
+  }
+
+  return {
+    background: params.backgroundTransparent ? null : params.backgroundColor,
+    glyphs,
+  };
+}
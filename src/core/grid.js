@@ -0,0 +1,165 @@
+/**
+ * Grid layout
+ * Turns the text into grid items (one character or word per cell).
+ * DOM-free: shared by the browser sketch and the Node CLI.
+ */
+
+import { getSpatialPhase } from '../transforms/index.js';
+
+/**
+ * Cache key for a grid (changes when the grid structure changes)
+ */
+export function getGridKey(params, width, height) {
+  return `${params.text}|${params.textMode}|${params.repeatPattern}|${params.gridMode}|${params.columns}|${params.rows}|${params.tracking}|${params.lineSpacing}|${params.fontSize}|${params.linearDirection}|${width}|${height}`;
+}
+
+/**
+ * Cache key for spatial phases (changes when the sequence params change)
+ */
+export function getSpatialPhaseKey(params) {
+  return `${params.sequencePattern}|${params.waveCycles}|${params.linearDirection}|${params.spiralDensity}|${params.rowPhaseOffset}|${params.colPhaseOffset}`;
+}
+
+/**
+ * Parse text into characters or words based on textMode
+ */
+export function parseText(text, textMode) {
+  // Word modes: 'repeat-word', 'split-word'
+  if (textMode.includes('word')) {
+    return text.split(/\s+/).filter(w => w.length > 0);
+  }
+  // Letter modes: 'repeat-letter', 'split-letter'
+  return text.split('');
+}
+
+/**
+ * Apply repeat pattern to characters array
+ */
+function applyRepeatPattern(chars, pattern, index) {
+  if (pattern === 'mirror') {
+    // ABCCBA pattern: forward then reverse
+    const cycle = chars.length * 2 - 2;
+    if (cycle <= 0) return chars[0] || '';
+    const pos = index % cycle;
+    if (pos < chars.length) {
+      return chars[pos];
+    }
+    return chars[cycle - pos];
+  } else if (pattern === 'alternating') {
+    // ABAB pattern: only use first 2 chars/words
+    const subset = chars.slice(0, 2);
+    return subset[index % subset.length] || '';
+  }
+  // Sequential: ABCABC (default)
+  return chars[index % chars.length];
+}
+
+/**
+ * Create grid layout with spacing adjustments
+ */
+export function createGrid(chars, params, width, height) {
+  const items = [];
+  const { columns, rows, tracking, lineSpacing, textMode, repeatPattern, gridMode, fontSize, linearDirection } = params;
+
+  // Calculate cell dimensions based on gridMode
+  let cellWidth, cellHeight, offsetX, offsetY;
+
+  if (gridMode === 'fixed') {
+    // Fixed mode: cell size based on fontSize
+    cellWidth = fontSize * 1.2;
+    cellHeight = fontSize * 1.4;
+
+    // Calculate total grid size
+    const totalWidth = columns * cellWidth + (columns - 1) * tracking;
+    const totalHeight = rows * cellHeight + (rows - 1) * lineSpacing;
+
+    // Center the grid on canvas
+    offsetX = (width - totalWidth) / 2;
+    offsetY = (height - totalHeight) / 2;
+  } else {
+    // Fill mode: grid fills canvas (original behavior)
+    cellWidth = width / columns;
+    cellHeight = height / rows;
+    offsetX = 0;
+    offsetY = 0;
+  }
+
+  let charIndex = 0;
+  for (let row = 0; row < rows; row++) {
+    for (let col = 0; col < columns; col++) {
+      let char = '';
+
+      if (textMode === 'split-letter') {
+        // Letters split along direction, repeat along perpendicular axis
+        if (linearDirection === 'vertical') {
+          // Letters go down rows, columns repeat the same pattern
+          char = applyRepeatPattern(chars, repeatPattern, row);
+        } else {
+          // Letters go across columns, rows repeat the same pattern
+          char = applyRepeatPattern(chars, repeatPattern, col);
+        }
+      } else if (textMode === 'split-word') {
+        // Words split along direction, repeat along perpendicular axis
+        if (linearDirection === 'vertical') {
+          // Words go down rows (one per row), columns repeat
+          char = applyRepeatPattern(chars, repeatPattern, row);
+        } else {
+          // Words go across columns (one per column), rows repeat
+          char = applyRepeatPattern(chars, repeatPattern, col);
+        }
+      } else if (textMode === 'repeat-word') {
+        // Repeat words along the direction
+        if (linearDirection === 'vertical') {
+          // Words repeat down columns, first column only gets chars
+          if (col === 0) {
+            char = applyRepeatPattern(chars, repeatPattern, row);
+          }
+        } else {
+          // Words repeat across rows (horizontal/diagonal)
+          char = applyRepeatPattern(chars, repeatPattern, col);
+        }
+      } else {
+        // Default 'repeat-letter': Letters repeat to fill all grid cells
+        char = applyRepeatPattern(chars, repeatPattern, charIndex);
+      }
+
+      // Only add item if there's a character to display
+      if (char) {
+        // Calculate position based on gridMode
+        let x, y;
+        if (gridMode === 'fixed') {
+          x = offsetX + col * (cellWidth + tracking) + cellWidth / 2;
+          y = offsetY + row * (cellHeight + lineSpacing) + cellHeight / 2;
+        } else {
+          x = col * cellWidth + cellWidth / 2 + tracking;
+          y = row * cellHeight + cellHeight / 2 + lineSpacing;
+        }
+
+        items.push({
+          char,
+          x,
+          y,
+          row,
+          col,
+          totalRows: rows,
+          totalCols: columns,
+          cellWidth,
+          cellHeight,
+          canvasWidth: width,
+          canvasHeight: height,
+        });
+      }
+      charIndex++;
+    }
+  }
+  return items;
+}
+
+/**
+ * Precompute spatial phases for all items (avoids per-frame trig calculations)
+ */
+export function precomputeSpatialPhases(items, params) {
+  for (const item of items) {
+    item.spatialPhase = getSpatialPhase(item, params);
+  }
+}
@@ -0,0 +1,14 @@
+/**
+ * Core Module
+ *
+ * DOM-free layout and rendering shared by the browser sketch and the Node CLI:
+ * - grid: text → grid items
+ * - layout: transforms + collision physics at a time
+ * - commands: a frame as back-to-front glyph draw commands (shared by every renderer)
+ * - render: Canvas 2D drawing of the commands (preview and raster exports)
+ */
+
+export { parseText, createGrid, precomputeSpatialPhases, getGridKey, getSpatialPhaseKey } from './grid.js';
+export { applyLayout, applyCollisions, layoutItems, getExportDimensions, calculateCanvasDimensions } from './layout.js';
+export { getCloneCount, getCloneOffset, getItemCommands, getDrawCommands } from './commands.js';
+export { drawCommands, renderFrame } from './render.js';
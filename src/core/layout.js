@@ -0,0 +1,129 @@
+/**
+ * Frame layout
+ * Applies the wave transforms and collision physics to grid items at a time.
+ * DOM-free: shared by the browser sketch, the exporters and the Node CLI.
+ *
+ * Collision responses animate over the following frames, so the physics
+ * state lives in a { collisionDetector, collisionResolver } pair owned by
+ * the caller, and frames must be laid out in time order.
+ */
+
+import { ASPECT_RATIOS } from '../config.js';
+import { applyTransforms } from '../transforms/index.js';
+import { parseText, createGrid } from './grid.js';
+
+/**
+ * Apply transforms (and collisions) to existing grid items in place
+ *
+ * @param {Array} items - Grid items from createGrid
+ * @param {Object} params - PARAMS object
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} t - Animation time
+ * @param {Object} physics - { collisionDetector, collisionResolver }
+ * @returns {Array} - The same items, with `transformed` set
+ */
+export function applyLayout(items, params, width, height, t, physics) {
+  for (let i = 0; i < items.length; i++) {
+    items[i].transformed = applyTransforms(items[i], i, t, params);
+  }
+
+  return applyCollisions(items, params, width, height, t, physics);
+}
+
+/**
+ * Apply collision physics to transformed items in place
+ * Only needs `transformed` on each item (the layout worker passes light bodies).
+ *
+ * @returns {Array} - The same items, collision offsets added to `transformed`
+ */
+export function applyCollisions(items, params, width, height, t, physics) {
+  const { collisionDetector, collisionResolver } = physics;
+
+  // Collision detection and response
+  if (params.collisionEnabled) {
+    // Detect collisions
+    const collisions = collisionDetector.detectCollisions(items, params, width, height);
+
+    // Resolve new collisions (start collision animations)
+    collisionResolver.resolveCollisions(collisions, items, t, params);
+
+    // Update ongoing collision responses (calculate offsets)
+    collisionResolver.updateCollisionResponses(items, t, params);
+
+    // Apply collision offsets to transformed positions
+    for (let i = 0; i < items.length; i++) {
+      const item = items[i];
+      if (item.collisionOffset && item.transformed) {
+        item.transformed.x += item.collisionOffset.x;
+        item.transformed.y += item.collisionOffset.y;
+      }
+    }
+  } else {
+    // Clear collision state when disabled
+    collisionResolver.clear();
+  }
+
+  return items;
+}
+
+/**
+ * Lay out a fresh grid with transforms (and collisions) applied at time t
+ *
+ * @returns {Array} - New items array (empty when the text is empty)
+ */
+export function layoutItems(params, width, height, t, physics) {
+  const chars = parseText(params.text, params.textMode);
+  if (chars.length === 0) return [];
+
+  const items = createGrid(chars, params, width, height);
+  return applyLayout(items, params, width, height, t, physics);
+}
+
+/**
+ * Calculate export dimensions respecting aspect ratio.
+ * longSide is the *long side* so portrait formats export at conventional
+ * dimensions (e.g. 9:16 → 1080×1920, not 1920×3414).
+ * With even=true values are rounded to even numbers (H.264 requirement).
+ */
+export function getExportDimensions(longSide, aspectRatioKey, even = true) {
+  const aspectRatio = ASPECT_RATIOS[aspectRatioKey] || 1;
+  const round = even ? (v) => Math.round(v / 2) * 2 : Math.round;
+  if (aspectRatio >= 1) {
+    // Landscape / square: long side is the width
+    return { width: longSide, height: round(longSide / aspectRatio) };
+  }
+  // Portrait: long side is the height
+  return { width: round(longSide * aspectRatio), height: longSide };
+}
+
+/**
+ * Calculate canvas dimensions based on aspect ratio and window size
+ * (the preview size; exports scale fontSize by export width / preview width)
+ */
+export function calculateCanvasDimensions(windowWidth, windowHeight, aspectRatio) {
+  const ratio = ASPECT_RATIOS[aspectRatio] || 1;
+
+  // Account for controls panel width
+  const CONTROLS_WIDTH = 312; // 280px panel + 32px padding
+  const CANVAS_PADDING = 40;
+
+  // Calculate available space (viewport minus controls)
+  const availableWidth = windowWidth - CONTROLS_WIDTH;
+  const availableHeight = windowHeight;
+
+  // Apply padding within canvas area
+  const maxWidth = availableWidth - CANVAS_PADDING * 2;
+  const maxHeight = availableHeight - CANVAS_PADDING * 2;
+
+  let width, height;
+  if (maxWidth / maxHeight > ratio) {
+    height = maxHeight;
+    width = height * ratio;
+  } else {
+    width = maxWidth;
+    height = width / ratio;
+  }
+
+  return { width: Math.floor(width), height: Math.floor(height) };
+}
@@ -0,0 +1,64 @@
+/**
+ * Canvas 2D frame renderer
+ * Draws a frame's draw commands onto any CanvasRenderingContext2D-compatible
+ * context: the p5 preview canvas, an offscreen export canvas or a Node canvas
+ * backend. DOM-free.
+ *
+ * An optional glyph renderer (e.g. the WebGL renderer) can be injected; when
+ * its draw() returns false the frame falls back to Canvas 2D.
+ */
+
+import { applyCanvasFont } from '../vector/FontAxes.js';
+import { getDrawCommands } from './commands.js';
+
+/**
+ * Draw commands onto a Canvas 2D context
+ *
+ * @param {CanvasRenderingContext2D} ctx - Target context
+ * @param {Object} commands - From getDrawCommands
+ * @param {Object} params - PARAMS object (font and axes)
+ * @param {Object} viewport - { width, height, scale }
+ */
+export function drawCommands(ctx, commands, params, viewport) {
+  // Handle transparent background
+  if (commands.background === null) {
+    ctx.clearRect(0, 0, viewport.width, viewport.height);
+  } else {
+    ctx.fillStyle = commands.background;
+    ctx.fillRect(0, 0, viewport.width, viewport.height);
+  }
+
+  ctx.textAlign = 'center';
+  ctx.textBaseline = 'middle';
+
+  for (const glyph of commands.glyphs) {
+    ctx.save();
+    ctx.translate(glyph.x, glyph.y);
+    ctx.rotate(glyph.rotation * Math.PI / 180);
+    ctx.scale(glyph.scale, glyph.scale);
+    applyCanvasFont(ctx, params, glyph.item.transformed, glyph.fontSize);
+    ctx.globalAlpha = glyph.opacity;
+    ctx.fillStyle = glyph.fill;
+    ctx.fillText(glyph.char, 0, 0);
+    ctx.restore();
+  }
+}
+
+/**
+ * Render a laid-out frame
+ * The one draw routine behind the preview and every raster export.
+ *
+ * @param {CanvasRenderingContext2D|null} ctx - Target context (null: commands only)
+ * @param {Object} state - { params, items } (items laid out for `time`)
+ * @param {number} time - Animation time
+ * @param {Object} viewport - { width, height, scale }
+ * @param {Object|null} glyphRenderer - Optional renderer with draw(ctx, commands, params, viewport)
+ * @returns {Object} - The frame's draw commands
+ */
+export function renderFrame(ctx, state, time, viewport, glyphRenderer = null) {
+  const commands = getDrawCommands(state, time, viewport);
+  if (ctx && !glyphRenderer?.draw(ctx, commands, state.params, viewport)) {
+    drawCommands(ctx, commands, state.params, viewport);
+  }
+  return commands;
+}
@@ -0,0 +1,74 @@
+/**
+ * Background video export
+ * Runs an MP4/WebM export in video.worker.js (OffscreenCanvas + VideoEncoder)
+ * so the app stays responsive and the preview keeps animating. Each export
+ * gets its own worker; cancelling terminates it.
+ */
+
+import { getFontSources } from './workerFonts.js';
+
+/**
+ * Whether this environment can run exports in a worker
+ */
+export const canRecordInBackground = () =>
+  typeof Worker !== 'undefined' &&
+  typeof OffscreenCanvas !== 'undefined' &&
+  typeof VideoEncoder !== 'undefined';
+
+/**
+ * Record an MP4 or WebM export in a worker
+ *
+ * @param {string} format - 'mp4' | 'webm'
+ * @param {Object} options - { width, height, fps, duration, quality, loopLength, onProgress, signal }
+ *   onProgress(progress, eta) gets the fraction done and the estimated seconds left;
+ *   aborting `signal` cancels the export (rejects with an AbortError)
+ * @param {Object} params - Parameters (a snapshot; later changes don't affect the export)
+ * @param {number} previewWidth - Width of the preview canvas (for scale calculation)
+ * @returns {Promise<Blob>} - Video blob
+ */
+export const recordInBackground = (format, options, params, previewWidth) => {
+  const { onProgress = null, signal = null, ...recordOptions } = options;
+
+  return new Promise((resolve, reject) => {
+    signal?.throwIfAborted();
+
+    const worker = new Worker(new URL('./video.worker.js', import.meta.url), { type: 'module' });
+
+    const onAbort = () => {
+      worker.terminate();
+      reject(signal.reason);
+    };
+    const finish = () => {
+      worker.terminate();
+      signal?.removeEventListener('abort', onAbort);
+    };
+    signal?.addEventListener('abort', onAbort, { once: true });
+
+    worker.onmessage = ({ data }) => {
+      if (data.type === 'progress') {
+        if (onProgress) onProgress(data.progress, data.eta);
+      } else if (data.type === 'done') {
+        finish();
+        resolve(new Blob([data.buffer], { type: format === 'webm' ? 'video/webm' : 'video/mp4' }));
+      } else if (data.type === 'error') {
+        finish();
+        reject(new Error(data.message));
+      }
+    };
+
+    worker.onerror = (event) => {
+      event.preventDefault();
+      finish();
+      reject(new Error(event.message || 'Export worker could not start'));
+    };
+
+    worker.postMessage({
+      type: 'start',
+      format,
+      options: recordOptions,
+      params: { ...params },
+      previewWidth,
+      fonts: getFontSources(params.font),
+    });
+  });
+};
@@ -0,0 +1,92 @@
+import { ensureFontLoaded } from './utils.js';
+
+/**
+ * Frame count and per-frame time step for an animated export
+ * Time steps match the live preview (~60fps, time += globalSpeed per frame).
+ * With loopLength set, exactly one loop is spread over the frames so the
+ * frame after the last one equals frame 0.
+ */
+export const getFrameTiming = ({ fps = 30, duration = 5, loopLength = null }, params) => {
+  const totalFrames = loopLength
+    ? Math.max(1, Math.round(fps * duration))
+    : Math.floor(fps * duration);
+
+  const timeStep = loopLength
+    ? loopLength / totalFrames
+    : params.globalSpeed * (60 / fps);
+
+  return { totalFrames, timeStep };
+};
+
+/**
+ * Estimated seconds left in an export (null until there is progress to go on)
+ *
+ * @param {number} startedAt - performance.now() when the export started
+ * @param {number} progress - Fraction done (0-1)
+ */
+export const getETA = (startedAt, progress, now = performance.now()) => {
+  if (progress <= 0) return null;
+  const elapsed = (now - startedAt) / 1000;
+  return Math.max(0, elapsed / progress - elapsed);
+};
+
+/**
+ * Render every frame of an animated export to an offscreen canvas
+ * Shared frame loop for the MP4, WebM, GIF and image sequence exporters.
+ *
+ * @param {Object} options { width, height, fps, duration, loopLength, alpha, onProgress, signal }
+ *   onProgress(progress, eta) gets the fraction done and the estimated seconds left;
+ *   aborting `signal` stops before the next frame (rejects with an AbortError)
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {number} previewWidth Width of the preview canvas (for scale calculation)
+ * @param {Function} onFrame Called with (canvas, frameIndex, totalFrames) after each frame
+ */
+export const renderFrames = async (options, renderFrame, params, previewWidth, onFrame) => {
+  const {
+    width = 1920,
+    height = 1080,
+    alpha = params.backgroundTransparent,
+    onProgress = null,
+    signal = null,
+  } = options;
+
+  // Ensure font is loaded before rendering
+  await ensureFontLoaded(params.font);
+
+  // Calculate export scale based on preview vs export resolution
+  const exportScale = width / previewWidth;
+
+  const { totalFrames, timeStep } = getFrameTiming(options, params);
+
+  // Create offscreen canvas for rendering
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d', {
+    alpha,
+    desynchronized: true, // Performance optimization
+  });
+
+  let currentTime = 0;
+  const startedAt = performance.now();
+
+  for (let frame = 0; frame < totalFrames; frame++) {
+    signal?.throwIfAborted();
+    if (onProgress) onProgress(frame / totalFrames, getETA(startedAt, frame / totalFrames));
+
+    // Render frame to offscreen canvas with export scale
+    await renderFrame(ctx, canvas, currentTime, params, exportScale);
+    await onFrame(canvas, frame, totalFrames);
+
+    // Advance time
+    currentTime += timeStep;
+
+    // Yield to UI thread periodically
+    if (frame % 10 === 0) {
+      await new Promise(resolve => setTimeout(resolve, 0));
+    }
+  }
+
+  return totalFrames;
+};
@@ -0,0 +1,385 @@
+import { renderFrames } from './frames.js';
+
+/**
+ * Animated GIF export
+ *
+ * - Per-frame palette from median cut quantization (≤ 256 colors)
+ * - Optional Floyd–Steinberg dithering
+ * - Transparency maps to a single reserved palette index (alpha < 128)
+ * - NETSCAPE2.0 extension for the loop count (0 = forever)
+ */
+
+const MAX_SAMPLES = 32768; // pixels sampled per frame for the median cut
+const ALPHA_THRESHOLD = 128;
+
+/**
+ * Growable byte buffer (kept as chunks so large GIFs avoid one huge copy per append)
+ */
+class ByteWriter {
+  constructor() {
+    this.chunks = [];
+    this.current = [];
+  }
+
+  byte(value) {
+    this.current.push(value & 0xff);
+  }
+
+  u16(value) {
+    this.byte(value);
+    this.byte(value >> 8);
+  }
+
+  text(value) {
+    for (let i = 0; i < value.length; i++) this.byte(value.charCodeAt(i));
+  }
+
+  bytes(array) {
+    this.flush();
+    this.chunks.push(array);
+  }
+
+  flush() {
+    if (this.current.length > 0) {
+      this.chunks.push(new Uint8Array(this.current));
+      this.current = [];
+    }
+  }
+
+  toBlob(type) {
+    this.flush();
+    return new Blob(this.chunks, { type });
+  }
+}
+
+/**
+ * Median cut: split the color box with the widest channel range at its median
+ * until maxColors boxes exist, then average each box
+ *
+ * @param {Uint32Array} colors - Packed 0xRRGGBB samples
+ * @param {number} maxColors - Palette size limit
+ * @returns {Array<[r, g, b]>}
+ */
+function medianCut(colors, maxColors) {
+  const channel = (color, c) => (color >> (16 - c * 8)) & 0xff;
+
+  const describe = (start, end) => {
+    let widest = 0;
+    let range = -1;
+    for (let c = 0; c < 3; c++) {
+      let min = 255, max = 0;
+      for (let i = start; i < end; i++) {
+        const v = channel(colors[i], c);
+        if (v < min) min = v;
+        if (v > max) max = v;
+      }
+      if (max - min > range) {
+        range = max - min;
+        widest = c;
+      }
+    }
+    return { start, end, channel: widest, range };
+  };
+
+  const boxes = colors.length > 0 ? [describe(0, colors.length)] : [];
+
+  while (boxes.length < maxColors) {
+    // Split the box with the largest range × population
+    let target = -1;
+    let best = 0;
+    boxes.forEach((box, i) => {
+      const score = box.range * (box.end - box.start);
+      if (box.end - box.start > 1 && score > best) {
+        best = score;
+        target = i;
+      }
+    });
+    if (target === -1) break;
+
+    const box = boxes[target];
+    const slice = colors.subarray(box.start, box.end);
+    slice.sort((a, b) => channel(a, box.channel) - channel(b, box.channel));
+
+    const mid = box.start + ((box.end - box.start) >> 1);
+    boxes.splice(target, 1, describe(box.start, mid), describe(mid, box.end));
+  }
+
+  return boxes.map(({ start, end }) => {
+    let r = 0, g = 0, b = 0;
+    for (let i = start; i < end; i++) {
+      r += channel(colors[i], 0);
+      g += channel(colors[i], 1);
+      b += channel(colors[i], 2);
+    }
+    const n = end - start;
+    return [Math.round(r / n), Math.round(g / n), Math.round(b / n)];
+  });
+}
+
+/**
+ * Sample opaque pixels of a frame for quantization
+ */
+function samplePixels(data) {
+  const pixelCount = data.length / 4;
+  const step = Math.max(1, Math.floor(pixelCount / MAX_SAMPLES));
+  const samples = [];
+  for (let p = 0; p < pixelCount; p += step) {
+    const i = p * 4;
+    if (data[i + 3] < ALPHA_THRESHOLD) continue;
+    samples.push((data[i] << 16) | (data[i + 1] << 8) | data[i + 2]);
+  }
+  return Uint32Array.from(samples);
+}
+
+/**
+ * Map RGBA pixels to palette indices (with optional Floyd–Steinberg dithering)
+ */
+function indexPixels(data, width, height, palette, dither, transparentIndex) {
+  const indices = new Uint8Array(width * height);
+  // Nearest-color cache keyed by 5-bit-per-channel color
+  const cache = new Int16Array(32768).fill(-1);
+
+  const nearest = (r, g, b) => {
+    const key = ((r >> 3) << 10) | ((g >> 3) << 5) | (b >> 3);
+    if (cache[key] !== -1) return cache[key];
+
+    let best = 0;
+    let bestDist = Infinity;
+    for (let i = 0; i < palette.length; i++) {
+      const [pr, pg, pb] = palette[i];
+      const dist = (r - pr) ** 2 + (g - pg) ** 2 + (b - pb) ** 2;
+      if (dist < bestDist) {
+        bestDist = dist;
+        best = i;
+      }
+    }
+    cache[key] = best;
+    return best;
+  };
+
+  // Error buffers for the current and next row (r, g, b per pixel)
+  let errCurrent = dither ? new Float32Array(width * 3) : null;
+  let errNext = dither ? new Float32Array(width * 3) : null;
+
+  for (let y = 0; y < height; y++) {
+    for (let x = 0; x < width; x++) {
+      const p = y * width + x;
+      const i = p * 4;
+
+      if (transparentIndex !== -1 && data[i + 3] < ALPHA_THRESHOLD) {
+        indices[p] = transparentIndex;
+        continue;
+      }
+
+      if (!dither) {
+        indices[p] = nearest(data[i], data[i + 1], data[i + 2]);
+        continue;
+      }
+
+      const e = x * 3;
+      const r = Math.max(0, Math.min(255, data[i] + errCurrent[e]));
+      const g = Math.max(0, Math.min(255, data[i + 1] + errCurrent[e + 1]));
+      const b = Math.max(0, Math.min(255, data[i + 2] + errCurrent[e + 2]));
+      const index = nearest(r | 0, g | 0, b | 0);
+      indices[p] = index;
+
+      // Distribute the error: 7/16 right, 3/16 down-left, 5/16 down, 1/16 down-right
+      const [pr, pg, pb] = palette[index];
+      const errors = [r - pr, g - pg, b - pb];
+      for (let c = 0; c < 3; c++) {
+        const err = errors[c];
+        if (x + 1 < width) errCurrent[e + 3 + c] += err * 7 / 16;
+        if (x > 0) errNext[e - 3 + c] += err * 3 / 16;
+        errNext[e + c] += err * 5 / 16;
+        if (x + 1 < width) errNext[e + 3 + c] += err * 1 / 16;
+      }
+    }
+
+    if (dither) {
+      [errCurrent, errNext] = [errNext, errCurrent];
+      errNext.fill(0);
+    }
+  }
+
+  return indices;
+}
+
+/**
+ * GIF-flavoured LZW compression, split into ≤ 255-byte sub-blocks
+ */
+function lzwEncode(indices, minCodeSize) {
+  const clearCode = 1 << minCodeSize;
+  const eoiCode = clearCode + 1;
+  const bytes = [];
+
+  let codeSize = minCodeSize + 1;
+  let nextCode = eoiCode + 1;
+  let table = new Map();
+  let bitBuffer = 0;
+  let bitCount = 0;
+
+  const emit = (code) => {
+    bitBuffer |= code << bitCount;
+    bitCount += codeSize;
+    while (bitCount >= 8) {
+      bytes.push(bitBuffer & 0xff);
+      bitBuffer >>>= 8;
+      bitCount -= 8;
+    }
+  };
+
+  emit(clearCode);
+
+  let prefix = indices[0];
+  for (let i = 1; i < indices.length; i++) {
+    const k = indices[i];
+    const key = (prefix << 8) | k;
+    const code = table.get(key);
+
+    if (code !== undefined) {
+      prefix = code;
+      continue;
+    }
+
+    emit(prefix);
+
+    if (nextCode === 4096) {
+      // Table full: start over
+      emit(clearCode);
+      table = new Map();
+      codeSize = minCodeSize + 1;
+      nextCode = eoiCode + 1;
+    } else {
+      if (nextCode >= (1 << codeSize)) codeSize++;
+      table.set(key, nextCode++);
+    }
+
+    prefix = k;
+  }
+
+  emit(prefix);
+  emit(eoiCode);
+  if (bitCount > 0) bytes.push(bitBuffer & 0xff);
+
+  // Sub-blocks: length byte + up to 255 data bytes, terminated by 0
+  const blockCount = Math.ceil(bytes.length / 255);
+  const out = new Uint8Array(bytes.length + blockCount + 1);
+  let o = 0;
+  for (let i = 0; i < bytes.length; i += 255) {
+    const size = Math.min(255, bytes.length - i);
+    out[o++] = size;
+    for (let j = 0; j < size; j++) out[o++] = bytes[i + j];
+  }
+  out[o] = 0;
+  return out;
+}
+
+/**
+ * Write one frame: graphic control extension, image descriptor, local palette, pixels
+ */
+function writeFrame(writer, imageData, options) {
+  const { width, height, data } = imageData;
+  const { delay, dither, transparent } = options;
+
+  // Reserve the last palette slot for transparency
+  const palette = medianCut(samplePixels(data), transparent ? 255 : 256);
+  if (palette.length === 0) palette.push([0, 0, 0]);
+  const transparentIndex = transparent ? palette.length : -1;
+  if (transparent) palette.push([0, 0, 0]);
+
+  // Palette size must be a power of two (2..256)
+  const colorDepth = Math.max(1, Math.ceil(Math.log2(palette.length)));
+  const tableSize = 1 << colorDepth;
+
+  // Graphic Control Extension
+  writer.byte(0x21);
+  writer.byte(0xf9);
+  writer.byte(4);
+  // Disposal 2 (restore to background) so transparent frames don't stack
+  writer.byte((2 << 2) | (transparent ? 1 : 0));
+  writer.u16(delay);
+  writer.byte(transparent ? transparentIndex : 0);
+  writer.byte(0);
+
+  // Image Descriptor with local color table
+  writer.byte(0x2c);
+  writer.u16(0);
+  writer.u16(0);
+  writer.u16(width);
+  writer.u16(height);
+  writer.byte(0x80 | (colorDepth - 1));
+
+  for (let i = 0; i < tableSize; i++) {
+    const [r, g, b] = palette[i] || [0, 0, 0];
+    writer.byte(r);
+    writer.byte(g);
+    writer.byte(b);
+  }
+
+  const indices = indexPixels(data, width, height, palette, dither, transparentIndex);
+  const minCodeSize = Math.max(2, colorDepth);
+  writer.byte(minCodeSize);
+  writer.bytes(lzwEncode(indices, minCodeSize));
+}
+
+/**
+ * Record canvas animation to an animated GIF
+ *
+ * @param {Object} options { width, height, fps, duration, loopLength, dither, loopCount, onProgress }
+ *   width/height are the final GIF size (apply any scale before calling)
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {number} previewWidth Width of the preview canvas (for scale calculation)
+ * @returns {Promise<Blob>} GIF blob
+ */
+export const recordGIF = async (options, renderFrame, params, previewWidth = 800) => {
+  const {
+    width,
+    height,
+    fps = 20,
+    dither = true,
+    loopCount = 0,
+  } = options;
+
+  const transparent = params.backgroundTransparent;
+  // GIF delays are in hundredths of a second: sample at the frame rate the
+  // rounded delay actually plays at (30fps → 3cs → 33.3fps) to keep the speed
+  const delay = Math.max(2, Math.round(100 / fps));
+  const playbackFps = 100 / delay;
+
+  const writer = new ByteWriter();
+
+  // Header + Logical Screen Descriptor (no global color table)
+  writer.text('GIF89a');
+  writer.u16(width);
+  writer.u16(height);
+  writer.byte(0x70); // color resolution 8 bits, no global table
+  writer.byte(0); // background color index
+  writer.byte(0); // pixel aspect ratio
+
+  // NETSCAPE2.0 application extension: loop count (0 = forever)
+  writer.byte(0x21);
+  writer.byte(0xff);
+  writer.byte(11);
+  writer.text('NETSCAPE2.0');
+  writer.byte(3);
+  writer.byte(1);
+  writer.u16(loopCount);
+  writer.byte(0);
+
+  await renderFrames(
+    { ...options, fps: playbackFps, alpha: transparent },
+    renderFrame,
+    params,
+    previewWidth,
+    (canvas) => {
+      const ctx = canvas.getContext('2d');
+      writeFrame(writer, ctx.getImageData(0, 0, width, height), { delay, dither, transparent });
+    }
+  );
+
+  writer.byte(0x3b); // trailer
+
+  if (options.onProgress) options.onProgress(1);
+  return writer.toBlob('image/gif');
+};
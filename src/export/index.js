@@ -1,3 +1,10 @@
-export { exportPNG } from './png.js';
-export { exportSVG } from './svg.js';
-export { recordMP4, downloadBlob, getRecordingState, setProgressCallback, cancelRecording } from './mp4.js';
+export { exportPNG, renderPNG } from './png.js';
+export { exportSVG, generateSVG, exportAnimatedSVG } from './svg.js';
+export { exportLottie, generateLottie } from './lottie.js';
+export { exportPDF, generatePDF, getPDFPageSize } from './pdf.js';
+export { exportPlotter, generatePlotterOutput, getPlotterLayout } from './plotter.js';
+export { recordMP4, createMP4Encoder, downloadBlob, getRecordingState, setProgressCallback, cancelRecording } from './mp4.js';
+export { recordSequence } from './sequence.js';
+export { recordWebM, createWebMEncoder } from './webm.js';
+export { recordInBackground, canRecordInBackground } from './background.js';
+export { recordGIF } from './gif.js';
@@ -0,0 +1,448 @@
+/**
+ * Lottie Export Module
+ * Writes one perfect loop as Lottie (Bodymovin) JSON for app and web players
+ *
+ * Built on the same instances as the other vector writers (getVectorInstances).
+ * Every glyph instance (item × clone) becomes one layer with linear position,
+ * scale, rotation, skew and opacity keyframes, one keyframe per sample.
+ *
+ * Glyph outlines are shared like <defs> + <use> in the SVG export: each unique
+ * glyph (per weight and fill) is a precomp asset, referenced by every layer
+ * that draws it. Instances whose fill animates get their own shape layer with
+ * color keyframes instead. Weight changes swap between layers (one per weight,
+ * hidden while another weight is shown).
+ */
+
+import { getVectorInstances } from '../vector/index.js';
+import { parseColor, hexToRgb } from '../color/index.js';
+import { getLoopInfo } from '../transforms/index.js';
+import { prepareVectorGlyphs, downloadBlob } from './utils.js';
+
+// Lottie format version written to the file
+const LOTTIE_VERSION = '5.7.4';
+
+// Sample cap (file size grows with samples × glyph instances)
+const MAX_LOTTIE_FRAMES = 600;
+
+// Linear easing for every keyframe
+const LINEAR_IN = { x: [1], y: [1] };
+const LINEAR_OUT = { x: [0], y: [0] };
+
+/**
+ * Round for JSON output (3 decimals, no "-0")
+ */
+const num = (value) => {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? 0 : rounded;
+};
+
+const sameValue = (a, b) => (Array.isArray(a) ? a.every((v, i) => v === b[i]) : a === b);
+
+/**
+ * Lottie property from per-sample values
+ * Static when every sample is equal; otherwise linear keyframes, skipping
+ * samples inside runs of equal values. The final keyframe (time = samples)
+ * repeats the first sample so the loop closes (or `closing`, for values that
+ * keep going, like unwrapped angles). holds[t] keeps sample t until the next
+ * keyframe instead of interpolating.
+ */
+const animatedProperty = (values, holds = [], closing = values[0]) => {
+  if (values.every(v => sameValue(v, values[0]))) return { a: 0, k: values[0] };
+
+  const closed = [...values, closing];
+  const keyframes = [];
+  for (let t = 0; t < closed.length; t++) {
+    const isLast = t === closed.length - 1;
+    const isRun = t > 0 && !isLast && !holds[t - 1] &&
+      sameValue(closed[t], closed[t - 1]) && sameValue(closed[t], closed[t + 1]);
+    if (isRun) continue;
+
+    const s = Array.isArray(closed[t]) ? closed[t] : [closed[t]];
+    if (isLast) keyframes.push({ t, s });
+    else if (holds[t]) keyframes.push({ t, s, h: 1 });
+    else keyframes.push({ t, s, i: LINEAR_IN, o: LINEAR_OUT });
+  }
+  return { a: 1, k: keyframes };
+};
+
+const staticProperty = (k) => ({ a: 0, k });
+
+// Signed difference between two angles in degrees, in (-180, 180]
+const angleDelta = (from, to) => {
+  const delta = (to - from) % 360;
+  if (delta > 180) return delta - 360;
+  if (delta <= -180) return delta + 360;
+  return delta;
+};
+
+/**
+ * Rotation property with the angles unwrapped
+ * Each sample takes the shortest turn from the one before, and the closing
+ * keyframe is the first angle plus the accumulated turns, so a rotation that
+ * keeps increasing carries on into the next loop instead of spinning back.
+ */
+const rotationProperty = (angles) => {
+  const unwrapped = [];
+  angles.forEach((angle, t) => {
+    unwrapped.push(t === 0 ? angle : unwrapped[t - 1] + angleDelta(unwrapped[t - 1], angle));
+  });
+  const last = unwrapped[unwrapped.length - 1];
+  return animatedProperty(unwrapped.map(num), [], num(last + angleDelta(last, angles[0])));
+};
+
+/**
+ * Lottie color (0-1 RGBA) from a hex or hsl() color
+ */
+const lottieColor = (color) => {
+  const rgb = parseColor(color) || { r: 0, g: 0, b: 0 };
+  return [num(rgb.r / 255), num(rgb.g / 255), num(rgb.b / 255), 1];
+};
+
+/**
+ * Convert outline commands to Lottie path shapes ("sh"), one per contour
+ * Lottie paths are vertices with in/out tangents relative to each vertex;
+ * quadratic segments are raised to cubics.
+ */
+const commandsToShapes = (commands) => {
+  const shapes = [];
+  let contour = null;
+
+  const close = () => {
+    if (!contour || contour.v.length === 0) return;
+    // Drop the duplicate end vertex of an explicitly closed contour
+    const last = contour.v.length - 1;
+    const [fx, fy] = contour.v[0];
+    const [lx, ly] = contour.v[last];
+    if (last > 0 && Math.abs(fx - lx) < 1e-6 && Math.abs(fy - ly) < 1e-6) {
+      contour.i[0] = contour.i[last];
+      contour.v.pop();
+      contour.i.pop();
+      contour.o.pop();
+    }
+    shapes.push({ ty: 'sh', ks: staticProperty({ c: true, ...contour }) });
+    contour = null;
+  };
+
+  const lineTo = (x, y) => {
+    contour.v.push([num(x), num(y)]);
+    contour.i.push([0, 0]);
+    contour.o.push([0, 0]);
+  };
+
+  const curveTo = (c1x, c1y, c2x, c2y, x, y) => {
+    const last = contour.v.length - 1;
+    const [px, py] = contour.v[last];
+    contour.o[last] = [num(c1x - px), num(c1y - py)];
+    contour.v.push([num(x), num(y)]);
+    contour.i.push([num(c2x - x), num(c2y - y)]);
+    contour.o.push([0, 0]);
+  };
+
+  let cx = 0, cy = 0;
+  for (const [type, ...c] of commands) {
+    switch (type) {
+      case 'M':
+        close();
+        contour = { v: [], i: [], o: [] };
+        lineTo(c[0], c[1]);
+        [cx, cy] = c;
+        break;
+      case 'L':
+        lineTo(c[0], c[1]);
+        [cx, cy] = c;
+        break;
+      case 'Q': {
+        const [qx, qy, x, y] = c;
+        curveTo(
+          cx + (2 / 3) * (qx - cx), cy + (2 / 3) * (qy - cy),
+          x + (2 / 3) * (qx - x), y + (2 / 3) * (qy - y),
+          x, y
+        );
+        [cx, cy] = [x, y];
+        break;
+      }
+      case 'C':
+        curveTo(...c);
+        [cx, cy] = [c[4], c[5]];
+        break;
+      case 'Z':
+        close();
+        break;
+    }
+  }
+  close();
+
+  return shapes;
+};
+
+/**
+ * Bounding box of outline commands (control points included)
+ */
+const getCommandsBBox = (commands) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [, ...c] of commands) {
+    for (let i = 0; i < c.length; i += 2) {
+      minX = Math.min(minX, c[i]);
+      minY = Math.min(minY, c[i + 1]);
+      maxX = Math.max(maxX, c[i]);
+      maxY = Math.max(maxY, c[i + 1]);
+    }
+  }
+  return minX === Infinity ? { x: 0, y: 0, w: 0, h: 0 } : { x: minX, y: minY, w: maxX - minX, h: maxY - minY };
+};
+
+/**
+ * Identity transform for layers and shape groups
+ */
+const identityTransform = (position = [0, 0]) => ({
+  o: staticProperty(100),
+  r: staticProperty(0),
+  p: staticProperty(position),
+  a: staticProperty([0, 0]),
+  s: staticProperty([100, 100]),
+});
+
+/**
+ * Shape group: glyph contours + nonzero fill (matches the SVG fill-rule)
+ */
+const glyphGroup = (name, shapes, color) => ({
+  ty: 'gr',
+  nm: name,
+  it: [
+    ...shapes,
+    { ty: 'fl', c: color, o: staticProperty(100), r: 1 },
+    { ty: 'tr', ...identityTransform(), sk: staticProperty(0), sa: staticProperty(0) },
+  ],
+});
+
+/**
+ * Fill a track's missing samples (instance not drawn in that frame, or drawn
+ * with another weight) with the previous drawn sample, fully transparent.
+ */
+const fillTrackGaps = (samples) => {
+  const first = samples.findIndex(Boolean);
+  let previous = samples[first];
+  return samples.map((sample) => {
+    if (sample) {
+      previous = sample;
+      return sample;
+    }
+    return { ...previous, opacity: 0, gap: true };
+  });
+};
+
+/**
+ * Layer transform keyframes for a track
+ * Same decomposition as the vector matrix (translate · rotate · scale · axis):
+ * wdth folds into the horizontal scale, slnt becomes Lottie skew
+ * (negative: slnt leans right for negative values).
+ */
+const trackTransform = (samples, anchor) => ({
+  // Appearing and disappearing (weight swaps) are instant, not fades
+  o: animatedProperty(
+    samples.map(s => num(Math.min(1, s.opacity) * 100)),
+    samples.map((s, t) => s.gap || samples[(t + 1) % samples.length].gap)
+  ),
+  r: rotationProperty(samples.map(s => s.parts.rotation)),
+  p: animatedProperty(samples.map(s => [num(s.parts.x), num(s.parts.y)])),
+  a: staticProperty(anchor),
+  s: animatedProperty(samples.map(({ parts }) => {
+    const widthFactor = parts.axisTag === 'wdth' ? parts.axisValue / 100 : 1;
+    return [num(parts.scale * widthFactor * 100), num(parts.scale * 100)];
+  })),
+  sk: animatedProperty(samples.map(({ parts }) => num(parts.axisTag === 'slnt' ? -parts.axisValue : 0))),
+  sa: staticProperty(0),
+});
+
+/**
+ * Generate Lottie JSON for one sampled loop
+ *
+ * @param {Array<{items, time}>} frames - Evenly spaced samples over one loop
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} fps - Samples per second (Lottie frame rate)
+ * @returns {Object} - Lottie animation object
+ */
+export const generateLottie = (frames, params, width, height, fps) => {
+  const frameCount = frames.length;
+  const glyphs = new Map(); // glyphId -> commands | null
+  const instanceTracks = new Map(); // "item-clone" -> Map(glyphId -> { char, glyphId, samples })
+
+  frames.forEach((frame, k) => {
+    const result = getVectorInstances(frame.items, params, frame.time, { includeHidden: true });
+    for (const [glyphId, commands] of result.glyphs) glyphs.set(glyphId, commands);
+
+    for (const instance of result.instances) {
+      if (!instanceTracks.has(instance.key)) instanceTracks.set(instance.key, new Map());
+      const byGlyph = instanceTracks.get(instance.key);
+      if (!byGlyph.has(instance.glyphId)) {
+        byGlyph.set(instance.glyphId, { char: instance.char, glyphId: instance.glyphId, samples: new Array(frameCount).fill(null) });
+      }
+      byGlyph.get(instance.glyphId).samples[k] = instance;
+    }
+  });
+
+  // One track per instance and weight, kept together in instance order
+  const tracks = [];
+  for (const [key, byGlyph] of instanceTracks) {
+    for (const track of byGlyph.values()) tracks.push({ ...track, name: `${track.char} ${key}|${track.glyphId}` });
+  }
+
+  // Shared glyph data: contours and bounds per glyph
+  const glyphShapes = new Map();
+  for (const [glyphId, commands] of glyphs) {
+    if (!commands || commands.length === 0) continue;
+    glyphShapes.set(glyphId, { shapes: commandsToShapes(commands), bounds: getCommandsBBox(commands) });
+  }
+
+  const assets = [];
+  const assetIds = new Map(); // "glyphId|fill" -> precomp id
+  const layers = [];
+  let skipped = 0;
+
+  // Tracks in first-seen order are back to front; Lottie lists the top layer first
+  for (const track of tracks) {
+    const glyph = glyphShapes.get(track.glyphId);
+    if (!glyph) {
+      if (glyphs.get(track.glyphId) === null) skipped++;
+      continue;
+    }
+
+    const samples = fillTrackGaps(track.samples);
+    const { bounds } = glyph;
+    const fills = samples.map(s => s.fill);
+    const constantFill = fills.every(f => f === fills[0]);
+
+    const layer = {
+      ddd: 0,
+      ind: 0,
+      nm: track.name,
+      sr: 1,
+      ao: 0,
+      ip: 0,
+      op: frameCount,
+      st: 0,
+      bm: 0,
+    };
+
+    if (constantFill) {
+      // Precomp reference: the asset draws the glyph with its bounds at 0,0
+      const assetKey = `${track.glyphId}|${fills[0]}`;
+      if (!assetIds.has(assetKey)) {
+        const id = `glyph_${assetIds.size}`;
+        assetIds.set(assetKey, id);
+        assets.push({
+          id,
+          nm: `${track.char} ${track.glyphId}`,
+          layers: [{
+            ddd: 0,
+            ind: 1,
+            ty: 4,
+            nm: track.char,
+            sr: 1,
+            ks: identityTransform([num(-bounds.x), num(-bounds.y)]),
+            ao: 0,
+            shapes: [glyphGroup(track.char, glyph.shapes, staticProperty(lottieColor(fills[0])))],
+            ip: 0,
+            op: frameCount,
+            st: 0,
+            bm: 0,
+          }],
+        });
+      }
+
+      Object.assign(layer, {
+        ty: 0,
+        refId: assetIds.get(assetKey),
+        w: Math.ceil(bounds.w),
+        h: Math.ceil(bounds.h),
+        ks: trackTransform(samples, [num(-bounds.x), num(-bounds.y)]),
+      });
+    } else {
+      // Animated fill: own shape layer with color keyframes
+      Object.assign(layer, {
+        ty: 4,
+        ks: trackTransform(samples, [0, 0]),
+        shapes: [glyphGroup(track.char, glyph.shapes, animatedProperty(fills.map(lottieColor)))],
+      });
+    }
+
+    layers.push(layer);
+  }
+
+  if (skipped > 0) {
+    console.warn(`Lottie Export: Skipped ${skipped} glyph layers without a loaded outline`);
+  }
+
+  if (!params.backgroundTransparent) {
+    const bg = hexToRgb(params.backgroundColor) || { r: 0, g: 0, b: 0 };
+    const hex = '#' + [bg.r, bg.g, bg.b].map(v => v.toString(16).padStart(2, '0')).join('');
+    layers.unshift({
+      ddd: 0,
+      ind: 0,
+      ty: 1,
+      nm: 'Background',
+      sr: 1,
+      ks: identityTransform(),
+      ao: 0,
+      sw: width,
+      sh: height,
+      sc: hex,
+      ip: 0,
+      op: frameCount,
+      st: 0,
+      bm: 0,
+    });
+  }
+
+  layers.reverse();
+  layers.forEach((layer, index) => { layer.ind = index + 1; });
+
+  return {
+    v: LOTTIE_VERSION,
+    fr: fps,
+    ip: 0,
+    op: frameCount,
+    w: width,
+    h: height,
+    nm: 'wave-type',
+    ddd: 0,
+    assets,
+    layers,
+  };
+};
+
+/**
+ * Export one perfect loop as Lottie JSON
+ *
+ * @param {Function} layoutItems - (time) => items with transforms for that time (fresh array per call)
+ * @param {Object} params - PARAMS object
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} fps - Lottie frame rate (one keyframe per frame)
+ * @param {string} filename - Base filename
+ */
+export const exportLottie = async (layoutItems, params, width, height, fps = 30, filename = 'wave-type') => {
+  const loop = getLoopInfo(params);
+  const frameCount = Math.min(MAX_LOTTIE_FRAMES, Math.max(2, Math.round(fps * loop.seconds)));
+  if (frameCount === MAX_LOTTIE_FRAMES) {
+    console.warn(`Lottie Export: Loop capped at ${MAX_LOTTIE_FRAMES} frames`);
+  }
+
+  // Sample the loop evenly (the closing keyframe repeats the first sample)
+  const frames = [];
+  for (let k = 0; k < frameCount; k++) {
+    const time = (k / frameCount) * loop.length;
+    frames.push({ time, items: layoutItems(time) });
+  }
+
+  await prepareVectorGlyphs(frames.flatMap(f => f.items), params);
+
+  // Keep the loop duration when the sample count was capped
+  const frameRate = frameCount === MAX_LOTTIE_FRAMES ? num(frameCount / loop.seconds) : fps;
+  const animation = generateLottie(frames, params, width, height, frameRate);
+  const blob = new Blob([JSON.stringify(animation)], { type: 'application/json' });
+  downloadBlob(blob, `${filename}.json`);
+  return true;
+};
@@ -1,34 +1,12 @@
 import { Muxer, ArrayBufferTarget } from 'mp4-muxer';
+import { renderFrames } from './frames.js';
+
+export { downloadBlob } from './utils.js';
 
 let isRecording = false;
 let recordingProgress = 0;
 let onProgressCallback = null;
-
-/**
- * Ensure font is loaded for Canvas 2D rendering
- */
-async function ensureFontLoaded(fontName) {
-  try {
-    // Check if font is already loaded
-    const testString = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
-    const loaded = document.fonts.check(`16px "${fontName}"`, testString);
-
-    if (!loaded) {
-      // Wait for font to load (with timeout)
-      await Promise.race([
-        document.fonts.load(`16px "${fontName}"`, testString),
-        new Promise((_, reject) =>
-          setTimeout(() => reject(new Error('Font load timeout')), 5000)
-        )
-      ]);
-    }
-
-    return true;
-  } catch (error) {
-    console.warn(`Font "${fontName}" may not be fully loaded:`, error);
-    return false;
-  }
-}
+let recordingController = null;
 
 export const getRecordingState = () => ({
   isRecording,
@@ -58,43 +36,20 @@ function getH264Codec(width, height) {
 }
 
 /**
- * Record canvas animation to MP4
- * @param {Object} options Recording options
- * @param {Function} renderFrame Function that renders a single frame
- * @param {Object} params Current parameters
- * @param {number} previewWidth Width of the preview canvas (for scale calculation)
- * @returns {Promise<Blob>} MP4 blob
+ * Create an H.264 encoder muxing into an in-memory MP4
+ * Works on the main thread and in workers (VideoFrame from any canvas).
+ *
+ * @param {Object} options { width, height, fps, quality }
+ * @returns {Object} { queueSize, encode(canvas, frame), finish() → Promise<ArrayBuffer>, close() }
  */
-export const recordMP4 = async (options, renderFrame, params, previewWidth = 800) => {
-  const {
-    width = 1920,
-    height = 1080,
-    fps = 30,
-    duration = 5,
-    quality = 0.8,
-  } = options;
-
-  isRecording = true;
-  recordingProgress = 0;
-
-  // Ensure font is loaded before rendering
-  await ensureFontLoaded(params.font);
-
-  // Calculate export scale based on preview vs export resolution
-  const exportScale = width / previewWidth;
+export const createMP4Encoder = ({ width = 1920, height = 1080, fps = 30, quality = 0.8 }) => {
+  // Check for VideoEncoder support
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('VideoEncoder API not supported. Please use Chrome or Edge.');
+  }
 
-  const totalFrames = Math.floor(fps * duration);
   const frameDuration = 1000000 / fps; // microseconds
 
-  // Create offscreen canvas for rendering
-  const canvas = document.createElement('canvas');
-  canvas.width = width;
-  canvas.height = height;
-  const ctx = canvas.getContext('2d', {
-    alpha: params.backgroundTransparent,
-    desynchronized: true, // Performance optimization
-  });
-
   // Calculate bitrate based on quality (1-10 Mbps range)
   const bitrate = Math.floor(1000000 + quality * 9000000);
 
@@ -109,12 +64,6 @@ export const recordMP4 = async (options, renderFrame, params, previewWidth = 800
     fastStart: 'in-memory',
   });
 
-  // Check for VideoEncoder support
-  if (typeof VideoEncoder === 'undefined') {
-    isRecording = false;
-    throw new Error('VideoEncoder API not supported. Please use Chrome or Edge.');
-  }
-
   // Create video encoder
   const encoder = new VideoEncoder({
     output: (chunk, meta) => {
@@ -134,23 +83,13 @@ export const recordMP4 = async (options, renderFrame, params, previewWidth = 800
     framerate: fps,
   });
 
-  // Calculate time step to match live preview animation speed
-  // Live preview runs at ~60fps and advances time by globalSpeed each frame
-  // To match the same animation speed at different fps, we scale accordingly
-  let currentTime = 0;
-  const timeStep = params.globalSpeed * (60 / fps);
-
-  try {
-    for (let frame = 0; frame < totalFrames; frame++) {
-      // Update progress
-      recordingProgress = frame / totalFrames;
-      if (onProgressCallback) {
-        onProgressCallback(recordingProgress);
-      }
-
-      // Render frame to offscreen canvas with export scale
-      await renderFrame(ctx, canvas, currentTime, params, exportScale);
+  return {
+    // Frames waiting to be encoded (for backpressure)
+    get queueSize() {
+      return encoder.encodeQueueSize;
+    },
 
+    encode(canvas, frame) {
       // Create video frame
       const videoFrame = new VideoFrame(canvas, {
         timestamp: frame * frameDuration,
@@ -160,26 +99,66 @@ export const recordMP4 = async (options, renderFrame, params, previewWidth = 800
       // Encode frame
       encoder.encode(videoFrame, { keyFrame: frame % (fps * 2) === 0 });
       videoFrame.close();
+    },
+
+    async finish() {
+      // Flush encoder
+      await encoder.flush();
+      encoder.close();
 
-      // Advance time
-      currentTime += timeStep;
+      // Finalize muxer
+      muxer.finalize();
+      return muxer.target.buffer;
+    },
 
-      // Yield to UI thread periodically
-      if (frame % 10 === 0) {
-        await new Promise(resolve => setTimeout(resolve, 0));
+    close() {
+      // Only close if not already closed
+      if (encoder.state !== 'closed') {
+        encoder.close();
       }
-    }
+    },
+  };
+};
 
-    // Flush encoder
-    await encoder.flush();
-    encoder.close();
+/**
+ * Record canvas animation to MP4
+ * @param {Object} options Recording options
+ *   (loopLength: animation time covered by the export; when set, the time step
+ *   is adjusted so the frame after the last one equals frame 0;
+ *   signal: AbortSignal that cancels the recording, like cancelRecording())
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {number} previewWidth Width of the preview canvas (for scale calculation)
+ * @returns {Promise<Blob>} MP4 blob
+ */
+export const recordMP4 = async (options, renderFrame, params, previewWidth = 800) => {
+  const encoder = createMP4Encoder(options);
 
-    // Finalize muxer
-    muxer.finalize();
+  isRecording = true;
+  recordingProgress = 0;
+  recordingController = new AbortController();
+  options.signal?.addEventListener('abort', () => recordingController.abort(), { once: true });
+
+  try {
+    await renderFrames(
+      {
+        ...options,
+        signal: recordingController.signal,
+        onProgress: (progress, eta) => {
+          recordingProgress = progress;
+          if (onProgressCallback) {
+            onProgressCallback(recordingProgress, eta);
+          }
+        },
+      },
+      renderFrame,
+      params,
+      previewWidth,
+      (canvas, frame) => encoder.encode(canvas, frame)
+    );
 
     // Get the MP4 data
-    const { buffer } = muxer.target;
-    const blob = new Blob([buffer], { type: 'video/mp4' });
+    const blob = new Blob([await encoder.finish()], { type: 'video/mp4' });
 
     isRecording = false;
     recordingProgress = 1;
@@ -187,31 +166,15 @@ export const recordMP4 = async (options, renderFrame, params, previewWidth = 800
     return blob;
   } catch (error) {
     isRecording = false;
-    // Only close if not already closed
-    if (encoder.state !== 'closed') {
-      encoder.close();
-    }
+    encoder.close();
     throw error;
   }
 };
 
 /**
- * Download blob as file
- */
-export const downloadBlob = (blob, filename = 'wave-type.mp4') => {
-  const url = URL.createObjectURL(blob);
-  const link = document.createElement('a');
-  link.href = url;
-  link.download = filename;
-  document.body.appendChild(link);
-  link.click();
-  document.body.removeChild(link);
-  URL.revokeObjectURL(url);
-};
-
-/**
- * Cancel ongoing recording
+ * Cancel ongoing recording (the frame loop stops before its next frame)
  */
 export const cancelRecording = () => {
   isRecording = false;
+  if (recordingController) recordingController.abort();
 };
@@ -0,0 +1,259 @@
+/**
+ * PDF Export Module
+ * Writes the current frame as print-ready vector artwork (no dependencies)
+ *
+ * Same inputs as generateVectorSVG. Every unique glyph outline becomes one
+ * Form XObject (the PDF counterpart of <defs> + <use>), drawn per instance
+ * with its transform matrix, fill color and an ExtGState for opacity.
+ * Outlines are filled nonzero, matching the SVG export.
+ *
+ * The page keeps the canvas aspect ratio; its long side is a physical size
+ * in millimetres or inches. Glyphs without a loaded outline are skipped
+ * (PDF has no CSS font fallback).
+ */
+
+import { getVectorInstances } from '../vector/index.js';
+import { parseColor, hexToRgb } from '../color/index.js';
+import { prepareVectorGlyphs, downloadBlob } from './utils.js';
+
+// PDF user space units (points) per physical unit
+const POINTS_PER_UNIT = {
+  mm: 72 / 25.4,
+  in: 72,
+};
+
+/**
+ * Page size in points for a canvas aspect ratio and physical long side
+ *
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} longSide - Long side of the page in `unit`
+ * @param {string} unit - 'mm' | 'in'
+ * @returns {{ pageWidth: number, pageHeight: number }}
+ */
+export const getPDFPageSize = (width, height, longSide, unit = 'mm') => {
+  const longSidePoints = longSide * (POINTS_PER_UNIT[unit] || POINTS_PER_UNIT.mm);
+  return width >= height
+    ? { pageWidth: longSidePoints, pageHeight: longSidePoints * height / width }
+    : { pageWidth: longSidePoints * width / height, pageHeight: longSidePoints };
+};
+
+/**
+ * Format a number for PDF content (3 decimals, no exponent, no "-0")
+ */
+const num = (value) => {
+  const rounded = Math.round(value * 1000) / 1000;
+  return Object.is(rounded, -0) ? '0' : String(rounded);
+};
+
+const colorOperator = (color) => {
+  const rgb = parseColor(color) || { r: 0, g: 0, b: 0 };
+  return `${num(rgb.r / 255)} ${num(rgb.g / 255)} ${num(rgb.b / 255)} rg`;
+};
+
+/**
+ * Convert outline commands to PDF path operators
+ * PDF has no quadratic segments, so Q is raised to an equivalent cubic.
+ */
+const commandsToPDF = (commands) => {
+  const ops = [];
+  let cx = 0, cy = 0;
+
+  for (const [type, ...c] of commands) {
+    switch (type) {
+      case 'M':
+        ops.push(`${num(c[0])} ${num(c[1])} m`);
+        [cx, cy] = c;
+        break;
+      case 'L':
+        ops.push(`${num(c[0])} ${num(c[1])} l`);
+        [cx, cy] = c;
+        break;
+      case 'Q': {
+        const [qx, qy, x, y] = c;
+        const c1x = cx + (2 / 3) * (qx - cx);
+        const c1y = cy + (2 / 3) * (qy - cy);
+        const c2x = x + (2 / 3) * (qx - x);
+        const c2y = y + (2 / 3) * (qy - y);
+        ops.push(`${num(c1x)} ${num(c1y)} ${num(c2x)} ${num(c2y)} ${num(x)} ${num(y)} c`);
+        [cx, cy] = [x, y];
+        break;
+      }
+      case 'C':
+        ops.push(c.map(num).join(' ') + ' c');
+        [cx, cy] = [c[4], c[5]];
+        break;
+      case 'Z':
+        ops.push('h');
+        break;
+    }
+  }
+
+  return ops.join('\n');
+};
+
+/**
+ * Bounding box of outline commands (control points included)
+ */
+const getCommandsBBox = (commands) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const [, ...c] of commands) {
+    for (let i = 0; i < c.length; i += 2) {
+      minX = Math.min(minX, c[i]);
+      minY = Math.min(minY, c[i + 1]);
+      maxX = Math.max(maxX, c[i]);
+      maxY = Math.max(maxY, c[i + 1]);
+    }
+  }
+  return minX === Infinity ? [0, 0, 0, 0] : [minX, minY, maxX, maxY];
+};
+
+/**
+ * zlib-compress a stream (FlateDecode), or null when CompressionStream is unavailable
+ */
+const deflate = async (bytes) => {
+  if (typeof CompressionStream === 'undefined') return null;
+  const stream = new Blob([bytes]).stream().pipeThrough(new CompressionStream('deflate'));
+  return new Uint8Array(await new Response(stream).arrayBuffer());
+};
+
+/**
+ * Generate a single-page vector PDF of the items
+ *
+ * @param {Array} items - Array of grid items with transformed positions
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} options - { longSide, unit } physical page size
+ * @param {number} time - Animation time (for wave mode clones)
+ * @returns {Promise<Blob>} - PDF blob
+ */
+export const generatePDF = async (items, params, width, height, options = {}, time = 0) => {
+  const { longSide = 297, unit = 'mm' } = options;
+  const { pageWidth, pageHeight } = getPDFPageSize(width, height, longSide, unit);
+  const { glyphs, instances } = getVectorInstances(items, params, time);
+  const encoder = new TextEncoder();
+
+  // Object ids: 1 catalog, 2 pages, 3 page, 4 content, 5 info, 6+ glyph forms
+  const objects = [];
+  const glyphForms = new Map(); // glyphId -> resource name
+  let nextId = 6;
+
+  for (const [glyphId, commands] of glyphs) {
+    if (!commands || commands.length === 0) continue;
+    const name = `G${glyphForms.size}`;
+    const data = encoder.encode(`${commandsToPDF(commands)}\nf`);
+    const bbox = getCommandsBBox(commands).map(num).join(' ');
+    glyphForms.set(glyphId, { name, id: nextId });
+    objects[nextId] = { dict: `/Type /XObject /Subtype /Form /BBox [${bbox}]`, data };
+    nextId++;
+  }
+
+  // Page content: scale canvas pixels to points and flip y (PDF origin is bottom-left)
+  const scale = pageWidth / width;
+  const content = ['q', `${num(scale)} 0 0 ${num(-scale)} 0 ${num(pageHeight)} cm`];
+
+  if (!params.backgroundTransparent) {
+    const bg = hexToRgb(params.backgroundColor) || { r: 0, g: 0, b: 0 };
+    content.push(`${num(bg.r / 255)} ${num(bg.g / 255)} ${num(bg.b / 255)} rg`);
+    content.push(`0 0 ${num(width)} ${num(height)} re f`);
+  }
+
+  // One ExtGState per distinct opacity
+  const opacityStates = new Map(); // rounded opacity -> resource name
+  let skipped = 0;
+
+  for (const instance of instances) {
+    const form = glyphForms.get(instance.glyphId);
+    if (!form) {
+      if (glyphs.get(instance.glyphId) === null) skipped++;
+      continue;
+    }
+
+    const alpha = num(Math.min(1, instance.opacity));
+    if (!opacityStates.has(alpha)) opacityStates.set(alpha, `GS${opacityStates.size}`);
+
+    content.push(`q /${opacityStates.get(alpha)} gs ${colorOperator(instance.fill)} ${instance.matrix.map(num).join(' ')} cm /${form.name} Do Q`);
+  }
+  content.push('Q');
+
+  if (skipped > 0) {
+    console.warn(`PDF Export: Skipped ${skipped} glyphs without a loaded outline`);
+  }
+
+  const xObjects = [...glyphForms.values()].map(f => `/${f.name} ${f.id} 0 R`).join(' ');
+  const extGStates = [...opacityStates].map(([alpha, name]) => `/${name} << /Type /ExtGState /ca ${alpha} >>`).join(' ');
+
+  objects[1] = { dict: '/Type /Catalog /Pages 2 0 R' };
+  objects[2] = { dict: '/Type /Pages /Kids [3 0 R] /Count 1' };
+  objects[3] = {
+    dict: `/Type /Page /Parent 2 0 R /MediaBox [0 0 ${num(pageWidth)} ${num(pageHeight)}] ` +
+      `/Resources << /XObject << ${xObjects} >> /ExtGState << ${extGStates} >> >> /Contents 4 0 R`,
+  };
+  objects[4] = { data: encoder.encode(content.join('\n')) };
+  objects[5] = { dict: `/Producer (wave-type) /CreationDate (D:${new Date().toISOString().replace(/[-:T]/g, '').slice(0, 14)}Z)` };
+
+  // Compress streams when possible
+  for (const obj of objects) {
+    if (!obj?.data) continue;
+    const compressed = await deflate(obj.data);
+    if (compressed) {
+      obj.data = compressed;
+      obj.dict = `${obj.dict ? obj.dict + ' ' : ''}/Filter /FlateDecode`;
+    }
+  }
+
+  // Serialize with a byte-accurate cross-reference table
+  const parts = [];
+  const offsets = [];
+  let offset = 0;
+  const push = (chunk) => {
+    const bytes = typeof chunk === 'string' ? encoder.encode(chunk) : chunk;
+    parts.push(bytes);
+    offset += bytes.length;
+  };
+
+  push('%PDF-1.4\n%âãÏÓ\n');
+
+  for (let id = 1; id < objects.length; id++) {
+    const obj = objects[id];
+    offsets[id] = offset;
+    push(`${id} 0 obj\n`);
+    if (obj.data) {
+      push(`<< ${obj.dict ? obj.dict + ' ' : ''}/Length ${obj.data.length} >>\nstream\n`);
+      push(obj.data);
+      push('\nendstream');
+    } else {
+      push(`<< ${obj.dict} >>`);
+    }
+    push('\nendobj\n');
+  }
+
+  const xrefOffset = offset;
+  let xref = `xref\n0 ${objects.length}\n0000000000 65535 f \n`;
+  for (let id = 1; id < objects.length; id++) {
+    xref += `${String(offsets[id]).padStart(10, '0')} 00000 n \n`;
+  }
+  push(xref);
+  push(`trailer\n<< /Size ${objects.length} /Root 1 0 R /Info 5 0 R >>\nstartxref\n${xrefOffset}\n%%EOF\n`);
+
+  return new Blob(parts, { type: 'application/pdf' });
+};
+
+/**
+ * Export the current frame as a vector PDF
+ *
+ * @param {Array} items - Array of grid items with transformed positions
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {Object} options - { longSide, unit } physical page size
+ * @param {string} filename - Base filename
+ * @param {number} time - Animation time (for wave mode clones)
+ */
+export const exportPDF = async (items, params, width, height, options = {}, filename = 'wave-type', time = 0) => {
+  await prepareVectorGlyphs(items, params);
+  const blob = await generatePDF(items, params, width, height, options, time);
+  downloadBlob(blob, `${filename}.pdf`);
+  return true;
+};
@@ -0,0 +1,481 @@
+/**
+ * Plotter Export Module
+ * Stroke-only output for pen plotters (AxiDraw, HPGL plotters, G-code machines)
+ *
+ * Pipeline (all geometry in millimetres on the paper):
+ * 1. Glyph outlines from GlyphCache (via getVectorInstances) are mapped
+ *    onto the paper and flattened to polylines
+ * 2. Optional hatch fill: parallel lines inside each glyph (nonzero winding,
+ *    so counters stay empty)
+ * 3. Hidden-line removal: strokes of a glyph are cut where a glyph drawn
+ *    after it (a nearer extrusion clone or a later item) covers them
+ * 4. Ordering: greedy nearest-endpoint walk (polylines may be reversed)
+ *    to reduce pen-up travel
+ * 5. Output as plain SVG polylines, HPGL or G-code
+ *
+ * Opacity and color are ignored: a pen either draws a line or it doesn't.
+ */
+
+import { PAPER_SIZES } from '../config.js';
+import { getVectorInstances } from '../vector/index.js';
+import { prepareVectorGlyphs, downloadBlob } from './utils.js';
+
+// Curve flattening: max chord length in mm
+const FLATTEN_STEP = 0.25;
+const MAX_CURVE_SEGMENTS = 64;
+
+// HPGL plotter units per mm
+const HPGL_UNITS = 40;
+
+// G-code pen moves (Z axis pen lift)
+const GCODE_PEN_UP = 'G0 Z2';
+const GCODE_PEN_DOWN = 'G1 Z0 F1000';
+const GCODE_FEED = 3000; // mm/min while drawing
+
+// Endpoints closer than this are joined without lifting the pen (mm)
+const JOIN_DISTANCE = 0.05;
+
+export const PLOTTER_FORMATS = {
+  svg: { extension: 'svg', type: 'image/svg+xml' },
+  hpgl: { extension: 'hpgl', type: 'application/vnd.hp-hpgl' },
+  gcode: { extension: 'gcode', type: 'text/plain' },
+};
+
+/**
+ * Paper size in mm oriented like the canvas, and the canvas → paper mapping
+ * (artwork fitted inside the margins and centered)
+ */
+export const getPlotterLayout = (width, height, paper = 'A4', margin = 15) => {
+  const [short, long] = PAPER_SIZES[paper] || PAPER_SIZES.A4;
+  const [paperWidth, paperHeight] = width >= height ? [long, short] : [short, long];
+
+  const scale = Math.min(
+    Math.max(1, paperWidth - margin * 2) / width,
+    Math.max(1, paperHeight - margin * 2) / height
+  );
+
+  return {
+    paperWidth,
+    paperHeight,
+    scale,
+    offsetX: (paperWidth - width * scale) / 2,
+    offsetY: (paperHeight - height * scale) / 2,
+  };
+};
+
+/**
+ * Flatten outline commands to closed contours on the paper
+ * Béziers are affine-invariant, so control points are mapped first and the
+ * curves are sampled in mm.
+ */
+const flattenCommands = (commands, mapPoint) => {
+  const contours = [];
+  let contour = null;
+  let current = null;
+
+  const sampleCurve = (points) => {
+    let length = 0;
+    for (let i = 1; i < points.length; i++) {
+      length += Math.hypot(points[i][0] - points[i - 1][0], points[i][1] - points[i - 1][1]);
+    }
+    const steps = Math.min(MAX_CURVE_SEGMENTS, Math.max(1, Math.ceil(length / FLATTEN_STEP)));
+
+    for (let s = 1; s <= steps; s++) {
+      const t = s / steps;
+      const u = 1 - t;
+      if (points.length === 3) {
+        const [p0, p1, p2] = points;
+        contour.push([
+          u * u * p0[0] + 2 * u * t * p1[0] + t * t * p2[0],
+          u * u * p0[1] + 2 * u * t * p1[1] + t * t * p2[1],
+        ]);
+      } else {
+        const [p0, p1, p2, p3] = points;
+        contour.push([
+          u * u * u * p0[0] + 3 * u * u * t * p1[0] + 3 * u * t * t * p2[0] + t * t * t * p3[0],
+          u * u * u * p0[1] + 3 * u * u * t * p1[1] + 3 * u * t * t * p2[1] + t * t * t * p3[1],
+        ]);
+      }
+    }
+  };
+
+  for (const [type, ...c] of commands) {
+    if (type === 'M') {
+      current = mapPoint(c[0], c[1]);
+      contour = [current];
+      contours.push(contour);
+    } else if (type === 'L') {
+      current = mapPoint(c[0], c[1]);
+      contour.push(current);
+    } else if (type === 'Q') {
+      sampleCurve([current, mapPoint(c[0], c[1]), mapPoint(c[2], c[3])]);
+      current = contour[contour.length - 1];
+    } else if (type === 'C') {
+      sampleCurve([current, mapPoint(c[0], c[1]), mapPoint(c[2], c[3]), mapPoint(c[4], c[5])]);
+      current = contour[contour.length - 1];
+    } else if (type === 'Z' && contour && contour.length > 1) {
+      const [fx, fy] = contour[0];
+      if (current[0] !== fx || current[1] !== fy) contour.push([fx, fy]);
+    }
+  }
+
+  return contours.filter(c => c.length > 1);
+};
+
+const getBounds = (polylines) => {
+  let minX = Infinity, minY = Infinity, maxX = -Infinity, maxY = -Infinity;
+  for (const line of polylines) {
+    for (const [x, y] of line) {
+      if (x < minX) minX = x;
+      if (y < minY) minY = y;
+      if (x > maxX) maxX = x;
+      if (y > maxY) maxY = y;
+    }
+  }
+  return { minX, minY, maxX, maxY };
+};
+
+const boundsOverlap = (a, b) =>
+  a.minX <= b.maxX && a.maxX >= b.minX && a.minY <= b.maxY && a.maxY >= b.minY;
+
+/**
+ * Nonzero winding number of a point against closed contours
+ */
+const windingNumber = (contours, x, y) => {
+  let winding = 0;
+  for (const contour of contours) {
+    for (let i = 0; i < contour.length - 1; i++) {
+      const [ax, ay] = contour[i];
+      const [bx, by] = contour[i + 1];
+      if (ay <= y) {
+        if (by > y && (bx - ax) * (y - ay) - (x - ax) * (by - ay) > 0) winding++;
+      } else if (by <= y && (bx - ax) * (y - ay) - (x - ax) * (by - ay) < 0) {
+        winding--;
+      }
+    }
+  }
+  return winding;
+};
+
+/**
+ * Hatch lines inside a shape (nonzero fill) at the given angle and spacing
+ */
+const hatchShape = (contours, spacing, angleDegrees) => {
+  const angle = angleDegrees * Math.PI / 180;
+  const cos = Math.cos(angle);
+  const sin = Math.sin(angle);
+
+  // Rotate so hatch lines are horizontal
+  const rotated = contours.map(c => c.map(([x, y]) => [x * cos + y * sin, -x * sin + y * cos]));
+  const { minY, maxY } = getBounds(rotated);
+  const lines = [];
+  let row = 0;
+
+  for (let y = minY + spacing / 2; y < maxY; y += spacing, row++) {
+    const crossings = [];
+    for (const contour of rotated) {
+      for (let i = 0; i < contour.length - 1; i++) {
+        const [ax, ay] = contour[i];
+        const [bx, by] = contour[i + 1];
+        if ((ay <= y && by > y) || (by <= y && ay > y)) {
+          crossings.push({ x: ax + (y - ay) / (by - ay) * (bx - ax), dir: by > ay ? 1 : -1 });
+        }
+      }
+    }
+    crossings.sort((a, b) => a.x - b.x);
+
+    // Inside wherever the accumulated winding is nonzero
+    let winding = 0;
+    let startX = null;
+    const segments = [];
+    for (const { x, dir } of crossings) {
+      const wasInside = winding !== 0;
+      winding += dir;
+      if (!wasInside && winding !== 0) startX = x;
+      else if (wasInside && winding === 0) segments.push([startX, x]);
+    }
+
+    // Alternate direction per row (boustrophedon)
+    if (row % 2 === 1) segments.reverse().forEach(s => s.reverse());
+
+    for (const [x0, x1] of segments) {
+      // Rotate back
+      lines.push([
+        [x0 * cos - y * sin, x0 * sin + y * cos],
+        [x1 * cos - y * sin, x1 * sin + y * cos],
+      ]);
+    }
+  }
+
+  return lines;
+};
+
+/**
+ * Parameter (0-1) where segment a→b crosses segment c→d, or null
+ */
+const segmentIntersection = (a, b, c, d) => {
+  const rx = b[0] - a[0], ry = b[1] - a[1];
+  const sx = d[0] - c[0], sy = d[1] - c[1];
+  const denom = rx * sy - ry * sx;
+  if (denom === 0) return null;
+  const qx = c[0] - a[0], qy = c[1] - a[1];
+  const t = (qx * sy - qy * sx) / denom;
+  const u = (qx * ry - qy * rx) / denom;
+  return t > 0 && t < 1 && u >= 0 && u <= 1 ? t : null;
+};
+
+/**
+ * Cut a polyline where it runs inside an occluding shape
+ *
+ * @returns {Array<Array<[x, y]>>} - Visible pieces
+ */
+const clipPolyline = (points, occluder) => {
+  const pieces = [];
+  let current = [];
+
+  for (let i = 0; i < points.length - 1; i++) {
+    const a = points[i];
+    const b = points[i + 1];
+    const segMinX = Math.min(a[0], b[0]), segMaxX = Math.max(a[0], b[0]);
+    const segMinY = Math.min(a[1], b[1]), segMaxY = Math.max(a[1], b[1]);
+
+    // Split the segment at every occluder edge crossing
+    const ts = [0, 1];
+    for (const contour of occluder.contours) {
+      for (let e = 0; e < contour.length - 1; e++) {
+        const c = contour[e];
+        const d = contour[e + 1];
+        if (Math.max(c[0], d[0]) < segMinX || Math.min(c[0], d[0]) > segMaxX) continue;
+        if (Math.max(c[1], d[1]) < segMinY || Math.min(c[1], d[1]) > segMaxY) continue;
+        const t = segmentIntersection(a, b, c, d);
+        if (t !== null) ts.push(t);
+      }
+    }
+    ts.sort((x, y) => x - y);
+
+    const at = (t) => [a[0] + (b[0] - a[0]) * t, a[1] + (b[1] - a[1]) * t];
+
+    for (let k = 0; k < ts.length - 1; k++) {
+      const [t0, t1] = [ts[k], ts[k + 1]];
+      if (t1 - t0 < 1e-9) continue;
+
+      const [mx, my] = at((t0 + t1) / 2);
+      if (windingNumber(occluder.contours, mx, my) === 0) {
+        if (current.length === 0) current.push(at(t0));
+        current.push(at(t1));
+      } else if (current.length > 0) {
+        if (current.length > 1) pieces.push(current);
+        current = [];
+      }
+    }
+  }
+
+  if (current.length > 1) pieces.push(current);
+  return pieces;
+};
+
+/**
+ * Order polylines to reduce pen-up travel (greedy nearest endpoint, spatial grid)
+ */
+const orderPolylines = (polylines) => {
+  if (polylines.length === 0) return [];
+
+  const { minX, minY, maxX, maxY } = getBounds(polylines);
+  const cellSize = Math.max(1, Math.sqrt(((maxX - minX) * (maxY - minY)) / polylines.length));
+  const grid = new Map();
+  const cellKey = (cx, cy) => `${cx},${cy}`;
+  const cellOf = ([x, y]) => [Math.floor((x - minX) / cellSize), Math.floor((y - minY) / cellSize)];
+
+  // Register both endpoints of every polyline
+  polylines.forEach((line, index) => {
+    for (const end of [0, 1]) {
+      const point = end === 0 ? line[0] : line[line.length - 1];
+      const key = cellKey(...cellOf(point));
+      if (!grid.has(key)) grid.set(key, []);
+      grid.get(key).push({ index, end, point });
+    }
+  });
+
+  const used = new Uint8Array(polylines.length);
+  const maxRing = Math.ceil(Math.max(maxX - minX, maxY - minY) / cellSize) + 1;
+  const ordered = [];
+  let position = [minX, minY];
+
+  for (let n = 0; n < polylines.length; n++) {
+    const [cx, cy] = cellOf(position);
+    let best = null;
+    let bestDist = Infinity;
+
+    // Search rings of cells outward until no closer endpoint can exist
+    for (let ring = 0; ring <= maxRing; ring++) {
+      if (best && (ring - 1) * cellSize > bestDist) break;
+      for (let gx = cx - ring; gx <= cx + ring; gx++) {
+        for (let gy = cy - ring; gy <= cy + ring; gy++) {
+          if (Math.max(Math.abs(gx - cx), Math.abs(gy - cy)) !== ring) continue;
+          const cell = grid.get(cellKey(gx, gy));
+          if (!cell) continue;
+          for (const candidate of cell) {
+            if (used[candidate.index]) continue;
+            const dist = Math.hypot(candidate.point[0] - position[0], candidate.point[1] - position[1]);
+            if (dist < bestDist) {
+              bestDist = dist;
+              best = candidate;
+            }
+          }
+        }
+      }
+    }
+
+    used[best.index] = 1;
+    const line = polylines[best.index];
+    const oriented = best.end === 0 ? line : [...line].reverse();
+    ordered.push(oriented);
+    position = oriented[oriented.length - 1];
+  }
+
+  return ordered;
+};
+
+/**
+ * Group ordered polylines into pen-down strokes (joining touching ends)
+ */
+const toStrokes = (polylines) => {
+  const strokes = [];
+  for (const line of polylines) {
+    const last = strokes[strokes.length - 1];
+    const tail = last?.[last.length - 1];
+    if (tail && Math.hypot(tail[0] - line[0][0], tail[1] - line[0][1]) < JOIN_DISTANCE) {
+      last.push(...line.slice(1));
+    } else {
+      strokes.push([...line]);
+    }
+  }
+  return strokes;
+};
+
+const mm = (value) => (Math.round(value * 1000) / 1000).toString();
+
+const writeSVG = (strokes, layout, penWidth) => {
+  const { paperWidth, paperHeight } = layout;
+  let svg = `<?xml version="1.0" encoding="UTF-8"?>
+<svg xmlns="http://www.w3.org/2000/svg" width="${mm(paperWidth)}mm" height="${mm(paperHeight)}mm" viewBox="0 0 ${mm(paperWidth)} ${mm(paperHeight)}">
+  <g fill="none" stroke="#000000" stroke-width="${mm(penWidth)}" stroke-linecap="round" stroke-linejoin="round">
+`;
+  for (const stroke of strokes) {
+    svg += `    <polyline points="${stroke.map(([x, y]) => `${mm(x)},${mm(y)}`).join(' ')}"/>\n`;
+  }
+  svg += `  </g>\n</svg>\n`;
+  return svg;
+};
+
+const writeHPGL = (strokes, layout) => {
+  // HPGL's y axis points up
+  const point = ([x, y]) => `${Math.round(x * HPGL_UNITS)},${Math.round((layout.paperHeight - y) * HPGL_UNITS)}`;
+  const lines = ['IN;', 'SP1;'];
+  for (const stroke of strokes) {
+    lines.push(`PU${point(stroke[0])};`);
+    lines.push(`PD${stroke.slice(1).map(point).join(',')};`);
+  }
+  lines.push('PU;', 'SP0;');
+  return lines.join('\n') + '\n';
+};
+
+const writeGCode = (strokes, layout) => {
+  // Machine y axis points up, origin at the paper's bottom-left corner
+  const point = ([x, y]) => `X${mm(x)} Y${mm(layout.paperHeight - y)}`;
+  const lines = ['G21 ; mm', 'G90 ; absolute', GCODE_PEN_UP];
+  for (const stroke of strokes) {
+    lines.push(`G0 ${point(stroke[0])}`);
+    lines.push(GCODE_PEN_DOWN);
+    for (const p of stroke.slice(1)) lines.push(`G1 ${point(p)} F${GCODE_FEED}`);
+    lines.push(GCODE_PEN_UP);
+  }
+  lines.push('G0 X0 Y0');
+  return lines.join('\n') + '\n';
+};
+
+/**
+ * Generate plotter output for the items
+ *
+ * @param {Array} items - Array of grid items with transformed positions
+ * @param {Object} params - PARAMS object with settings (plotter* options)
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} time - Animation time (for wave mode clones)
+ * @returns {{ content: string, format: string, strokes: number }}
+ */
+export const generatePlotterOutput = (items, params, width, height, time = 0) => {
+  const format = PLOTTER_FORMATS[params.plotterFormat] ? params.plotterFormat : 'svg';
+  const layout = getPlotterLayout(width, height, params.plotterPaper, params.plotterMargin);
+  const { scale, offsetX, offsetY } = layout;
+  const { glyphs, instances } = getVectorInstances(items, params, time);
+
+  // Glyph shapes on paper, back to front
+  const shapes = [];
+  for (const instance of instances) {
+    const commands = glyphs.get(instance.glyphId);
+    if (!commands || commands.length === 0) continue;
+
+    const [a, b, c, d, e, f] = instance.matrix;
+    const mapPoint = (x, y) => [
+      offsetX + (a * x + c * y + e) * scale,
+      offsetY + (b * x + d * y + f) * scale,
+    ];
+
+    const contours = flattenCommands(commands, mapPoint);
+    if (contours.length === 0) continue;
+
+    const lines = [...contours];
+    if (params.plotterHatch) {
+      lines.push(...hatchShape(contours, Math.max(0.1, params.plotterHatchSpacing), params.plotterHatchAngle));
+    }
+
+    shapes.push({ contours, lines, bounds: getBounds(contours) });
+  }
+
+  // Hidden-line removal: cut each shape's lines by every shape drawn after it
+  const polylines = [];
+  for (let i = 0; i < shapes.length; i++) {
+    let visible = shapes[i].lines;
+
+    if (params.plotterHideLines) {
+      // Nearest occluders first (the next clone usually hides the most)
+      for (let j = i + 1; j < shapes.length && visible.length > 0; j++) {
+        if (!boundsOverlap(shapes[i].bounds, shapes[j].bounds)) continue;
+        visible = visible.flatMap(line => clipPolyline(line, shapes[j]));
+      }
+    }
+
+    polylines.push(...visible);
+  }
+
+  const strokes = toStrokes(orderPolylines(polylines));
+
+  let content;
+  if (format === 'hpgl') content = writeHPGL(strokes, layout);
+  else if (format === 'gcode') content = writeGCode(strokes, layout);
+  else content = writeSVG(strokes, layout, params.plotterPenWidth);
+
+  return { content, format, strokes: strokes.length };
+};
+
+/**
+ * Export the current frame for a pen plotter
+ *
+ * @param {Array} items - Array of grid items with transformed positions
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {string} filename - Base filename
+ * @param {number} time - Animation time (for wave mode clones)
+ */
+export const exportPlotter = async (items, params, width, height, filename = 'wave-type', time = 0) => {
+  await prepareVectorGlyphs(items, params);
+
+  const { content, format, strokes } = generatePlotterOutput(items, params, width, height, time);
+  const { extension, type } = PLOTTER_FORMATS[format];
+
+  console.log(`Plotter Export: ${strokes} strokes (${format.toUpperCase()})`);
+  downloadBlob(new Blob([content], { type }), `${filename}-plot.${extension}`);
+  return true;
+};
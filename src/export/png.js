@@ -1,9 +1,49 @@
-export const exportPNG = (p5Instance, filename = 'wave-type') => {
-  if (!p5Instance) {
-    console.error('No p5 instance available for PNG export');
-    return false;
-  }
+import { ensureFontLoaded, downloadBlob } from './utils.js';
+
+// Largest PNG edge (8K)
+export const MAX_PNG_SIZE = 7680;
 
-  p5Instance.saveCanvas(filename, 'png');
+/**
+ * Render a single frame offscreen and save it as PNG
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {Object} options { width, height, time, previewWidth }
+ * @param {string} filename File name without extension
+ * @returns {Promise<boolean>}
+ */
+export const exportPNG = async (renderFrame, params, options, filename = 'wave-type') => {
+  downloadBlob(await renderPNG(renderFrame, params, options), `${filename}.png`);
   return true;
 };
+
+/**
+ * Render a single frame offscreen as a PNG Blob
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {Object} options { width, height, time, previewWidth }
+ * @returns {Promise<Blob>}
+ */
+export const renderPNG = async (renderFrame, params, options) => {
+  const { width, height, time = 0, previewWidth = 800 } = options;
+
+  if (width > MAX_PNG_SIZE || height > MAX_PNG_SIZE) {
+    throw new Error(`PNG size ${width}×${height} exceeds ${MAX_PNG_SIZE}px`);
+  }
+
+  await ensureFontLoaded(params.font);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  // Always keep an alpha channel: transparent backgrounds are cleared, not filled
+  const ctx = canvas.getContext('2d', { alpha: true });
+
+  await renderFrame(ctx, canvas, time, params, width / previewWidth);
+
+  return new Promise((resolve, reject) => {
+    canvas.toBlob((result) => {
+      if (result) resolve(result);
+      else reject(new Error('Canvas could not be encoded as PNG'));
+    }, 'image/png');
+  });
+};
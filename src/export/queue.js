@@ -0,0 +1,138 @@
+/**
+ * Export queue
+ * Batch exports: each job is a source (preset or params snapshot) × aspect
+ * ratio × format × resolution. Jobs run one after another and their files
+ * are collected into one ZIP named <source>_<ratio>_<width>x<height>.<ext>.
+ *
+ * Rendering a job is up to the caller (runJob), which owns the export
+ * pipelines; the queue only keeps the jobs, names files and zips them.
+ */
+
+import { PARAMS, ASPECT_RATIOS } from '../config.js';
+import { ZipWriter } from './zip.js';
+
+// Formats a job can produce; `sized` formats take the job's resolution (long side)
+export const QUEUE_FORMATS = {
+  png: { label: 'PNG', extension: 'png', sized: true },
+  svg: { label: 'SVG', extension: 'svg', sized: false },
+  pdf: { label: 'PDF', extension: 'pdf', sized: false },
+  mp4: { label: 'MP4', extension: 'mp4', sized: true },
+  webm: { label: 'WebM', extension: 'webm', sized: true },
+  gif: { label: 'GIF', extension: 'gif', sized: true },
+};
+
+/**
+ * File-name-safe version of a name ("Ocean Drift" → "ocean-drift")
+ */
+const slugify = (name) => name
+  .toLowerCase()
+  .replace(/[^a-z0-9]+/g, '-')
+  .replace(/^-+|-+$/g, '') || 'untitled';
+
+export class ExportQueue {
+  constructor() {
+    this.jobs = [];
+    this.nextId = 1;
+  }
+
+  /**
+   * Add a job
+   * The job keeps a snapshot of the current PARAMS (baseParams) for the
+   * settings its source doesn't set, so later edits don't leak into it.
+   *
+   * @param {Object} job - { source: { name, params }, aspectRatio, format, resolution }
+   * @returns {Object} - The queued job (with an id and baseParams)
+   */
+  add({ source, aspectRatio, format, resolution }) {
+    if (!(aspectRatio in ASPECT_RATIOS)) throw new Error(`Unknown aspect ratio "${aspectRatio}"`);
+    if (!QUEUE_FORMATS[format]) throw new Error(`Unknown export format "${format}"`);
+    if (!Number.isFinite(resolution) || resolution < 1) throw new Error(`Invalid resolution "${resolution}"`);
+
+    const job = {
+      id: this.nextId++,
+      source,
+      aspectRatio,
+      format,
+      resolution: Math.round(resolution),
+      baseParams: structuredClone(PARAMS),
+    };
+    this.jobs.push(job);
+    return job;
+  }
+
+  /**
+   * Remove a job by id
+   */
+  remove(id) {
+    const index = this.jobs.findIndex(job => job.id === id);
+    if (index === -1) return false;
+    this.jobs.splice(index, 1);
+    return true;
+  }
+
+  /**
+   * Remove every job
+   */
+  clear() {
+    this.jobs = [];
+  }
+
+  /**
+   * One-line summary of a job ("Ocean Drift · 9:16 · MP4 · 1920px")
+   */
+  describe(job) {
+    const format = QUEUE_FORMATS[job.format];
+    const size = format.sized ? ` · ${job.resolution}px` : '';
+    return `${job.source.name} · ${job.aspectRatio} · ${format.label}${size}`;
+  }
+
+  /**
+   * File name for a job's output
+   */
+  getFilename(job, width, height) {
+    const ratio = job.aspectRatio.replace(':', 'x');
+    return `${slugify(job.source.name)}_${ratio}_${width}x${height}.${QUEUE_FORMATS[job.format].extension}`;
+  }
+
+  /**
+   * Run every job and zip the results
+   * A failing job is skipped (reported in `failed`); the others still run.
+   *
+   * @param {Function} runJob - async (job, onProgress) => { blob, width, height }
+   * @param {Object} options - { onProgress(progress, job), signal }
+   * @returns {Promise<{ blob: Blob, failed: Array<{ job, error }> }>}
+   */
+  async run(runJob, { onProgress = null, signal = null } = {}) {
+    const jobs = [...this.jobs];
+    const zip = new ZipWriter();
+    const names = new Set();
+    const failed = [];
+
+    for (let i = 0; i < jobs.length; i++) {
+      signal?.throwIfAborted();
+      const job = jobs[i];
+      if (onProgress) onProgress(i / jobs.length, job);
+
+      try {
+        const { blob, width, height } = await runJob(job, (progress) => {
+          if (onProgress) onProgress((i + progress) / jobs.length, job);
+        });
+
+        // Same source, ratio and size twice: number the duplicates
+        let name = this.getFilename(job, width, height);
+        for (let n = 2; names.has(name); n++) {
+          name = this.getFilename(job, width, height).replace(/(\.\w+)$/, `-${n}$1`);
+        }
+        names.add(name);
+        await zip.add(name, blob);
+      } catch (error) {
+        if (error.name === 'AbortError') throw error;
+        console.error(`Export queue: "${this.describe(job)}" failed:`, error);
+        failed.push({ job, error });
+      }
+    }
+
+    if (onProgress) onProgress(1, null);
+    return { blob: zip.toBlob(), failed };
+  }
+}
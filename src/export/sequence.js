@@ -0,0 +1,51 @@
+import { renderFrames } from './frames.js';
+import { ZipWriter } from './zip.js';
+
+const SEQUENCE_FORMATS = {
+  png: { mimeType: 'image/png', extension: 'png' },
+  webp: { mimeType: 'image/webp', extension: 'webp' },
+};
+
+/**
+ * Encode the current canvas contents as an image Blob
+ */
+const canvasToBlob = (canvas, mimeType, quality) => new Promise((resolve, reject) => {
+  canvas.toBlob((blob) => {
+    // Browsers without WebP encoding silently fall back to PNG
+    if (blob && blob.type === mimeType) resolve(blob);
+    else reject(new Error(`This browser cannot encode ${mimeType}`));
+  }, mimeType, quality);
+});
+
+/**
+ * Record canvas animation as a ZIP of numbered PNG or WebP frames
+ * Frames keep their alpha channel when backgroundTransparent is set.
+ *
+ * @param {Object} options { width, height, fps, duration, loopLength, format, quality, filename, onProgress, signal }
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {number} previewWidth Width of the preview canvas (for scale calculation)
+ * @returns {Promise<Blob>} ZIP blob
+ */
+export const recordSequence = async (options, renderFrame, params, previewWidth = 800) => {
+  const { format = 'png', quality = 0.9, filename = 'wave-type' } = options;
+  const { mimeType, extension } = SEQUENCE_FORMATS[format] || SEQUENCE_FORMATS.png;
+
+  const zip = new ZipWriter();
+
+  await renderFrames(
+    { ...options, alpha: true },
+    renderFrame,
+    params,
+    previewWidth,
+    async (canvas, frame, totalFrames) => {
+      // Zero-pad to the width of the last frame number (at least 4 digits)
+      const digits = Math.max(4, String(totalFrames - 1).length);
+      const name = `${filename}_${String(frame).padStart(digits, '0')}.${extension}`;
+      await zip.add(`${filename}/${name}`, await canvasToBlob(canvas, mimeType, quality));
+    }
+  );
+
+  if (options.onProgress) options.onProgress(1);
+  return zip.toBlob();
+};
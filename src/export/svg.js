@@ -3,29 +3,40 @@
  * Creates SVG from current canvas state
  *
  * Supports two modes:
- * 1. Vector export (useVectorExport=true): Embeds font paths using textToPoints
+ * 1. Vector export (useVectorExport=true): Embeds the font's Bézier glyph outlines
  * 2. Text export (default fallback): Uses <text> elements with CSS font import
+ *
+ * exportAnimatedSVG samples one perfect loop through the vector pipeline
+ * and writes a looping, keyframed SVG.
  */
 
-import { fontManager, glyphCache, generateVectorSVG, estimateSVGSize } from '../vector/index.js';
+import {
+  generateVectorSVG,
+  generateAnimatedVectorSVG,
+  estimateSVGSize,
+  getFontVariationSettings,
+} from '../vector/index.js';
 import { FONTS } from '../config.js';
+import { getItemColor } from '../color/index.js';
+import { getLoopInfo } from '../transforms/index.js';
+import { prepareVectorGlyphs } from './utils.js';
+
+// Frame cap for animated SVG (file size grows with frames × glyph instances)
+const MAX_ANIMATED_FRAMES = 600;
+
+export const exportSVG = async (items, params, width, height, filename = 'wave-type', time = 0) => {
+  downloadSVG(await generateSVG(items, params, width, height, time), filename);
+  return true;
+};
 
-export const exportSVG = async (items, params, width, height, filename = 'wave-type') => {
+/**
+ * SVG markup for a frame: vector outlines when enabled, else <text> elements
+ */
+export const generateSVG = async (items, params, width, height, time = 0) => {
   // Try vector export if enabled
   if (params.useVectorExport) {
     try {
-      // Ensure font is loaded for vector export
-      const font = fontManager.getFont(params.font, params.fontWeight);
-      if (!font) {
-        console.log('SVG Export: Loading font for vector export...');
-        await fontManager.loadFont(params.font, params.fontWeight);
-      }
-
-      // Preload glyphs for all characters in items
-      const uniqueChars = [...new Set(items.map(i => i.char))];
-      for (const char of uniqueChars) {
-        glyphCache.getGlyph(params.font, char, params.fontSize, params.fontWeight, params.sampleFactor);
-      }
+      await prepareVectorGlyphs(items, params);
 
       // Check estimated file size
       const estimatedSize = estimateSVGSize(items, params);
@@ -36,10 +47,9 @@ export const exportSVG = async (items, params, width, height, filename = 'wave-t
       }
 
       // Generate vector SVG
-      const svg = generateVectorSVG(items, params, width, height);
-      downloadSVG(svg, filename);
+      const svg = generateVectorSVG(items, params, width, height, time);
       console.log('SVG Export: Vector export successful');
-      return true;
+      return svg;
     } catch (error) {
       console.warn('SVG Export: Vector export failed, falling back to text mode:', error);
       // Fall through to text-based export
@@ -47,13 +57,49 @@ export const exportSVG = async (items, params, width, height, filename = 'wave-t
   }
 
   // Text-based export (original implementation)
-  return exportTextSVG(items, params, width, height, filename);
+  return generateTextSVG(items, params, width, height);
+};
+
+/**
+ * Export one perfect loop as an animated SVG
+ *
+ * @param {Function} layoutItems - (time) => items with transforms for that time (fresh array per call)
+ * @param {Object} params - PARAMS object
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} fps - Samples per second of loop
+ * @param {string} filename - Base filename
+ */
+export const exportAnimatedSVG = async (layoutItems, params, width, height, fps = 24, filename = 'wave-type') => {
+  const loop = getLoopInfo(params);
+  const frameCount = Math.min(MAX_ANIMATED_FRAMES, Math.max(2, Math.round(fps * loop.seconds)));
+  if (frameCount === MAX_ANIMATED_FRAMES) {
+    console.warn(`SVG Export: Loop capped at ${MAX_ANIMATED_FRAMES} samples`);
+  }
+
+  // Sample the loop evenly (the last sample stops one step short of the loop end)
+  const frames = [];
+  for (let k = 0; k < frameCount; k++) {
+    const time = (k / frameCount) * loop.length;
+    frames.push({ time, items: layoutItems(time) });
+  }
+
+  await prepareVectorGlyphs(frames.flatMap(f => f.items), params);
+
+  const estimatedSize = estimateSVGSize(frames[0].items, params) * frameCount / 2;
+  if (estimatedSize > 10 * 1024 * 1024) {
+    console.warn(`SVG Export: Estimated animated size ${(estimatedSize / 1024 / 1024).toFixed(1)}MB - file may be large`);
+  }
+
+  const svg = generateAnimatedVectorSVG(frames, params, width, height, loop.seconds);
+  downloadSVG(svg, `${filename}-animated`);
+  return true;
 };
 
 /**
  * Original text-based SVG export
  */
-const exportTextSVG = (items, params, width, height, filename) => {
+const generateTextSVG = (items, params, width, height) => {
   const svgNS = 'http://www.w3.org/2000/svg';
 
   // Create SVG element with optional background
@@ -102,7 +148,7 @@ ${backgroundRect}  <style>
     if (opacity <= 0.01) continue;
 
     // Get color
-    const color = getColorForSVG(item, params);
+    const color = getItemColor(item, params);
 
     // Build transform string
     let transform = `translate(${x.toFixed(2)}, ${y.toFixed(2)})`;
@@ -113,82 +159,20 @@ ${backgroundRect}  <style>
       transform += ` scale(${scale.toFixed(3)})`;
     }
 
+    // Per-glyph variable axes (weight channel + axis channel)
+    const fontWeight = Math.round(item.transformed.fontWeight ?? params.fontWeight);
+    const variationSettings = getFontVariationSettings(params, item.transformed);
+
     // Escape special characters for XML
     const escapedChar = escapeXML(char);
 
-    svg += `    <text transform="${transform}" fill="${color}" fill-opacity="${opacity.toFixed(3)}" font-size="${params.fontSize}" font-weight="${params.fontWeight}" text-anchor="middle" dominant-baseline="central">${escapedChar}</text>\n`;
+    svg += `    <text transform="${transform}" fill="${color}" fill-opacity="${opacity.toFixed(3)}" font-size="${params.fontSize}" font-weight="${fontWeight}" style="font-variation-settings: ${variationSettings}" text-anchor="middle" dominant-baseline="central">${escapedChar}</text>\n`;
   }
 
   svg += `  </g>
 </svg>`;
 
-  // Download the SVG
-  downloadSVG(svg, filename);
-
-  return true;
-};
-
-const getColorForSVG = (item, params) => {
-  const { row, col, totalRows, totalCols, transformed } = item;
-
-  switch (params.colorMode) {
-    case 'rainbow': {
-      const hue = ((col / totalCols + row / totalRows) % 1) * 360;
-      return `hsl(${hue.toFixed(0)}, 80%, 50%)`;
-    }
-
-    case 'gradient':
-    case 'depth': {
-      // Simple linear interpolation for gradient
-      let t = (col / totalCols + row / totalRows) / 2;
-
-      if (params.colorMode === 'depth' && transformed?.depth) {
-        const z = transformed.depth.z;
-        t = (z + params.depthAmplitude) / (params.depthAmplitude * 2);
-      }
-
-      return interpolateColor(params.gradientStart, params.gradientEnd, t);
-    }
-
-    case 'position': {
-      const hue = (col / totalCols) * 360;
-      return `hsl(${hue.toFixed(0)}, 70%, 50%)`;
-    }
-
-    case 'solid':
-    default:
-      return params.textColor;
-  }
-};
-
-const interpolateColor = (color1, color2, t) => {
-  // Parse hex colors
-  const c1 = hexToRgb(color1);
-  const c2 = hexToRgb(color2);
-
-  if (!c1 || !c2) return color1;
-
-  const r = Math.round(c1.r + (c2.r - c1.r) * t);
-  const g = Math.round(c1.g + (c2.g - c1.g) * t);
-  const b = Math.round(c1.b + (c2.b - c1.b) * t);
-
-  return rgbToHex(r, g, b);
-};
-
-const hexToRgb = (hex) => {
-  const result = /^#?([a-f\d]{2})([a-f\d]{2})([a-f\d]{2})$/i.exec(hex);
-  return result ? {
-    r: parseInt(result[1], 16),
-    g: parseInt(result[2], 16),
-    b: parseInt(result[3], 16),
-  } : null;
-};
-
-const rgbToHex = (r, g, b) => {
-  return '#' + [r, g, b].map(x => {
-    const hex = x.toString(16);
-    return hex.length === 1 ? '0' + hex : hex;
-  }).join('');
+  return svg;
 };
 
 const escapeXML = (str) => {
@@ -0,0 +1,64 @@
+/**
+ * Shared helpers for the exporters (offscreen raster and vector)
+ */
+
+import { fontManager, glyphCache, getGlyphWeight } from '../vector/index.js';
+
+/**
+ * Ensure font is loaded for Canvas 2D rendering
+ */
+export async function ensureFontLoaded(fontName) {
+  try {
+    // Check if font is already loaded
+    const testString = 'ABCDEFGHIJKLMNOPQRSTUVWXYZabcdefghijklmnopqrstuvwxyz0123456789';
+    const loaded = document.fonts.check(`16px "${fontName}"`, testString);
+
+    if (!loaded) {
+      // Wait for font to load (with timeout)
+      await Promise.race([
+        document.fonts.load(`16px "${fontName}"`, testString),
+        new Promise((_, reject) =>
+          setTimeout(() => reject(new Error('Font load timeout')), 5000)
+        )
+      ]);
+    }
+
+    return true;
+  } catch (error) {
+    console.warn(`Font "${fontName}" may not be fully loaded:`, error);
+    return false;
+  }
+}
+
+/**
+ * Load the font for every weight used and outline each glyph
+ * (animated weights are snapped to 100-steps)
+ */
+export const prepareVectorGlyphs = async (items, params) => {
+  const weights = [...new Set(items.map(i => getGlyphWeight(i, params)))];
+  for (const weight of weights) {
+    if (!fontManager.getFont(params.font, weight)) {
+      console.log(`SVG Export: Loading font weight ${weight} for vector export...`);
+      await fontManager.loadFont(params.font, weight);
+    }
+  }
+
+  // Preload glyphs for all characters in items
+  for (const item of items) {
+    glyphCache.getGlyph(params.font, item.char, params.fontSize, getGlyphWeight(item, params));
+  }
+};
+
+/**
+ * Download blob as file
+ */
+export const downloadBlob = (blob, filename = 'wave-type.mp4') => {
+  const url = URL.createObjectURL(blob);
+  const link = document.createElement('a');
+  link.href = url;
+  link.download = filename;
+  document.body.appendChild(link);
+  link.click();
+  document.body.removeChild(link);
+  URL.revokeObjectURL(url);
+};
@@ -0,0 +1,87 @@
+/**
+ * Video export worker
+ * Lays out, renders (OffscreenCanvas) and encodes (VideoEncoder) an MP4 or
+ * WebM export off the main thread, so the preview keeps running.
+ *
+ * Messages in:
+ *   { type: 'start', format: 'mp4'|'webm', options, params, previewWidth, fonts }
+ * Messages out:
+ *   { type: 'progress', progress, eta }
+ *   { type: 'done', buffer } (buffer transferred)
+ *   { type: 'error', message }
+ *
+ * Cancelling terminates the worker.
+ */
+
+import { CollisionDetector, CollisionResolver } from '../physics/index.js';
+import { layoutItems, renderFrame } from '../core/index.js';
+import { createWebGLRenderer } from '../webgl/index.js';
+import { getFrameTiming, getETA } from './frames.js';
+import { createMP4Encoder } from './mp4.js';
+import { createWebMEncoder } from './webm.js';
+import { loadFontSources } from './workerFonts.js';
+
+// Frames the encoder may hold before rendering waits for it
+const MAX_QUEUED_FRAMES = 4;
+
+/**
+ * Render and encode every frame; returns the file contents
+ */
+const record = async ({ format, options, params, previewWidth, fonts }) => {
+  const { width, height } = options;
+  const alpha = format === 'webm' && params.backgroundTransparent;
+
+  await loadFontSources(fonts);
+
+  const encoder = format === 'webm'
+    ? await createWebMEncoder({ ...options, alpha })
+    : createMP4Encoder(options);
+
+  const canvas = new OffscreenCanvas(width, height);
+  const ctx = canvas.getContext('2d', { alpha });
+  const physics = { collisionDetector: new CollisionDetector(), collisionResolver: new CollisionResolver() };
+  const glyphRenderer = params.renderer === 'webgl' ? createWebGLRenderer() : null;
+  const viewport = { width, height, scale: width / previewWidth };
+
+  const { totalFrames, timeStep } = getFrameTiming(options, params);
+  const startedAt = performance.now();
+  let currentTime = 0;
+
+  try {
+    for (let frame = 0; frame < totalFrames; frame++) {
+      const progress = frame / totalFrames;
+      self.postMessage({ type: 'progress', progress, eta: getETA(startedAt, progress) });
+
+      const items = layoutItems(params, width, height, currentTime, physics);
+      renderFrame(ctx, { params, items }, currentTime, viewport, glyphRenderer);
+      encoder.encode(canvas, frame);
+
+      // Let the encoder catch up (its output callbacks need the event loop)
+      while (encoder.queueSize > MAX_QUEUED_FRAMES) {
+        await new Promise(resolve => setTimeout(resolve, 1));
+      }
+
+      // Advance time (accumulated like the main-thread frame loop)
+      currentTime += timeStep;
+    }
+
+    return await encoder.finish();
+  } catch (error) {
+    encoder.close();
+    throw error;
+  } finally {
+    if (glyphRenderer) glyphRenderer.dispose();
+  }
+};
+
+self.onmessage = async (event) => {
+  if (event.data.type !== 'start') return;
+
+  try {
+    const buffer = await record(event.data);
+    self.postMessage({ type: 'progress', progress: 1, eta: 0 });
+    self.postMessage({ type: 'done', buffer }, [buffer]);
+  } catch (error) {
+    self.postMessage({ type: 'error', message: error.message });
+  }
+};
@@ -0,0 +1,146 @@
+import { Muxer, ArrayBufferTarget } from 'webm-muxer';
+import { renderFrames } from './frames.js';
+
+/**
+ * Return a VP9 profile 0 (8-bit 4:2:0) codec string whose level supports the frame size.
+ * Level is chosen by luma picture size (samples per frame):
+ *   Level 3.1 →   983,040  (~1280×720)
+ *   Level 4.1 → 2,228,224  (~2048×1088)
+ *   Level 5.1 → 8,912,896  (~4096×2176)
+ *   Level 6.1 → 35,651,584 (~8192×4352)
+ */
+function getVP9Codec(width, height) {
+  const samples = width * height;
+  let level;
+  if (samples <= 983040)       level = 31;
+  else if (samples <= 2228224) level = 41;
+  else if (samples <= 8912896) level = 51;
+  else                         level = 61;
+  return `vp09.00.${level}.08`;
+}
+
+/**
+ * Create a VP9 encoder muxing into an in-memory WebM
+ * Keeps the alpha channel when `alpha` is set; the muxer writes the
+ * encoder's alpha side data as Matroska BlockAdditions. Works on the main
+ * thread and in workers.
+ *
+ * @param {Object} options { width, height, fps, quality, alpha }
+ * @returns {Promise<Object>} { queueSize, encode(canvas, frame), finish() → Promise<ArrayBuffer>, close() }
+ */
+export const createWebMEncoder = async ({ width = 1920, height = 1080, fps = 30, quality = 0.8, alpha = false }) => {
+  // Check for VideoEncoder support
+  if (typeof VideoEncoder === 'undefined') {
+    throw new Error('VideoEncoder API not supported. Please use Chrome or Edge.');
+  }
+
+  const frameDuration = 1000000 / fps; // microseconds
+
+  // Calculate bitrate based on quality (1-10 Mbps range)
+  const bitrate = Math.floor(1000000 + quality * 9000000);
+
+  const config = {
+    codec: getVP9Codec(width, height),
+    width,
+    height,
+    bitrate,
+    framerate: fps,
+    alpha: alpha ? 'keep' : 'discard',
+  };
+
+  const { supported } = await VideoEncoder.isConfigSupported(config);
+  if (!supported) {
+    throw new Error(`VP9${alpha ? ' with alpha' : ''} encoding at ${width}×${height} is not supported by this browser.`);
+  }
+
+  // Initialize muxer
+  const muxer = new Muxer({
+    target: new ArrayBufferTarget(),
+    video: {
+      codec: 'V_VP9',
+      width,
+      height,
+      frameRate: fps,
+      alpha,
+    },
+  });
+
+  // Create video encoder
+  const encoder = new VideoEncoder({
+    output: (chunk, meta) => {
+      muxer.addVideoChunk(chunk, meta);
+    },
+    error: (e) => {
+      console.error('Encoder error:', e);
+    },
+  });
+
+  encoder.configure(config);
+
+  return {
+    // Frames waiting to be encoded (for backpressure)
+    get queueSize() {
+      return encoder.encodeQueueSize;
+    },
+
+    encode(canvas, frame) {
+      const videoFrame = new VideoFrame(canvas, {
+        timestamp: frame * frameDuration,
+        duration: frameDuration,
+        alpha: 'keep',
+      });
+
+      encoder.encode(videoFrame, { keyFrame: frame % (fps * 2) === 0 });
+      videoFrame.close();
+    },
+
+    async finish() {
+      // Flush encoder
+      await encoder.flush();
+      encoder.close();
+
+      // Finalize muxer
+      muxer.finalize();
+      return muxer.target.buffer;
+    },
+
+    close() {
+      // Only close if not already closed
+      if (encoder.state !== 'closed') {
+        encoder.close();
+      }
+    },
+  };
+};
+
+/**
+ * Record canvas animation to WebM (VP9)
+ * Keeps the alpha channel when backgroundTransparent is set.
+ *
+ * @param {Object} options { width, height, fps, duration, quality, loopLength, onProgress, signal }
+ * @param {Function} renderFrame Function that renders a single frame
+ * @param {Object} params Current parameters
+ * @param {number} previewWidth Width of the preview canvas (for scale calculation)
+ * @returns {Promise<Blob>} WebM blob
+ */
+export const recordWebM = async (options, renderFrame, params, previewWidth = 800) => {
+  const alpha = params.backgroundTransparent;
+  const encoder = await createWebMEncoder({ ...options, alpha });
+
+  try {
+    await renderFrames(
+      { ...options, alpha },
+      renderFrame,
+      params,
+      previewWidth,
+      (canvas, frame) => encoder.encode(canvas, frame)
+    );
+
+    const buffer = await encoder.finish();
+    if (options.onProgress) options.onProgress(1, 0);
+    return new Blob([buffer], { type: 'video/webm' });
+  } catch (error) {
+    encoder.close();
+    throw error;
+  }
+};
@@ -0,0 +1,101 @@
+/**
+ * Fonts for exports rendered in a worker
+ *
+ * Workers don't share the page's document.fonts, so the worker registers
+ * the export font itself in its own FontFaceSet (self.fonts):
+ * - Uploaded fonts: the file's data URL
+ * - Curated fonts: the @font-face rules of the Google Fonts stylesheet the
+ *   page loaded (fetched again by the worker, served from the HTTP cache)
+ */
+
+import { uploadedFonts, FONTS } from '../config.js';
+
+/**
+ * Describe where a worker can load a font from (main thread)
+ *
+ * @returns {Array<{ family, source?, css?, cssFamily? }>} - Empty when unknown
+ */
+export const getFontSources = (fontName) => {
+  const uploadedFont = uploadedFonts.find(f => f.name === fontName);
+  if (uploadedFont) {
+    return [{ family: fontName, source: `url(${uploadedFont.dataUrl})` }];
+  }
+
+  const fontConfig = FONTS.find(f => f.name === fontName);
+  const stylesheet = [...document.querySelectorAll('link[rel="stylesheet"]')]
+    .find(link => link.href.startsWith('https://fonts.googleapis.com/'));
+  if (!fontConfig || !stylesheet) return [];
+
+  return [{ family: fontName, css: stylesheet.href, cssFamily: fontConfig.cssFamily }];
+};
+
+/**
+ * Parse the @font-face rules for one family out of a stylesheet
+ *
+ * @returns {Array<{ src, descriptors }>} - FontFace constructor arguments
+ */
+export const parseFontFaceRules = (css, family) => {
+  const rules = [];
+  const DESCRIPTORS = {
+    'font-style': 'style',
+    'font-weight': 'weight',
+    'font-stretch': 'stretch',
+    'unicode-range': 'unicodeRange',
+  };
+
+  for (const [, body] of css.matchAll(/@font-face\s*{([^}]*)}/g)) {
+    const declarations = {};
+    for (const declaration of body.split(';')) {
+      const colon = declaration.indexOf(':');
+      if (colon < 0) continue;
+      declarations[declaration.slice(0, colon).trim()] = declaration.slice(colon + 1).trim();
+    }
+
+    const ruleFamily = (declarations['font-family'] || '').replace(/^['"]|['"]$/g, '');
+    if (ruleFamily !== family || !declarations.src) continue;
+
+    const descriptors = {};
+    Object.entries(DESCRIPTORS).forEach(([property, key]) => {
+      if (declarations[property]) descriptors[key] = declarations[property];
+    });
+    rules.push({ src: declarations.src, descriptors });
+  }
+
+  return rules;
+};
+
+/**
+ * Register and load font sources in a worker's FontFaceSet
+ * Faces that fail to load are skipped (the canvas falls back like the page would).
+ *
+ * @returns {Promise<number>} - Number of faces loaded
+ */
+export const loadFontSources = async (sources, fontFaceSet = self.fonts) => {
+  const faces = [];
+
+  for (const source of sources) {
+    if (source.source) {
+      faces.push(new FontFace(source.family, source.source));
+      continue;
+    }
+
+    try {
+      const response = await fetch(source.css);
+      if (!response.ok) throw new Error(`Stylesheet fetch failed: ${response.status}`);
+      const rules = parseFontFaceRules(await response.text(), source.cssFamily);
+      rules.forEach(({ src, descriptors }) => faces.push(new FontFace(source.family, src, descriptors)));
+    } catch (error) {
+      console.warn(`Font "${source.family}" could not be loaded in the export worker:`, error);
+    }
+  }
+
+  const results = await Promise.allSettled(faces.map(face => face.load()));
+  let loaded = 0;
+  results.forEach((result, i) => {
+    if (result.status !== 'fulfilled') return;
+    fontFaceSet.add(faces[i]);
+    loaded++;
+  });
+
+  return loaded;
+};
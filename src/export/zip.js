@@ -0,0 +1,122 @@
+/**
+ * Minimal ZIP writer (no dependencies)
+ *
+ * Stores entries uncompressed (method 0): exported PNG/WebP frames are
+ * already compressed, so deflating them again would only cost time.
+ * Entries are kept as Blobs so large sequences don't pin every frame's
+ * bytes in memory. No ZIP64: the archive must stay below 4GB.
+ */
+
+const ZIP_LIMIT = 0xffffffff;
+
+// CRC-32 lookup table (IEEE polynomial)
+const CRC_TABLE = (() => {
+  const table = new Uint32Array(256);
+  for (let n = 0; n < 256; n++) {
+    let c = n;
+    for (let k = 0; k < 8; k++) {
+      c = c & 1 ? 0xedb88320 ^ (c >>> 1) : c >>> 1;
+    }
+    table[n] = c >>> 0;
+  }
+  return table;
+})();
+
+export function crc32(bytes) {
+  let crc = 0xffffffff;
+  for (let i = 0; i < bytes.length; i++) {
+    crc = CRC_TABLE[(crc ^ bytes[i]) & 0xff] ^ (crc >>> 8);
+  }
+  return (crc ^ 0xffffffff) >>> 0;
+}
+
+/**
+ * MS-DOS date and time fields for a Date
+ */
+function getDosDateTime(date) {
+  const time = (date.getHours() << 11) | (date.getMinutes() << 5) | Math.floor(date.getSeconds() / 2);
+  const day = ((date.getFullYear() - 1980) << 9) | ((date.getMonth() + 1) << 5) | date.getDate();
+  return { time, day };
+}
+
+export class ZipWriter {
+  constructor() {
+    this.parts = []; // local headers + file data, in archive order
+    this.entries = []; // central directory records
+    this.offset = 0;
+    this.modified = getDosDateTime(new Date());
+  }
+
+  /**
+   * Add a file to the archive
+   *
+   * @param {string} name - Path inside the archive (UTF-8)
+   * @param {Blob|Uint8Array|ArrayBuffer} data - File contents
+   */
+  async add(name, data) {
+    const bytes = data instanceof Blob
+      ? new Uint8Array(await data.arrayBuffer())
+      : new Uint8Array(data);
+    const nameBytes = new TextEncoder().encode(name);
+    const crc = crc32(bytes);
+    const size = bytes.length;
+
+    if (this.offset + 30 + nameBytes.length + size > ZIP_LIMIT || this.entries.length >= 0xffff) {
+      throw new Error('ZIP archive exceeds 4GB or 65535 entries');
+    }
+
+    const header = new DataView(new ArrayBuffer(30));
+    header.setUint32(0, 0x04034b50, true); // local file header signature
+    header.setUint16(4, 20, true); // version needed (2.0)
+    header.setUint16(6, 0x0800, true); // flags: UTF-8 names
+    header.setUint16(8, 0, true); // method: store
+    header.setUint16(10, this.modified.time, true);
+    header.setUint16(12, this.modified.day, true);
+    header.setUint32(14, crc, true);
+    header.setUint32(18, size, true); // compressed size
+    header.setUint32(22, size, true); // uncompressed size
+    header.setUint16(26, nameBytes.length, true);
+    header.setUint16(28, 0, true); // extra field length
+
+    this.entries.push({ nameBytes, crc, size, offset: this.offset });
+    this.parts.push(header.buffer, nameBytes, data instanceof Blob ? data : bytes);
+    this.offset += 30 + nameBytes.length + size;
+  }
+
+  /**
+   * Write the central directory and return the archive
+   */
+  toBlob() {
+    const centralParts = [];
+    let centralSize = 0;
+
+    for (const entry of this.entries) {
+      const record = new DataView(new ArrayBuffer(46));
+      record.setUint32(0, 0x02014b50, true); // central directory signature
+      record.setUint16(4, 20, true); // version made by
+      record.setUint16(6, 20, true); // version needed
+      record.setUint16(8, 0x0800, true); // flags: UTF-8 names
+      record.setUint16(10, 0, true); // method: store
+      record.setUint16(12, this.modified.time, true);
+      record.setUint16(14, this.modified.day, true);
+      record.setUint32(16, entry.crc, true);
+      record.setUint32(20, entry.size, true);
+      record.setUint32(24, entry.size, true);
+      record.setUint16(28, entry.nameBytes.length, true);
+      // extra, comment, disk number, internal/external attributes stay 0
+      record.setUint32(42, entry.offset, true);
+
+      centralParts.push(record.buffer, entry.nameBytes);
+      centralSize += 46 + entry.nameBytes.length;
+    }
+
+    const end = new DataView(new ArrayBuffer(22));
+    end.setUint32(0, 0x06054b50, true); // end of central directory signature
+    end.setUint16(8, this.entries.length, true); // entries on this disk
+    end.setUint16(10, this.entries.length, true); // total entries
+    end.setUint32(12, centralSize, true);
+    end.setUint32(16, this.offset, true); // central directory offset
+
+    return new Blob([...this.parts, ...centralParts, end.buffer], { type: 'application/zip' });
+  }
+}
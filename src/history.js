@@ -0,0 +1,180 @@
+/**
+ * Undo/redo history
+ * Records PARAMS as a list of diffs ({ key: [before, after] }) against the last
+ * recorded state. A slider drag fires many change events; consecutive edits of
+ * the same param merge into one step until the drag ends. Multi-param
+ * operations (presets, reset, imports) run inside batch() and become one step.
+ */
+
+// Steps kept (oldest are dropped)
+const DEFAULT_LIMIT = 100;
+
+const isEqual = (a, b) => a === b || JSON.stringify(a) === JSON.stringify(b);
+
+export class History {
+  /**
+   * @param {Object} target - Params object to track (PARAMS)
+   * @param {Object} options - { limit, refresh() after undo/redo writes params, onChange() after every history change }
+   */
+  constructor(target, { limit = DEFAULT_LIMIT, refresh = null, onChange = null } = {}) {
+    this.target = target;
+    this.limit = limit;
+    this.refresh = refresh;
+    this.onChange = onChange;
+    this.entries = [];
+    this.position = 0; // entries[0..position) are applied
+    this.suspended = 0;
+    this.snapshot = structuredClone(target);
+  }
+
+  get canUndo() {
+    return this.position > 0;
+  }
+
+  get canRedo() {
+    return this.position < this.entries.length;
+  }
+
+  /**
+   * Params changed since the last recorded state ({ key: [before, after] })
+   */
+  diff() {
+    const changes = {};
+    Object.keys(this.target).forEach((key) => {
+      if (!isEqual(this.snapshot[key], this.target[key])) {
+        changes[key] = [this.snapshot[key], structuredClone(this.target[key])];
+      }
+    });
+    return changes;
+  }
+
+  /**
+   * Record the current changes as a step
+   *
+   * @param {string|null} label - Step name (default: the changed param)
+   * @param {Object} options - { mergeKey: continuous edits with the same key merge, last: the edit is finished }
+   * @returns {Object|null} - The step (null when nothing changed or recording is suspended)
+   */
+  record(label = null, { mergeKey = null, last = true } = {}) {
+    if (this.suspended > 0) return null;
+
+    const changes = this.diff();
+    const keys = Object.keys(changes);
+    if (keys.length === 0) {
+      // A drag that ends where it started still closes its step
+      const top = this.entries[this.position - 1];
+      if (last && top && top.open) top.open = false;
+      return null;
+    }
+
+    this.snapshot = structuredClone(this.target);
+    const top = this.position === this.entries.length ? this.entries[this.position - 1] : null;
+
+    // Same param still being dragged: extend the open step
+    if (mergeKey && top && top.open && top.mergeKey === mergeKey) {
+      keys.forEach((key) => {
+        top.changes[key] = key in top.changes ? [top.changes[key][0], changes[key][1]] : changes[key];
+      });
+      top.open = !last;
+      this.notify();
+      return top;
+    }
+
+    if (top) top.open = false;
+    const entry = {
+      label: label || (keys.length === 1 ? keys[0] : `${keys.length} settings`),
+      changes,
+      mergeKey,
+      open: !!mergeKey && !last,
+    };
+
+    // A new step discards the redo branch
+    this.entries.splice(this.position);
+    this.entries.push(entry);
+    if (this.entries.length > this.limit) this.entries.shift();
+    this.position = this.entries.length;
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Run an operation that changes many params as one step
+   * Edits made while it runs (including change events it triggers) aren't recorded separately.
+   */
+  async batch(label, operation) {
+    this.record(); // Keep earlier unrecorded edits out of this step
+    this.suspended++;
+    try {
+      return await operation();
+    } finally {
+      this.suspended--;
+      this.record(label);
+    }
+  }
+
+  /**
+   * Write one side of a step into the params
+   */
+  apply(entry, side) {
+    this.suspended++;
+    try {
+      Object.entries(entry.changes).forEach(([key, values]) => {
+        this.target[key] = structuredClone(values[side]);
+      });
+      if (this.refresh) this.refresh();
+    } finally {
+      this.suspended--;
+    }
+    // Controls may adjust dependent params while refreshing; start from what's shown
+    this.snapshot = structuredClone(this.target);
+  }
+
+  undo() {
+    this.record(); // Pending edits become a step first
+    if (!this.canUndo) return null;
+    const entry = this.entries[--this.position];
+    entry.open = false;
+    this.apply(entry, 0);
+    this.notify();
+    return entry;
+  }
+
+  redo() {
+    if (!this.canRedo) return null;
+    const entry = this.entries[this.position++];
+    this.apply(entry, 1);
+    this.notify();
+    return entry;
+  }
+
+  /**
+   * Undo or redo until `position` steps are applied (0 = the state before the first step)
+   */
+  goTo(position) {
+    this.record();
+    const target = Math.max(0, Math.min(this.entries.length, position));
+    while (this.position > target) {
+      const entry = this.entries[--this.position];
+      entry.open = false;
+      this.apply(entry, 0);
+    }
+    while (this.position < target) {
+      this.apply(this.entries[this.position++], 1);
+    }
+    this.notify();
+  }
+
+  /**
+   * Forget every step (the current params become the starting point)
+   */
+  clear() {
+    this.entries = [];
+    this.position = 0;
+    this.snapshot = structuredClone(this.target);
+    this.notify();
+  }
+
+  notify() {
+    if (this.onChange) this.onChange(this);
+  }
+}
@@ -1,18 +1,44 @@
 import p5 from 'p5';
-import { PARAMS, ASPECT_RATIOS, FONTS } from './config.js';
-import { applyTransforms, getSpatialPhase } from './transforms/index.js';
-import { initControls } from './controls.js';
-import { exportPNG } from './export/png.js';
-import { exportSVG } from './export/svg.js';
+import { PARAMS, FONTS } from './config.js';
+import { getLoopInfo } from './transforms/index.js';
+import { initControls, refreshPresetControls, openShareHash } from './controls.js';
+import { hasShareState } from './share.js';
+import { loadPresetLibrary, setThumbnailRenderer } from './presets.js';
+import { renderPNG } from './export/png.js';
+import { exportSVG, generateSVG, exportAnimatedSVG } from './export/svg.js';
+import { exportLottie } from './export/lottie.js';
+import { exportPDF, generatePDF } from './export/pdf.js';
+import { prepareVectorGlyphs, ensureFontLoaded } from './export/utils.js';
+import { exportPlotter } from './export/plotter.js';
 import { recordMP4, downloadBlob, setProgressCallback } from './export/mp4.js';
+import { recordSequence } from './export/sequence.js';
+import { recordGIF } from './export/gif.js';
+import { recordWebM } from './export/webm.js';
+import { recordInBackground, canRecordInBackground } from './export/background.js';
 import { fontManager, glyphCache } from './vector/index.js';
 import { CollisionDetector, CollisionResolver } from './physics/index.js';
+import {
+  parseText,
+  createGrid,
+  precomputeSpatialPhases,
+  getGridKey,
+  getSpatialPhaseKey,
+  applyLayout,
+  layoutItems,
+  getExportDimensions,
+  calculateCanvasDimensions,
+  renderFrame,
+} from './core/index.js';
+import { createWebGLRenderer } from './webgl/index.js';
+import { LayoutWorker } from './worker/index.js';
 
 let time = 0;
+let displayedTime = 0; // time of the frame currently on screen
 let p5Instance = null;
 let currentItems = [];
 let isExporting = false;
 let canvasContainer = null;
+const exportControllers = new Map(); // export type -> AbortController of its running export
 
 // Performance optimization: Grid caching
 let gridCache = null;
@@ -27,65 +53,85 @@ let glyphCacheKey = null; // cache key for glyph invalidation
 // Collision physics
 const collisionDetector = new CollisionDetector();
 const collisionResolver = new CollisionResolver();
+const physics = { collisionDetector, collisionResolver };
 
-/**
- * Generate cache key for grid (invalidates when grid structure changes)
- */
-function getGridCacheKey(params, width, height) {
-  return `${params.text}|${params.textMode}|${params.repeatPattern}|${params.gridMode}|${params.columns}|${params.rows}|${params.tracking}|${params.lineSpacing}|${params.fontSize}|${params.linearDirection}|${width}|${height}`;
-}
+// Preset library thumbnails (long side in px)
+const THUMBNAIL_SIZE = 240;
+const createPhysics = () => ({ collisionDetector: new CollisionDetector(), collisionResolver: new CollisionResolver() });
+const thumbnailPhysics = createPhysics();
+
+// WebGL renderer (created on first use; null when unsupported)
+let webglRenderer = null;
+let webglUnavailable = false;
+
+// Layout worker (created on first use; null when unsupported)
+let layoutWorker = null;
+let previewRequest = null; // preview layout in flight
+let previewRequestStale = false; // params changed while it was in flight
+let previewFrame = null; // latest preview frame from the worker, not drawn yet
 
 /**
- * Generate cache key for glyph points (invalidates when font, size, or weight changes)
+ * Layout worker for these params, or null to lay out on the main thread
  */
-function getGlyphCacheKey(params) {
-  return `${params.font}|${params.fontSize}|${params.fontWeight}|${params.sampleFactor}`;
+function getLayoutWorker(params) {
+  if (!params.layoutWorker || !LayoutWorker.isSupported()) return null;
+  if (!layoutWorker) {
+    try {
+      layoutWorker = new LayoutWorker();
+    } catch (error) {
+      console.warn('Layout worker unavailable, using the main thread:', error.message);
+      params.layoutWorker = false;
+      return null;
+    }
+  }
+  return layoutWorker.canLayout() ? layoutWorker : null;
 }
 
 /**
- * Generate cache key for spatial phases (invalidates when sequence params change)
+ * Ask the worker for the preview frame at time t (one request in flight)
  */
-function getSpatialPhaseCacheKey(params) {
-  return `${params.sequencePattern}|${params.waveCycles}|${params.linearDirection}|${params.spiralDensity}|${params.rowPhaseOffset}|${params.colPhaseOffset}`;
+function requestPreviewLayout(worker, width, height, t) {
+  if (previewRequest) {
+    previewRequestStale = true;
+    return;
+  }
+  previewRequestStale = false;
+
+  previewRequest = worker.layout('preview', PARAMS, width, height, t)
+    .then((frame) => {
+      if (previewFrame) worker.recycle(previewFrame);
+      previewFrame = frame;
+      if (previewRequestStale) needsRedraw = true;
+    })
+    .catch((error) => {
+      console.warn('Layout worker failed, using the main thread:', error.message);
+      needsRedraw = true;
+    })
+    .finally(() => {
+      previewRequest = null;
+    });
 }
 
 /**
- * Calculate canvas dimensions based on aspect ratio and window size
+ * Glyph renderer for the selected renderer, or null for Canvas 2D
  */
-function calculateCanvasDimensions(windowWidth, windowHeight, aspectRatio) {
-  const ratio = ASPECT_RATIOS[aspectRatio] || 1;
-
-  // Account for controls panel width
-  const CONTROLS_WIDTH = 312; // 280px panel + 32px padding
-  const CANVAS_PADDING = 40;
-
-  // Calculate available space (viewport minus controls)
-  const availableWidth = windowWidth - CONTROLS_WIDTH;
-  const availableHeight = windowHeight;
-
-  // Apply padding within canvas area
-  const maxWidth = availableWidth - CANVAS_PADDING * 2;
-  const maxHeight = availableHeight - CANVAS_PADDING * 2;
-
-  let width, height;
-  if (maxWidth / maxHeight > ratio) {
-    height = maxHeight;
-    width = height * ratio;
-  } else {
-    width = maxWidth;
-    height = width / ratio;
+function getGlyphRenderer(params) {
+  if (params.renderer !== 'webgl' || webglUnavailable) return null;
+  if (!webglRenderer) {
+    webglRenderer = createWebGLRenderer();
+    if (!webglRenderer) {
+      webglUnavailable = true;
+      console.warn('WebGL renderer unavailable, using Canvas 2D');
+    }
   }
-
-  return { width: Math.floor(width), height: Math.floor(height) };
+  return webglRenderer;
 }
 
 /**
- * Precompute spatial phases for all items (avoids per-frame trig calculations)
+ * Generate cache key for glyph outlines (invalidates when font, size, or weight changes)
  */
-function precomputeSpatialPhases(items, params) {
-  for (const item of items) {
-    item.spatialPhase = getSpatialPhase(item, params);
-  }
+function getGlyphCacheKey(params) {
+  return `${params.font}|${params.fontSize}|${params.fontWeight}`;
 }
 
 /**
@@ -104,6 +150,7 @@ export function invalidateGridCache() {
   needsRedraw = true;
   // Clear collision states when grid changes
   collisionResolver.clear();
+  if (layoutWorker) layoutWorker.reset('preview');
 }
 
 /**
@@ -121,138 +168,10 @@ function handleAspectRatioChange() {
 }
 
 /**
- * Parse text into characters or words based on textMode
- */
-function parseText(text, textMode) {
-  // Word modes: 'repeat-word', 'split-word'
-  if (textMode.includes('word')) {
-    return text.split(/\s+/).filter(w => w.length > 0);
-  }
-  // Letter modes: 'repeat-letter', 'split-letter'
-  return text.split('');
-}
-
-/**
- * Apply repeat pattern to characters array
- */
-function applyRepeatPattern(chars, pattern, index) {
-  if (pattern === 'mirror') {
-    // ABCCBA pattern: forward then reverse
-    const cycle = chars.length * 2 - 2;
-    if (cycle <= 0) return chars[0] || '';
-    const pos = index % cycle;
-    if (pos < chars.length) {
-      return chars[pos];
-    }
-    return chars[cycle - pos];
-  } else if (pattern === 'alternating') {
-    // ABAB pattern: only use first 2 chars/words
-    const subset = chars.slice(0, 2);
-    return subset[index % subset.length] || '';
-  }
-  // Sequential: ABCABC (default)
-  return chars[index % chars.length];
-}
-
-/**
- * Create grid layout with spacing adjustments
+ * Load the composition in the location hash, if it holds one
  */
-function createGrid(chars, params, width, height) {
-  const items = [];
-  const { columns, rows, tracking, lineSpacing, textMode, repeatPattern, gridMode, fontSize, linearDirection } = params;
-
-  // Calculate cell dimensions based on gridMode
-  let cellWidth, cellHeight, offsetX, offsetY;
-
-  if (gridMode === 'fixed') {
-    // Fixed mode: cell size based on fontSize
-    cellWidth = fontSize * 1.2;
-    cellHeight = fontSize * 1.4;
-
-    // Calculate total grid size
-    const totalWidth = columns * cellWidth + (columns - 1) * tracking;
-    const totalHeight = rows * cellHeight + (rows - 1) * lineSpacing;
-
-    // Center the grid on canvas
-    offsetX = (width - totalWidth) / 2;
-    offsetY = (height - totalHeight) / 2;
-  } else {
-    // Fill mode: grid fills canvas (original behavior)
-    cellWidth = width / columns;
-    cellHeight = height / rows;
-    offsetX = 0;
-    offsetY = 0;
-  }
-
-  let charIndex = 0;
-  for (let row = 0; row < rows; row++) {
-    for (let col = 0; col < columns; col++) {
-      let char = '';
-
-      if (textMode === 'split-letter') {
-        // Letters split along direction, repeat along perpendicular axis
-        if (linearDirection === 'vertical') {
-          // Letters go down rows, columns repeat the same pattern
-          char = applyRepeatPattern(chars, repeatPattern, row);
-        } else {
-          // Letters go across columns, rows repeat the same pattern
-          char = applyRepeatPattern(chars, repeatPattern, col);
-        }
-      } else if (textMode === 'split-word') {
-        // Words split along direction, repeat along perpendicular axis
-        if (linearDirection === 'vertical') {
-          // Words go down rows (one per row), columns repeat
-          char = applyRepeatPattern(chars, repeatPattern, row);
-        } else {
-          // Words go across columns (one per column), rows repeat
-          char = applyRepeatPattern(chars, repeatPattern, col);
-        }
-      } else if (textMode === 'repeat-word') {
-        // Repeat words along the direction
-        if (linearDirection === 'vertical') {
-          // Words repeat down columns, first column only gets chars
-          if (col === 0) {
-            char = applyRepeatPattern(chars, repeatPattern, row);
-          }
-        } else {
-          // Words repeat across rows (horizontal/diagonal)
-          char = applyRepeatPattern(chars, repeatPattern, col);
-        }
-      } else {
-        // Default 'repeat-letter': Letters repeat to fill all grid cells
-        char = applyRepeatPattern(chars, repeatPattern, charIndex);
-      }
-
-      // Only add item if there's a character to display
-      if (char) {
-        // Calculate position based on gridMode
-        let x, y;
-        if (gridMode === 'fixed') {
-          x = offsetX + col * (cellWidth + tracking) + cellWidth / 2;
-          y = offsetY + row * (cellHeight + lineSpacing) + cellHeight / 2;
-        } else {
-          x = col * cellWidth + cellWidth / 2 + tracking;
-          y = row * cellHeight + cellHeight / 2 + lineSpacing;
-        }
-
-        items.push({
-          char,
-          x,
-          y,
-          row,
-          col,
-          totalRows: rows,
-          totalCols: columns,
-          cellWidth,
-          cellHeight,
-          canvasWidth: width,
-          canvasHeight: height,
-        });
-      }
-      charIndex++;
-    }
-  }
-  return items;
+function openSharedComposition() {
+  if (hasShareState(window.location.hash)) openShareHash(window.location.hash);
 }
 
 /**
@@ -281,26 +200,29 @@ const sketch = (p) => {
 
     // Initialize FontManager with p5 instance for vector export
     fontManager.setP5Instance(p);
+
+    // Opened from a share link: restore it now that the canvas exists to resize
+    openSharedComposition();
   };
 
   p.draw = () => {
     if (isExporting) return;
 
     // Performance: Skip frame if nothing changed and no animation enabled
+    const isColorAnimating = PARAMS.colorSource === 'phase' &&
+                             (PARAMS.colorMode === 'gradient' || PARAMS.colorMode === 'rainbow');
     const isAnimating = PARAMS.scaleEnabled || PARAMS.positionEnabled ||
-                        PARAMS.opacityEnabled || PARAMS.jitterEnabled;
-    if (!needsRedraw && !isAnimating) return;
+                        PARAMS.rotationEnabled || PARAMS.opacityEnabled ||
+                        PARAMS.weightEnabled || PARAMS.axisEnabled ||
+                        PARAMS.colorEnabled || PARAMS.jitterEnabled ||
+                        isColorAnimating;
+    const wantsFrame = needsRedraw || isAnimating;
+    if (!wantsFrame && !previewFrame) return;
     needsRedraw = false;
 
-    // Handle transparent background
-    if (PARAMS.backgroundTransparent) {
-      p.clear();
-    } else {
-      p.background(PARAMS.backgroundColor);
-    }
-
-    renderFrame(p, time);
-    time += PARAMS.globalSpeed;
+    const shownTime = renderPreviewFrame(p, time, wantsFrame);
+    if (shownTime !== null) displayedTime = shownTime;
+    if (wantsFrame) time += PARAMS.globalSpeed;
   };
 
   p.windowResized = () => {
@@ -313,14 +235,15 @@ const sketch = (p) => {
   };
 };
 
-// Render frame
-function renderFrame(p, t) {
+// Render the preview frame (cached grid, same draw routine as the exports)
+// With the layout worker, draws the latest frame it returned and requests time t;
+// returns the time of the frame drawn (null while waiting for the worker)
+function renderPreviewFrame(p, t, wantsFrame = true) {
   const chars = parseText(PARAMS.text, PARAMS.textMode);
-  if (chars.length === 0) return;
 
   // Performance: Cache grid - only recreate when structure changes
-  const newGridKey = getGridCacheKey(PARAMS, p.width, p.height);
-  const newPhaseKey = getSpatialPhaseCacheKey(PARAMS);
+  const newGridKey = getGridKey(PARAMS, p.width, p.height);
+  const newPhaseKey = getSpatialPhaseKey(PARAMS);
 
   if (gridCacheKey !== newGridKey) {
     gridCache = createGrid(chars, PARAMS, p.width, p.height);
@@ -335,262 +258,435 @@ function renderFrame(p, t) {
   }
 
   const items = gridCache;
-
-  for (let i = 0; i < items.length; i++) {
-    items[i].transformed = applyTransforms(items[i], i, t, PARAMS, p);
-  }
-
-  // Collision detection and response
-  if (PARAMS.collisionEnabled) {
-    // Detect collisions
-    const collisions = collisionDetector.detectCollisions(
-      items, PARAMS, p.width, p.height
-    );
-
-    // Resolve new collisions (start collision animations)
-    collisionResolver.resolveCollisions(collisions, items, t, PARAMS);
-
-    // Update ongoing collision responses (calculate offsets)
-    collisionResolver.updateCollisionResponses(items, t, PARAMS);
-
-    // Apply collision offsets to transformed positions
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      if (item.collisionOffset && item.transformed) {
-        item.transformed.x += item.collisionOffset.x;
-        item.transformed.y += item.collisionOffset.y;
-      }
-    }
+  let frameTime = t;
+  const worker = getLayoutWorker(PARAMS);
+
+  if (worker) {
+    if (wantsFrame) requestPreviewLayout(worker, p.width, p.height, t);
+
+    const frame = previewFrame;
+    previewFrame = null;
+    const applied = frame && frame.gridKey === gridCacheKey && worker.applyFrame(gridCache, frame);
+    if (frame) worker.recycle(frame);
+    if (!applied) return null;
+    frameTime = frame.time;
   } else {
-    // Clear collision state when disabled
-    collisionResolver.clear();
+    applyLayout(gridCache, PARAMS, p.width, p.height, t, physics);
   }
-
   currentItems = items;
-  p.textFont(PARAMS.font);
-
-  // Get canvas context for direct font-weight control
-  const ctx = p.drawingContext;
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-
-  // Determine clone count
-  const cloneCount = PARAMS.extrusionEnabled
-    ? Math.min(Math.max(1, PARAMS.cloneCount), 100)
-    : 1;
-
-  // Render (with optional extrusion clones)
-  for (const item of items) {
-    const { char, transformed } = item;
-    if (!transformed) continue;
-
-    let { x, y, scale, opacity, rotation } = transformed;
-    if (!isFinite(x)) x = 0;
-    if (!isFinite(y)) y = 0;
-    if (!isFinite(scale) || scale <= 0) scale = 1;
-    if (!isFinite(opacity)) opacity = 1;
-    if (!isFinite(rotation)) rotation = 0;
-
-    // Render clones back-to-front (furthest clone first)
-    for (let c = cloneCount - 1; c >= 0; c--) {
-      // Calculate clone offset based on mode
-      let offsetX = 0, offsetY = 0;
-      if (PARAMS.cloneMode === 'wave') {
-        const phase = c * PARAMS.cloneWaveFrequency + time * 0.05;
-        offsetX = Math.sin(phase) * PARAMS.cloneWaveAmplitude;
-        offsetY = Math.cos(phase) * PARAMS.cloneWaveAmplitude;
-      } else {
-        // Linear mode
-        offsetX = c * PARAMS.cloneDensityX;
-        offsetY = c * PARAMS.cloneDensityY;
-      }
-
-      // Calculate clone-specific properties
-      const cloneOpacity = opacity * Math.pow(PARAMS.cloneOpacityDecay, c);
-      const cloneScale = scale * Math.pow(PARAMS.cloneScaleDecay, c);
-
-      if (cloneOpacity <= 0.01) continue;
 
-      p.push();
-      p.translate(x + offsetX, y + offsetY);
-      p.rotate(p.radians(rotation));
-      p.scale(cloneScale);
+  renderFrame(
+    p.drawingContext,
+    { params: PARAMS, items },
+    frameTime,
+    { width: p.width, height: p.height, scale: 1 },
+    getGlyphRenderer(PARAMS)
+  );
+  return frameTime;
+}
 
-      // Apply opacity and font-weight using Canvas 2D API
-      const color = p.color(PARAMS.textColor);
-      color.setAlpha(cloneOpacity * 255);
+// Render to canvas (for export); frames are laid out in the worker when one is passed,
+// otherwise with framePhysics (default: the preview's collision state)
+async function renderFrameToCanvas(ctx, canvas, t, params, exportScale = 1, worker = null, framePhysics = physics) {
+  const { width, height } = canvas;
+  const items = worker
+    ? await worker.layoutItems('export', params, width, height, t)
+    : layoutItems(params, width, height, t, framePhysics);
+  renderFrame(ctx, { params, items }, t, { width, height, scale: exportScale }, getGlyphRenderer(params));
+}
 
-      ctx.save();
-      ctx.fillStyle = color.toString();
-      ctx.globalAlpha = cloneOpacity;
-      ctx.font = `${PARAMS.fontWeight} ${PARAMS.fontSize}px "${PARAMS.font}"`;
-      ctx.fillText(char, 0, 0);
-      ctx.restore();
+/**
+ * Layout worker for an animated export, its collision state reset (null: main thread)
+ */
+function getExportLayoutWorker(params) {
+  const worker = getLayoutWorker(params);
+  if (worker) worker.reset('export');
+  return worker;
+}
 
-      p.pop();
-    }
+/**
+ * Export size for a format from the export settings (long side + aspect ratio)
+ */
+function getExportSize(format, params) {
+  if (format === 'png') {
+    return params.pngSizeMode === 'custom'
+      ? { width: params.pngWidth, height: params.pngHeight }
+      : getExportDimensions(params.pngLongSide, params.aspectRatio, false);
+  }
+  // H.264/VP9 need even sizes
+  if (format === 'mp4' || format === 'webm') {
+    return getExportDimensions(params.exportWidth, params.aspectRatio);
+  }
+  // Video size scaled down (GIF frames are large and slow to encode)
+  if (format === 'gif') {
+    return getExportDimensions(Math.round(params.exportWidth * params.gifScale), params.aspectRatio, false);
   }
+  // Image sequence: same size as the video, no even-size requirement
+  return getExportDimensions(params.exportWidth, params.aspectRatio, false);
 }
 
-// Render to canvas (for export)
-async function renderFrameToCanvas(ctx, canvas, t, params, p5Ref, exportScale = 1) {
-  const width = canvas.width;
-  const height = canvas.height;
+/**
+ * Duration and loop settings shared by the animated exports
+ * Perfect loop: duration follows the loop length instead of exportDuration
+ * (loops over MAX_LOOP_SECONDS fall back to exportDuration, see getLoopInfo)
+ */
+function getAnimationTiming(params) {
+  const loop = params.loopEnabled ? getLoopInfo(params) : null;
+  return {
+    duration: loop ? loop.seconds : params.exportDuration,
+    loopLength: loop ? loop.length : null,
+  };
+}
 
-  // Handle transparent background
-  if (params.backgroundTransparent) {
-    ctx.clearRect(0, 0, width, height);
-  } else {
-    ctx.fillStyle = params.backgroundColor;
-    ctx.fillRect(0, 0, width, height);
-  }
+/**
+ * Render a PNG of the frame at time t
+ */
+async function renderPNGExport(params, previewWidth, time, framePhysics = physics) {
+  const { width, height } = getExportSize('png', params);
+  const blob = await renderPNG(
+    (ctx, canvas, t, frameParams, exportScale) => renderFrameToCanvas(ctx, canvas, t, frameParams, exportScale, null, framePhysics),
+    params,
+    { width, height, time, previewWidth }
+  );
+  return { blob, width, height };
+}
 
-  const chars = parseText(params.text, params.textMode);
-  if (chars.length === 0) return;
+/**
+ * Record an MP4 or WebM, in a background worker when possible
+ * (main-thread recordings pause the preview)
+ */
+async function recordVideo(type, params, previewWidth, { onProgress = null, signal = null, framePhysics = physics } = {}) {
+  const { width, height } = getExportSize(type, params);
+  const options = {
+    width,
+    height,
+    fps: params.exportFps,
+    quality: params.exportQuality,
+    ...getAnimationTiming(params),
+    signal,
+  };
 
-  const items = createGrid(chars, params, width, height);
+  // Reset collision state for clean export
+  framePhysics.collisionResolver.clear();
 
-  for (let i = 0; i < items.length; i++) {
-    items[i].transformed = applyTransforms(items[i], i, t, params, p5Ref);
+  if (canRecordInBackground()) {
+    return { blob: await recordInBackground(type, { ...options, onProgress }, params, previewWidth), width, height };
   }
 
-  // Collision detection and response (for export)
-  if (params.collisionEnabled) {
-    const collisions = collisionDetector.detectCollisions(items, params, width, height);
-    collisionResolver.resolveCollisions(collisions, items, t, params);
-    collisionResolver.updateCollisionResponses(items, t, params);
-
-    for (let i = 0; i < items.length; i++) {
-      const item = items[i];
-      if (item.collisionOffset && item.transformed) {
-        item.transformed.x += item.collisionOffset.x;
-        item.transformed.y += item.collisionOffset.y;
-      }
-    }
+  isExporting = true;
+  if (onProgress) setProgressCallback(onProgress);
+  const worker = getExportLayoutWorker(params);
+  const render = (ctx, canvas, t, frameParams, exportScale) => renderFrameToCanvas(ctx, canvas, t, frameParams, exportScale, worker, framePhysics);
+
+  try {
+    // WebM (VP9) keeps alpha; H.264 MP4 cannot
+    const blob = type === 'webm'
+      ? await recordWebM({ ...options, onProgress }, render, params, previewWidth)
+      : await recordMP4(options, render, params, previewWidth);
+    return { blob, width, height };
+  } finally {
+    isExporting = false;
   }
+}
 
-  // Text rendering optimizations for crisp export
-  ctx.textAlign = 'center';
-  ctx.textBaseline = 'middle';
-  ctx.imageSmoothingEnabled = true;
-  ctx.imageSmoothingQuality = 'high';
-
-  // Scale fontSize proportionally to export resolution
-  const scaledFontSize = params.fontSize * exportScale;
-
-  // Determine clone count
-  const cloneCount = params.extrusionEnabled
-    ? Math.min(Math.max(1, params.cloneCount), 100)
-    : 1;
-
-  for (const item of items) {
-    const { char, transformed } = item;
-    if (!transformed) continue;
-
-    let { x, y, scale, opacity, rotation } = transformed;
-    if (!isFinite(x)) x = 0;
-    if (!isFinite(y)) y = 0;
-    if (!isFinite(scale) || scale <= 0) scale = 1;
-    if (!isFinite(opacity)) opacity = 1;
-    if (!isFinite(rotation)) rotation = 0;
-
-    // Render clones back-to-front
-    for (let c = cloneCount - 1; c >= 0; c--) {
-      // Calculate clone offset based on mode
-      let offsetX = 0, offsetY = 0;
-      if (params.cloneMode === 'wave') {
-        const phase = c * params.cloneWaveFrequency + t * 0.05;
-        offsetX = Math.sin(phase) * params.cloneWaveAmplitude;
-        offsetY = Math.cos(phase) * params.cloneWaveAmplitude;
-      } else {
-        // Linear mode
-        offsetX = c * params.cloneDensityX;
-        offsetY = c * params.cloneDensityY;
-      }
-
-      // Calculate clone-specific properties
-      const cloneOpacity = opacity * Math.pow(params.cloneOpacityDecay, c);
-      const cloneScale = scale * Math.pow(params.cloneScaleDecay, c);
+/**
+ * Record an animated GIF
+ */
+async function recordGIFExport(params, previewWidth, { onProgress = null, signal = null, framePhysics = physics } = {}) {
+  const { width, height } = getExportSize('gif', params);
+  isExporting = true;
+
+  // Reset collision state for clean export
+  framePhysics.collisionResolver.clear();
+  const worker = getExportLayoutWorker(params);
+
+  try {
+    const blob = await recordGIF(
+      {
+        width,
+        height,
+        fps: params.gifFps,
+        ...getAnimationTiming(params),
+        dither: params.gifDither,
+        loopCount: params.gifLoopCount,
+        onProgress,
+        signal,
+      },
+      (ctx, canvas, t, frameParams, exportScale) => renderFrameToCanvas(ctx, canvas, t, frameParams, exportScale, worker, framePhysics),
+      params,
+      previewWidth
+    );
+    return { blob, width, height };
+  } finally {
+    isExporting = false;
+  }
+}
 
-      if (cloneOpacity <= 0.01) continue;
+/**
+ * Render one export queue job
+ * The job's aspect ratio and resolution (long side) override the source's
+ * export settings; scale follows the preview size for that aspect ratio.
+ * Params come from the snapshot taken when the job was queued, and the job
+ * simulates collisions from scratch, independent of the preview.
+ */
+async function runQueueJob(job, onProgress, signal) {
+  const params = {
+    ...job.baseParams,
+    ...job.source.params,
+    aspectRatio: job.aspectRatio,
+    pngSizeMode: 'long-side',
+    pngLongSide: job.resolution,
+    exportWidth: job.resolution,
+    gifScale: 1,
+  };
+  const preview = calculateCanvasDimensions(p5Instance.windowWidth, p5Instance.windowHeight, job.aspectRatio);
+  const jobPhysics = createPhysics();
 
-      ctx.save();
-      ctx.translate(x + offsetX, y + offsetY);
-      ctx.rotate(rotation * Math.PI / 180);
-      ctx.scale(cloneScale, cloneScale);
-      ctx.font = `${params.fontWeight} ${scaledFontSize}px "${params.font}"`;
+  if (job.format === 'png') {
+    return renderPNGExport(params, preview.width, 0, jobPhysics);
+  }
+  if (job.format === 'mp4' || job.format === 'webm') {
+    return recordVideo(job.format, params, preview.width, { onProgress, signal, framePhysics: jobPhysics });
+  }
+  if (job.format === 'gif') {
+    return recordGIFExport(params, preview.width, { onProgress, signal, framePhysics: jobPhysics });
+  }
 
-      // Apply opacity
-      ctx.globalAlpha = cloneOpacity;
-      ctx.fillStyle = params.textColor;
-      ctx.fillText(char, 0, 0);
-      ctx.restore();
-    }
+  // SVG / PDF: first frame laid out at preview size (vector output is resolution independent)
+  const { width, height } = preview;
+  const items = layoutItems(params, width, height, 0, jobPhysics);
+  if (job.format === 'svg') {
+    const svg = await generateSVG(items, params, width, height, 0);
+    return { blob: new Blob([svg], { type: 'image/svg+xml' }), width, height };
   }
+  await prepareVectorGlyphs(items, params);
+  const blob = await generatePDF(items, params, width, height, { longSide: params.pdfLongSide, unit: params.pdfUnit }, 0);
+  return { blob, width, height };
+}
+
+/**
+ * Render a preset library thumbnail (first frame, current settings under the preset's)
+ * Uses its own collision state so the preview's isn't disturbed.
+ */
+async function renderPresetThumbnail(presetParams) {
+  const params = { ...PARAMS, ...presetParams };
+  const { width, height } = getExportDimensions(THUMBNAIL_SIZE, params.aspectRatio, false);
+  await ensureFontLoaded(params.font);
+
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  const ctx = canvas.getContext('2d');
+
+  thumbnailPhysics.collisionResolver.clear();
+  const items = layoutItems(params, width, height, 0, thumbnailPhysics);
+  renderFrame(ctx, { params, items }, 0, { width, height, scale: width / p5Instance.width });
+
+  // WebP keeps the stored library small (browsers without it fall back to PNG)
+  return canvas.toDataURL('image/webp', 0.85);
 }
 
 // Export handler
-async function handleExport(type, onProgress) {
+async function handleExport(type, onProgress, queue = null) {
+
   if (type === 'png') {
-    exportPNG(p5Instance, 'wave-type', PARAMS.backgroundTransparent);
+    // Render the frame currently on screen through the offscreen renderer
+    try {
+      const { blob } = await renderPNGExport({ ...PARAMS }, p5Instance.width, displayedTime);
+      downloadBlob(blob, 'wave-type.png');
+    } catch (error) {
+      console.error('PNG export failed:', error);
+      alert('PNG export failed: ' + error.message);
+    }
   } else if (type === 'svg') {
     // SVG export is now async (loads fonts for vector export)
     try {
-      await exportSVG(currentItems, PARAMS, p5Instance.width, p5Instance.height, 'wave-type');
+      await exportSVG(currentItems, PARAMS, p5Instance.width, p5Instance.height, 'wave-type', displayedTime);
     } catch (error) {
       console.error('SVG export failed:', error);
       alert('SVG export failed: ' + error.message);
     }
-  } else if (type === 'mp4') {
+  } else if (type === 'pdf') {
+    try {
+      await exportPDF(
+        currentItems,
+        PARAMS,
+        p5Instance.width,
+        p5Instance.height,
+        { longSide: PARAMS.pdfLongSide, unit: PARAMS.pdfUnit },
+        'wave-type',
+        displayedTime
+      );
+    } catch (error) {
+      console.error('PDF export failed:', error);
+      alert('PDF export failed: ' + error.message);
+    }
+  } else if (type === 'plotter') {
+    try {
+      await exportPlotter(currentItems, { ...PARAMS }, p5Instance.width, p5Instance.height, 'wave-type', displayedTime);
+    } catch (error) {
+      console.error('Plotter export failed:', error);
+      alert('Plotter export failed: ' + error.message);
+    }
+  } else if (type === 'svg-animated') {
+    // Sample one perfect loop at preview size (vector output is resolution independent)
+    collisionResolver.clear();
+    const params = { ...PARAMS };
+    const { width, height } = p5Instance;
+
+    try {
+      await exportAnimatedSVG(
+        (t) => layoutItems(params, width, height, t, physics),
+        params,
+        width,
+        height,
+        PARAMS.svgAnimationFps,
+        'wave-type'
+      );
+    } catch (error) {
+      console.error('Animated SVG export failed:', error);
+      alert('Animated SVG export failed: ' + error.message);
+    }
+  } else if (type === 'lottie') {
+    // Sample one perfect loop at preview size (Lottie players scale the composition)
+    collisionResolver.clear();
+    const params = { ...PARAMS };
+    const { width, height } = p5Instance;
+
+    try {
+      await exportLottie(
+        (t) => layoutItems(params, width, height, t, physics),
+        params,
+        width,
+        height,
+        PARAMS.lottieFps,
+        'wave-type'
+      );
+    } catch (error) {
+      console.error('Lottie export failed:', error);
+      alert('Lottie export failed: ' + error.message);
+    }
+  } else if (type === 'mp4' || type === 'webm') {
+    const signal = startCancellableExport(type);
+    const label = type.toUpperCase();
+
+    try {
+      const { blob } = await recordVideo(type, { ...PARAMS }, p5Instance.width, { onProgress, signal });
+      downloadBlob(blob, `wave-type.${type}`);
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log(`${label} export cancelled`);
+      } else {
+        console.error(`${label} export failed:`, error);
+        alert(`${label} export failed: ` + error.message);
+      }
+    } finally {
+      exportControllers.delete(type);
+      if (onProgress) onProgress(null);
+    }
+  } else if (type === 'sequence') {
+    const signal = startCancellableExport(type);
     isExporting = true;
-    if (onProgress) setProgressCallback(onProgress);
 
     // Reset collision state for clean export
     collisionResolver.clear();
+    const worker = getExportLayoutWorker(PARAMS);
 
-    // Get current preview width for scale calculation
-    const previewWidth = p5Instance.width;
-
-    // Calculate export dimensions respecting aspect ratio.
-    // PARAMS.exportWidth is treated as the *long side* so portrait formats
-    // export at conventional dimensions (e.g. 9:16 → 1080×1920, not 1920×3414).
-    // All values are rounded to even numbers (H.264 requirement).
-    const aspectRatio = ASPECT_RATIOS[PARAMS.aspectRatio] || 1;
-    let exportWidth, exportHeight;
-    if (aspectRatio >= 1) {
-      // Landscape / square: exportWidth setting is the wide side
-      exportWidth = PARAMS.exportWidth;
-      exportHeight = Math.round(exportWidth / aspectRatio / 2) * 2;
-    } else {
-      // Portrait: exportWidth setting is the tall side (height)
-      exportHeight = PARAMS.exportWidth;
-      exportWidth = Math.round(exportHeight * aspectRatio / 2) * 2;
-    }
+    // Same size, duration and loop settings as MP4 (no even-size requirement)
+    const { width, height } = getExportSize('sequence', PARAMS);
 
     try {
-      const blob = await recordMP4(
+      const blob = await recordSequence(
         {
-          width: exportWidth,
-          height: exportHeight,
+          width,
+          height,
           fps: PARAMS.exportFps,
-          duration: PARAMS.exportDuration,
+          ...getAnimationTiming(PARAMS),
+          format: PARAMS.sequenceFormat,
           quality: PARAMS.exportQuality,
+          filename: 'wave-type',
+          onProgress,
+          signal,
         },
-        (ctx, canvas, t, params, exportScale) => renderFrameToCanvas(ctx, canvas, t, params, p5Instance, exportScale),
+        (ctx, canvas, t, params, exportScale) => renderFrameToCanvas(ctx, canvas, t, params, exportScale, worker),
         { ...PARAMS },
-        previewWidth
+        p5Instance.width
       );
-      downloadBlob(blob, 'wave-type.mp4');
+      downloadBlob(blob, `wave-type-${PARAMS.sequenceFormat}-sequence.zip`);
     } catch (error) {
-      console.error('MP4 export failed:', error);
-      alert('MP4 export failed: ' + error.message);
+      if (error.name === 'AbortError') {
+        console.log('Sequence export cancelled');
+      } else {
+        console.error('Sequence export failed:', error);
+        alert('Sequence export failed: ' + error.message);
+      }
     } finally {
       isExporting = false;
+      exportControllers.delete(type);
+      if (onProgress) onProgress(null);
+    }
+  } else if (type === 'queue') {
+    const signal = startCancellableExport(type);
+
+    try {
+      const { blob, failed } = await queue.run(
+        (job, onJobProgress) => runQueueJob(job, onJobProgress, signal),
+        { onProgress, signal }
+      );
+      downloadBlob(blob, 'wave-type-batch.zip');
+      if (failed.length) {
+        alert(`${failed.length} of ${queue.jobs.length} queued exports failed:\n` +
+          failed.map(({ job, error }) => `${queue.describe(job)}: ${error.message}`).join('\n'));
+      }
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('Export queue cancelled');
+      } else {
+        console.error('Export queue failed:', error);
+        alert('Export queue failed: ' + error.message);
+      }
+    } finally {
+      exportControllers.delete(type);
+      if (onProgress) onProgress(null);
+    }
+  } else if (type === 'gif') {
+    const signal = startCancellableExport(type);
+
+    try {
+      const { blob } = await recordGIFExport({ ...PARAMS }, p5Instance.width, { onProgress, signal });
+      downloadBlob(blob, 'wave-type.gif');
+    } catch (error) {
+      if (error.name === 'AbortError') {
+        console.log('GIF export cancelled');
+      } else {
+        console.error('GIF export failed:', error);
+        alert('GIF export failed: ' + error.message);
+      }
+    } finally {
+      exportControllers.delete(type);
       if (onProgress) onProgress(null);
     }
   }
 }
 
+/**
+ * Register the abort controller of a cancellable export (one per export type,
+ * so a background video and a GIF or queue run can be cancelled separately)
+ */
+function startCancellableExport(type) {
+  const controller = new AbortController();
+  exportControllers.set(type, controller);
+  return controller.signal;
+}
+
+/**
+ * Cancel the running export of a type (called from that export's button)
+ */
+function handleCancelExport(type) {
+  const controller = exportControllers.get(type);
+  if (controller) controller.abort();
+}
+
 /**
  * Load Google Fonts dynamically with variable weight support
  */
@@ -599,9 +695,16 @@ function loadGoogleFonts() {
   const staticFonts = FONTS.filter(f => !f.variable);
 
   const fontParams = [
-    ...variableFonts.map(f =>
-      `family=${encodeURIComponent(f.cssFamily)}:ital,wght@0,${f.weights.min}..${f.weights.max}`
-    ),
+    ...variableFonts.map(f => {
+      // Google Fonts expects axis tags in alphabetical order
+      const axes = [
+        { tag: 'wght', range: `${f.weights.min}..${f.weights.max}` },
+        ...(f.axes || []).map(a => ({ tag: a.tag, range: `${a.min}..${a.max}` })),
+      ].sort((a, b) => a.tag.localeCompare(b.tag));
+      const tags = ['ital', ...axes.map(a => a.tag)].join(',');
+      const ranges = ['0', ...axes.map(a => a.range)].join(',');
+      return `family=${encodeURIComponent(f.cssFamily)}:${tags}@${ranges}`;
+    }),
     ...staticFonts.map(f => {
       const weights = f.weights.join(';');
       return `family=${encodeURIComponent(f.cssFamily)}:wght@${weights}`;
@@ -627,8 +730,18 @@ document.addEventListener('DOMContentLoaded', () => {
     handleExport,
     handleTransparencyChange,
     markNeedsRedraw,
-    handleAspectRatioChange
+    handleAspectRatioChange,
+    handleCancelExport
   );
+
+  // Share links pasted into an open tab only change the hash
+  window.addEventListener('hashchange', openSharedComposition);
+
+  // Restore the saved preset library
+  setThumbnailRenderer(renderPresetThumbnail);
+  loadPresetLibrary().then((count) => {
+    if (count) refreshPresetControls();
+  });
 });
 
 window.PARAMS = PARAMS;
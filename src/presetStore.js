@@ -0,0 +1,75 @@
+/**
+ * Preset library storage (IndexedDB)
+ * Custom presets are kept in the 'presets' object store, keyed by name, so
+ * they survive reloads. Unavailable outside the browser (CLI) and in some
+ * private browsing modes; callers then keep presets for the session only.
+ */
+
+const DB_NAME = 'wave-type';
+const DB_VERSION = 1;
+const PRESET_STORE = 'presets';
+
+let databasePromise = null;
+
+/**
+ * Whether presets can be persisted in this environment
+ */
+export const isPresetStoreAvailable = () => typeof indexedDB !== 'undefined';
+
+/**
+ * Resolve an IDBRequest as a promise
+ */
+const toPromise = (request) => new Promise((resolve, reject) => {
+  request.onsuccess = () => resolve(request.result);
+  request.onerror = () => reject(request.error);
+});
+
+/**
+ * Open (and on first use create) the database
+ */
+const openDatabase = () => {
+  if (!databasePromise) {
+    const request = indexedDB.open(DB_NAME, DB_VERSION);
+    request.onupgradeneeded = () => {
+      const db = request.result;
+      if (!db.objectStoreNames.contains(PRESET_STORE)) {
+        db.createObjectStore(PRESET_STORE, { keyPath: 'name' });
+      }
+    };
+    databasePromise = toPromise(request).catch((error) => {
+      databasePromise = null; // Retry on next use
+      throw error;
+    });
+  }
+  return databasePromise;
+};
+
+/**
+ * Run a request against the preset store and wait for its transaction
+ */
+const withPresetStore = async (mode, run) => {
+  const db = await openDatabase();
+  const transaction = db.transaction(PRESET_STORE, mode);
+  const result = toPromise(run(transaction.objectStore(PRESET_STORE)));
+  await new Promise((resolve, reject) => {
+    transaction.oncomplete = resolve;
+    transaction.onerror = () => reject(transaction.error);
+    transaction.onabort = () => reject(transaction.error || new Error('Transaction aborted'));
+  });
+  return result;
+};
+
+/**
+ * Every stored preset
+ */
+export const loadStoredPresets = () => withPresetStore('readonly', store => store.getAll());
+
+/**
+ * Add or replace a preset (by name)
+ */
+export const putStoredPreset = (preset) => withPresetStore('readwrite', store => store.put(preset));
+
+/**
+ * Delete a preset by name
+ */
+export const deleteStoredPreset = (name) => withPresetStore('readwrite', store => store.delete(name));
@@ -1,53 +1,21 @@
 import { z } from 'zod';
 import { PARAMS } from './config.js';
+import { SCHEMA_VERSION, PRESET_PARAM_KEYS, upgradeParams, describeImportChanges } from './schema/index.js';
+import { isPresetStoreAvailable, loadStoredPresets, putStoredPreset, deleteStoredPreset } from './presetStore.js';
 
 // Store default params for reset
 const DEFAULT_PARAMS = { ...PARAMS };
 
-// Zod schema for preset validation
-const PresetParamsSchema = z.object({
-  textMode: z.enum(['repeat-letter', 'repeat-word', 'split-letter', 'split-word']).optional(),
-  repeatPattern: z.enum(['sequential', 'mirror', 'alternating']).optional(),
-  gridMode: z.enum(['fill', 'fixed']).optional(),
-  sequencePattern: z.enum(['linear', 'centerOut', 'wave', 'spiral', 'random']).optional(),
-  linearDirection: z.enum(['horizontal', 'vertical', 'diagonal']).optional(),
-  spiralDensity: z.number().min(0.1).max(20).optional(),
-  waveCycles: z.number().min(1).max(15).optional(),
-  globalSpeed: z.number().min(0.1).max(5).optional(),
-  scaleEnabled: z.boolean().optional(),
-  scaleMin: z.number().min(0).max(3).optional(),
-  scaleMax: z.number().min(0).max(5).optional(),
-  scaleCurve: z.enum(['sine', 'bounce', 'elastic', 'snap', 'smooth']).optional(),
-  positionEnabled: z.boolean().optional(),
-  positionMode: z.enum(['oscillate', 'travel']).optional(),
-  positionOrigin: z.enum(['off', 'center', 'edges', 'side0to1', 'side1to0']).optional(),
-  positionAmplitudeX: z.number().min(0).max(200).optional(),
-  positionAmplitudeY: z.number().min(0).max(200).optional(),
-  positionFrequency: z.number().min(0.1).max(10).optional(),
-  positionCurve: z.enum(['sine', 'doubleSinusoid', 'bounce', 'elastic', 'snap', 'smooth', 'noise']).optional(),
-  positionNoiseIntensity: z.number().min(0).max(1).optional(),
-  positionEasing: z.enum(['linear', 'easeIn', 'easeOut', 'easeInOut', 'easeInQuad', 'easeOutQuad', 'easeInOutQuad', 'easeInCubic', 'easeOutCubic', 'easeInOutCubic', 'easeInQuart', 'easeOutQuart', 'easeInOutQuart']).optional(),
-  containToCell: z.boolean().optional(),
-  collisionEnabled: z.boolean().optional(),
-  collisionStrength: z.number().min(0.1).max(3).optional(),
-  collisionDuration: z.number().min(0.1).max(2).optional(),
-  wallBounce: z.boolean().optional(),
-  opacityEnabled: z.boolean().optional(),
-  opacityMin: z.number().min(0).max(1).optional(),
-  opacityMax: z.number().min(0).max(1).optional(),
-  opacityCurve: z.enum(['sine', 'bounce', 'elastic', 'snap', 'smooth']).optional(),
-  jitterEnabled: z.boolean().optional(),
-  jitterAmount: z.number().min(0).max(100).optional(),
-  jitterSpeed: z.number().min(0).max(5).optional(),
-  tracking: z.number().min(-100).max(100).optional(),
-  lineSpacing: z.number().min(-100).max(100).optional(),
-  rowPhaseOffset: z.number().min(-5).max(5).optional(),
-  colPhaseOffset: z.number().min(-5).max(5).optional(),
-}).passthrough(); // Allow unknown keys for forward compatibility
-
+// Saved preset: name, params (any schema version) and library metadata.
+// Params are checked separately (readPreset) so older versions can be migrated first.
 const PresetSchema = z.object({
   name: z.string().min(1).max(100),
-  params: PresetParamsSchema,
+  version: z.number().int().min(0).optional(),
+  params: z.record(z.unknown()),
+  // Library metadata (custom presets)
+  folder: z.string().max(100).optional(),
+  tags: z.array(z.string().min(1).max(50)).max(20).optional(),
+  thumbnail: z.string().regex(/^data:image\//).optional(),
 });
 
 // Built-in presets (10 distinct looks)
@@ -63,7 +31,11 @@ export const BUILTIN_PRESETS = [
       scaleMax: 1.2,
       scaleCurve: 'sine',
       positionEnabled: false,
+      rotationEnabled: false,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
     },
   },
@@ -78,10 +50,14 @@ export const BUILTIN_PRESETS = [
       scaleMax: 1.0,
       scaleCurve: 'smooth',
       positionEnabled: false,
+      rotationEnabled: false,
       opacityEnabled: true,
       opacityMin: 0.2,
       opacityMax: 1.0,
       opacityCurve: 'sine',
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
     },
   },
@@ -93,7 +69,11 @@ export const BUILTIN_PRESETS = [
       globalSpeed: 1.2,
       scaleEnabled: false,
       positionEnabled: false,
+      rotationEnabled: false,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: true,
       jitterAmount: 15,
       jitterSpeed: 0.8,
@@ -107,7 +87,16 @@ export const BUILTIN_PRESETS = [
       globalSpeed: 0.7,
       scaleEnabled: false,
       positionEnabled: false,
+      rotationEnabled: true,
+      rotationMin: -90,
+      rotationMax: 90,
+      rotationCurve: 'smooth',
+      rotationEasing: 'easeInOutQuad',
+      rotationPhaseOffset: 0,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
     },
   },
@@ -122,7 +111,11 @@ export const BUILTIN_PRESETS = [
       scaleMax: 1.5,
       scaleCurve: 'bounce',
       positionEnabled: false,
+      rotationEnabled: false,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
     },
   },
@@ -140,7 +133,11 @@ export const BUILTIN_PRESETS = [
       positionAmplitudeX: 10,
       positionAmplitudeY: 0,
       positionCurve: 'elastic',
+      rotationEnabled: false,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
     },
   },
@@ -155,10 +152,14 @@ export const BUILTIN_PRESETS = [
       scaleMax: 1.4,
       scaleCurve: 'smooth',
       positionEnabled: false,
+      rotationEnabled: false,
       opacityEnabled: true,
       opacityMin: 0.3,
       opacityMax: 1.0,
       opacityCurve: 'smooth',
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
     },
   },
@@ -176,7 +177,11 @@ export const BUILTIN_PRESETS = [
       positionAmplitudeX: 20,
       positionAmplitudeY: 0,
       positionCurve: 'snap',
+      rotationEnabled: false,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: true,
       jitterAmount: 8,
       jitterSpeed: 1.5,
@@ -193,7 +198,11 @@ export const BUILTIN_PRESETS = [
       positionAmplitudeX: 5,
       positionAmplitudeY: 0,
       positionCurve: 'smooth',
+      rotationEnabled: false,
       opacityEnabled: false,
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: true,
       jitterAmount: 3,
       jitterSpeed: 0.3,
@@ -210,10 +219,14 @@ export const BUILTIN_PRESETS = [
       scaleMax: 1.2,
       scaleCurve: 'sine',
       positionEnabled: false,
+      rotationEnabled: false,
       opacityEnabled: true,
       opacityMin: 0.6,
       opacityMax: 1.0,
       opacityCurve: 'sine',
+      weightEnabled: false,
+      axisEnabled: false,
+      colorEnabled: false,
       jitterEnabled: false,
       rowPhaseOffset: 0.2,
       colPhaseOffset: 0,
@@ -221,9 +234,152 @@ export const BUILTIN_PRESETS = [
   },
 ];
 
-// Session storage for custom presets (not persisted)
+// Custom presets (mirrored to IndexedDB when available, see loadPresetLibrary)
 let customPresets = [];
 
+// Renders a thumbnail data URL for preset params (registered by the app)
+let thumbnailRenderer = null;
+const builtinThumbnails = new Map(); // name -> data URL (rendered once per session)
+
+/**
+ * Write a custom preset change through to IndexedDB
+ * The in-memory list stays authoritative; a failed write only loses persistence.
+ */
+function persist(operation) {
+  if (!isPresetStoreAvailable()) return Promise.resolve(false);
+  return operation().then(
+    () => true,
+    (error) => {
+      console.warn('Preset library could not be saved:', error);
+      return false;
+    }
+  );
+}
+
+/**
+ * Library record for a custom preset (metadata defaults filled in)
+ */
+function toLibraryPreset({ name, params, folder = '', tags = [], thumbnail = null }) {
+  return { name, version: SCHEMA_VERSION, params, folder, tags, thumbnail, updatedAt: Date.now() };
+}
+
+/**
+ * Validate a saved preset and upgrade its params to the current schema
+ * Returns { success: boolean, error?: string, preset?: object, migrations?: Array<string>, changes?: Array<string> }
+ *   changes lists the params dropped or coerced on the way
+ */
+function readPreset(data) {
+  const result = PresetSchema.safeParse(data);
+  if (!result.success) {
+    const errors = result.error.errors.map((e) => `${e.path.join('.')}: ${e.message}`);
+    return { success: false, error: `Invalid preset: ${errors.join(', ')}` };
+  }
+
+  try {
+    const upgraded = upgradeParams(result.data.params, result.data.version ?? 0, PRESET_PARAM_KEYS);
+    return {
+      success: true,
+      preset: { ...result.data, version: SCHEMA_VERSION, params: upgraded.params },
+      migrations: upgraded.migrations,
+      changes: describeImportChanges(upgraded),
+    };
+  } catch (error) {
+    return { success: false, error: `Invalid preset: ${error.message}` };
+  }
+}
+
+/**
+ * Replace or add a custom preset (by name) and persist it
+ */
+function storeCustomPreset(preset) {
+  customPresets = customPresets.filter((p) => p.name !== preset.name);
+  customPresets.push(preset);
+  customPresets.sort((a, b) => a.name.localeCompare(b.name));
+  return persist(() => putStoredPreset(preset));
+}
+
+/**
+ * Load the persisted preset library (call once at startup)
+ * Stored presets that no longer validate are skipped.
+ *
+ * @returns {Promise<number>} - Number of presets loaded
+ */
+export async function loadPresetLibrary() {
+  if (!isPresetStoreAvailable()) return 0;
+
+  try {
+    const stored = await loadStoredPresets();
+    const loaded = [];
+    stored.forEach((record) => {
+      const result = readPreset({ ...record, thumbnail: record.thumbnail || undefined });
+      if (!result.success) {
+        console.warn(`Preset library: skipping preset "${record.name}":`, result.error);
+        return;
+      }
+
+      const preset = { ...record, ...result.preset, thumbnail: record.thumbnail || null };
+      if (result.changes.length) console.warn(`Preset library: "${record.name}" ${result.changes.join(', ')}`);
+      // Save presets from older versions back in the current format
+      if (record.version !== SCHEMA_VERSION) persist(() => putStoredPreset(preset));
+      loaded.push(preset);
+    });
+
+    // Presets saved this session before the library loaded win over stored ones
+    const sessionNames = new Set(customPresets.map((p) => p.name));
+    customPresets = [...customPresets, ...loaded.filter((p) => !sessionNames.has(p.name))]
+      .sort((a, b) => a.name.localeCompare(b.name));
+    return loaded.length;
+  } catch (error) {
+    console.warn('Preset library could not be loaded:', error);
+    return 0;
+  }
+}
+
+/**
+ * Register the thumbnail renderer: async (params) => data URL
+ */
+export function setThumbnailRenderer(render) {
+  thumbnailRenderer = render;
+}
+
+/**
+ * Thumbnail data URL of a preset (null until generated)
+ */
+export function getPresetThumbnail(name) {
+  if (isBuiltinPreset(name)) return builtinThumbnails.get(name) || null;
+  const preset = customPresets.find((p) => p.name === name);
+  return (preset && preset.thumbnail) || null;
+}
+
+/**
+ * Render and store a preset's thumbnail
+ * Custom preset thumbnails are saved with the library; built-in ones are kept for the session.
+ *
+ * @returns {Promise<string|null>} - Thumbnail data URL (null without a renderer)
+ */
+export async function generatePresetThumbnail(name) {
+  const preset = getPreset(name);
+  if (!preset || !thumbnailRenderer) return null;
+
+  const thumbnail = await thumbnailRenderer(preset.params);
+  if (isBuiltinPreset(name)) {
+    builtinThumbnails.set(name, thumbnail);
+    return thumbnail;
+  }
+
+  // The preset may have been renamed, deleted or overwritten while rendering
+  const current = customPresets.find((p) => p.name === name);
+  if (current && current.params === preset.params) await storeCustomPreset({ ...current, thumbnail, updatedAt: Date.now() });
+  return thumbnail;
+}
+
+/**
+ * Whether a name belongs to a built-in preset
+ */
+export function isBuiltinPreset(name) {
+  return BUILTIN_PRESETS.some((p) => p.name === name);
+}
+
 /**
  * Get all presets (built-in + custom)
  */
@@ -264,51 +420,19 @@ export function applyPreset(name, targetParams) {
  * Save current params as custom preset
  */
 export function saveCustomPreset(name, currentParams) {
-  // Remove existing preset with same name
-  customPresets = customPresets.filter((p) => p.name !== name);
-
-  // Create preset from current params (only animation-related)
-  const presetParams = {
-    textMode: currentParams.textMode,
-    repeatPattern: currentParams.repeatPattern,
-    gridMode: currentParams.gridMode,
-    sequencePattern: currentParams.sequencePattern,
-    linearDirection: currentParams.linearDirection,
-    spiralDensity: currentParams.spiralDensity,
-    waveCycles: currentParams.waveCycles,
-    globalSpeed: currentParams.globalSpeed,
-    scaleEnabled: currentParams.scaleEnabled,
-    scaleMin: currentParams.scaleMin,
-    scaleMax: currentParams.scaleMax,
-    scaleCurve: currentParams.scaleCurve,
-    positionEnabled: currentParams.positionEnabled,
-    positionMode: currentParams.positionMode,
-    positionOrigin: currentParams.positionOrigin,
-    positionAmplitudeX: currentParams.positionAmplitudeX,
-    positionAmplitudeY: currentParams.positionAmplitudeY,
-    positionFrequency: currentParams.positionFrequency,
-    positionCurve: currentParams.positionCurve,
-    positionNoiseIntensity: currentParams.positionNoiseIntensity,
-    positionEasing: currentParams.positionEasing,
-    containToCell: currentParams.containToCell,
-    collisionEnabled: currentParams.collisionEnabled,
-    collisionStrength: currentParams.collisionStrength,
-    collisionDuration: currentParams.collisionDuration,
-    wallBounce: currentParams.wallBounce,
-    opacityEnabled: currentParams.opacityEnabled,
-    opacityMin: currentParams.opacityMin,
-    opacityMax: currentParams.opacityMax,
-    opacityCurve: currentParams.opacityCurve,
-    jitterEnabled: currentParams.jitterEnabled,
-    jitterAmount: currentParams.jitterAmount,
-    jitterSpeed: currentParams.jitterSpeed,
-    tracking: currentParams.tracking,
-    lineSpacing: currentParams.lineSpacing,
-    rowPhaseOffset: currentParams.rowPhaseOffset,
-    colPhaseOffset: currentParams.colPhaseOffset,
-  };
+  // Create preset from current params (only animation-related, see PRESET_PARAM_KEYS)
+  const presetParams = Object.fromEntries(
+    PRESET_PARAM_KEYS.map((key) => [key, structuredClone(currentParams[key])])
+  );
 
-  customPresets.push({ name, params: presetParams });
+  // Overwriting keeps the existing preset's folder and tags
+  const existing = customPresets.find((p) => p.name === name);
+  storeCustomPreset(toLibraryPreset({
+    name,
+    params: presetParams,
+    folder: existing ? existing.folder : '',
+    tags: existing ? existing.tags : [],
+  }));
   return true;
 }
 
@@ -319,49 +443,185 @@ export function deleteCustomPreset(name) {
   const index = customPresets.findIndex((p) => p.name === name);
   if (index === -1) return false;
   customPresets.splice(index, 1);
+  persist(() => deleteStoredPreset(name));
   return true;
 }
 
+/**
+ * Rename a custom preset
+ * Returns { success: boolean, error?: string }
+ */
+export function renameCustomPreset(name, newName) {
+  const preset = customPresets.find((p) => p.name === name);
+  if (!preset) return { success: false, error: `No custom preset "${name}"` };
+  if (newName === name) return { success: true };
+  if (!newName || newName.length > 100) return { success: false, error: 'Preset names need 1-100 characters' };
+  if (getPreset(newName)) return { success: false, error: `A preset named "${newName}" already exists` };
+
+  deleteCustomPreset(name);
+  storeCustomPreset({ ...preset, name: newName, updatedAt: Date.now() });
+  return { success: true };
+}
+
+/**
+ * Copy a preset (built-in or custom) into a new custom preset
+ * Without a name the copy is called "<name> copy" ("<name> copy 2", ...).
+ * Returns { success: boolean, error?: string, preset?: object }
+ */
+export function duplicatePreset(name, newName = null) {
+  const preset = getPreset(name);
+  if (!preset) return { success: false, error: `No preset "${name}"` };
+
+  let copyName = newName;
+  if (!copyName) {
+    copyName = `${name} copy`;
+    for (let n = 2; getPreset(copyName); n++) copyName = `${name} copy ${n}`;
+  } else if (getPreset(copyName)) {
+    return { success: false, error: `A preset named "${copyName}" already exists` };
+  }
+
+  const copy = toLibraryPreset({
+    ...preset,
+    name: copyName,
+    params: structuredClone(preset.params),
+    tags: [...(preset.tags || [])],
+  });
+  storeCustomPreset(copy);
+  return { success: true, preset: copy };
+}
+
+/**
+ * Set a custom preset's folder and/or tags
+ * Tags are trimmed, de-duplicated and lowercased.
+ */
+export function updatePresetMetadata(name, { folder, tags }) {
+  const preset = customPresets.find((p) => p.name === name);
+  if (!preset) return false;
+
+  const updated = { ...preset, updatedAt: Date.now() };
+  if (folder !== undefined) updated.folder = folder.trim().slice(0, 100);
+  if (tags !== undefined) {
+    updated.tags = [...new Set(tags.map((t) => t.trim().toLowerCase().slice(0, 50)).filter(Boolean))].slice(0, 20);
+  }
+  storeCustomPreset(updated);
+  return true;
+}
+
+/**
+ * Folders used by custom presets (sorted, '' = no folder)
+ */
+export function getPresetFolders() {
+  return [...new Set(customPresets.map((p) => p.folder || ''))].sort((a, b) => a.localeCompare(b));
+}
+
+/**
+ * Search presets by name, folder and tags
+ * Every whitespace-separated word of the query must match one of them.
+ *
+ * @returns {{ builtin: Array, custom: Array }} - Matching presets
+ */
+export function searchPresets(query = '') {
+  const words = query.toLowerCase().split(/\s+/).filter(Boolean);
+  const matches = (preset) => {
+    const haystack = [preset.name, preset.folder || '', ...(preset.tags || [])].join(' ').toLowerCase();
+    return words.every((word) => haystack.includes(word));
+  };
+
+  return {
+    builtin: BUILTIN_PRESETS.filter(matches),
+    custom: customPresets.filter(matches),
+  };
+}
+
 /**
  * Export preset as JSON
  */
 export function exportPresetJSON(name) {
   const preset = getPreset(name);
   if (!preset) return null;
-  return JSON.stringify(preset, null, 2);
+  return JSON.stringify({ name: preset.name, version: SCHEMA_VERSION, params: preset.params }, null, 2);
 }
 
 /**
- * Export all custom presets as JSON
+ * Export all custom presets as JSON (the whole library, with folders, tags and thumbnails)
  */
 export function exportAllPresetsJSON() {
-  return JSON.stringify(customPresets, null, 2);
+  const library = customPresets.map(({ name, params, folder, tags, thumbnail }) => ({
+    name,
+    version: SCHEMA_VERSION,
+    params,
+    folder,
+    tags,
+    ...(thumbnail ? { thumbnail } : {}),
+  }));
+  return JSON.stringify(library, null, 2);
 }
 
 /**
- * Import preset from JSON string
- * Returns { success: boolean, error?: string, preset?: object }
+ * Import a library exported by exportAllPresetsJSON (or a single preset)
+ * Valid presets are upgraded and added (replacing same-named custom presets); invalid ones are reported.
+ * Returns { success: boolean, error?: string, imported: Array, errors: Array<string>, changes: Array<string> }
+ *   changes lists migrations and dropped or coerced params, per preset
  */
-export function importPresetJSON(jsonString) {
+export function importAllPresetsJSON(jsonString) {
+  let data;
   try {
-    const data = JSON.parse(jsonString);
-
-    // Validate using zod schema
-    const result = PresetSchema.safeParse(data);
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { success: false, error: `Invalid JSON: ${error.message}`, imported: [], errors: [], changes: [] };
+  }
 
+  const imported = [];
+  const errors = [];
+  const changes = [];
+  (Array.isArray(data) ? data : [data]).forEach((entry, i) => {
+    const label = entry?.name || `#${i + 1}`;
+    const result = readPreset(entry);
     if (!result.success) {
-      const errors = result.error.errors.map((e) => `${e.path.join('.')}: ${e.message}`);
-      return { success: false, error: `Invalid preset: ${errors.join(', ')}` };
+      errors.push(`${label}: ${result.error}`);
+      return;
+    }
+    if (isBuiltinPreset(result.preset.name)) {
+      errors.push(`${label}: name is taken by a built-in preset`);
+      return;
     }
 
-    // Add to custom presets
-    customPresets = customPresets.filter((p) => p.name !== result.data.name);
-    customPresets.push(result.data);
+    const preset = toLibraryPreset(result.preset);
+    storeCustomPreset(preset);
+    imported.push(preset);
+    [...result.migrations, ...result.changes].forEach((change) => changes.push(`${label}: ${change}`));
+  });
+
+  return { success: imported.length > 0, imported, errors, changes };
+}
 
-    return { success: true, preset: result.data };
+/**
+ * Import preset from JSON string
+ * Older presets are migrated to the current schema.
+ * Returns { success: boolean, error?: string, preset?: object, changes?: Array<string> }
+ *   changes lists migrations and dropped or coerced params
+ */
+export function importPresetJSON(jsonString) {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
   } catch (error) {
     return { success: false, error: `Invalid JSON: ${error.message}` };
   }
+
+  const result = readPreset(data);
+  if (!result.success) return result;
+
+  // Built-ins win every lookup, so a custom copy under their name could never be selected
+  if (isBuiltinPreset(result.preset.name)) {
+    return { success: false, error: `"${result.preset.name}" is a built-in preset name` };
+  }
+
+  // Add to custom presets
+  const preset = toLibraryPreset(result.preset);
+  storeCustomPreset(preset);
+
+  return { success: true, preset, changes: [...result.migrations, ...result.changes] };
 }
 
 /**
@@ -391,7 +651,8 @@ export function getPresetOptions() {
   if (customPresets.length > 0) {
     options['--- Custom ---'] = '';
     customPresets.forEach((p) => {
-      options[`${p.name} (custom)`] = p.name;
+      const label = p.folder ? `${p.folder} / ${p.name}` : p.name;
+      options[`${label} (custom)`] = p.name;
     });
   }
 
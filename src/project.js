@@ -0,0 +1,125 @@
+/**
+ * Project snapshots
+ * A project file holds the complete PARAMS (text, font, grid, colors, canvas,
+ * extrusion, export settings) plus the font it needs: uploaded fonts are
+ * embedded as data URLs, curated fonts are referenced by name. Presets only
+ * carry animation settings; loading a project restores the whole composition.
+ *
+ * {
+ *   format: 'wave-type-project',
+ *   version: SCHEMA_VERSION (older files are migrated on load),
+ *   savedAt: ISO date,
+ *   params: { ...PARAMS },
+ *   font: { name, source: 'curated' } | { name, source: 'uploaded', dataUrl, variable, weights, axes }
+ * }
+ */
+
+import { PARAMS, FONTS, uploadedFonts } from './config.js';
+import { resetToDefaults } from './presets.js';
+import { SCHEMA_VERSION, PARAM_KEYS, upgradeParams, describeImportChanges } from './schema/index.js';
+
+export const PROJECT_FORMAT = 'wave-type-project';
+// Projects share the params schema version with presets
+export const PROJECT_VERSION = SCHEMA_VERSION;
+
+/**
+ * Snapshot params and their font as a project object
+ */
+export function createProject(params = PARAMS) {
+  const uploadedFont = uploadedFonts.find((f) => f.name === params.font);
+
+  return {
+    format: PROJECT_FORMAT,
+    version: PROJECT_VERSION,
+    savedAt: new Date().toISOString(),
+    params: structuredClone(params),
+    font: uploadedFont
+      ? {
+        name: uploadedFont.name,
+        source: 'uploaded',
+        dataUrl: uploadedFont.dataUrl,
+        variable: uploadedFont.variable,
+        weights: uploadedFont.weights,
+        axes: uploadedFont.axes,
+      }
+      : { name: params.font, source: 'curated' },
+  };
+}
+
+/**
+ * Export params and their font as project JSON
+ */
+export function exportProjectJSON(params = PARAMS) {
+  return JSON.stringify(createProject(params), null, 2);
+}
+
+/**
+ * Parse and validate project JSON, migrating older versions
+ * Returns { success: boolean, error?: string, project?: object, changes?: Array<string> }
+ *   changes lists migrations and dropped or coerced params
+ */
+export function parseProjectJSON(jsonString) {
+  let data;
+  try {
+    data = JSON.parse(jsonString);
+  } catch (error) {
+    return { success: false, error: `Invalid JSON: ${error.message}` };
+  }
+
+  if (!data || data.format !== PROJECT_FORMAT) {
+    return { success: false, error: 'Not a Wave Type project file' };
+  }
+  if (!Number.isInteger(data.version) || data.version < 1) {
+    return { success: false, error: 'Invalid project: missing version' };
+  }
+  if (!data.params || typeof data.params !== 'object') {
+    return { success: false, error: 'Invalid project: missing params' };
+  }
+
+  let upgraded;
+  try {
+    upgraded = upgradeParams(data.params, data.version, PARAM_KEYS);
+  } catch (error) {
+    return { success: false, error: `Invalid project: ${error.message}` };
+  }
+
+  // Fall back to a reference to the params' font when the entry is missing or unusable
+  let font = { name: upgraded.params.font ?? FONTS[0].name, source: 'curated' };
+  if (data.font && data.font.source === 'uploaded') {
+    if (typeof data.font.name !== 'string' || !/^data:/.test(data.font.dataUrl || '')) {
+      return { success: false, error: 'Invalid project: embedded font has no data' };
+    }
+    font = {
+      name: data.font.name,
+      source: 'uploaded',
+      dataUrl: data.font.dataUrl,
+      variable: !!data.font.variable,
+      weights: data.font.weights ?? [400],
+      axes: Array.isArray(data.font.axes) ? data.font.axes : [],
+    };
+  }
+
+  return {
+    success: true,
+    project: { format: PROJECT_FORMAT, version: SCHEMA_VERSION, savedAt: data.savedAt ?? null, params: upgraded.params, font },
+    changes: [...upgraded.migrations, ...describeImportChanges(upgraded)],
+  };
+}
+
+/**
+ * Whether the project's font is available without loading anything
+ */
+export function isProjectFontAvailable(project) {
+  const { name } = project.font;
+  return FONTS.some((f) => f.name === name) || uploadedFonts.some((f) => f.name === name);
+}
+
+/**
+ * Replace params with the project's (params it doesn't list get their defaults)
+ */
+export function applyProjectParams(project, targetParams) {
+  resetToDefaults(targetParams);
+  Object.keys(project.params).forEach((key) => {
+    if (key in targetParams) targetParams[key] = structuredClone(project.params[key]);
+  });
+}
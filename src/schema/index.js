@@ -0,0 +1,42 @@
+/**
+ * Param schema - definitions, migrations and import of saved params
+ */
+
+import { sanitizeParams, PARAM_KEYS } from './params.js';
+import { migrateParams } from './migrations.js';
+
+export {
+  PARAM_DEFINITIONS,
+  PARAM_KEYS,
+  PRESET_PARAM_KEYS,
+  ParamsSchema,
+  PresetParamsSchema,
+  sanitizeParams,
+} from './params.js';
+export { SCHEMA_VERSION, migrateParams } from './migrations.js';
+
+/**
+ * Bring saved params up to date: migrate from their version, then sanitize
+ * Throws when the version is newer than this app understands.
+ *
+ * @param {Object} params - Params as saved
+ * @param {number} version - Schema version they were saved with (0 = unversioned)
+ * @param {Array<string>} keys - Keys to keep (PARAM_KEYS or PRESET_PARAM_KEYS)
+ * @returns {{ params, migrations: Array<string>, dropped: Array<{ key, reason }>, coerced: Array<{ key, from, to }> }}
+ */
+export const upgradeParams = (params, version = 0, keys = PARAM_KEYS) => {
+  if (!params || typeof params !== 'object' || Array.isArray(params)) {
+    throw new Error('params must be an object');
+  }
+  const { params: migrated, applied } = migrateParams(params, version);
+  const { params: sanitized, dropped, coerced } = sanitizeParams(migrated, keys);
+  return { params: sanitized, migrations: applied, dropped, coerced };
+};
+
+/**
+ * One line per dropped or coerced field (empty when the import was clean)
+ */
+export const describeImportChanges = ({ dropped = [], coerced = [] }) => [
+  ...dropped.map(({ key, reason }) => `dropped ${key} (${reason})`),
+  ...coerced.map(({ key, from, to }) => `coerced ${key}: ${JSON.stringify(from)} → ${JSON.stringify(to)}`),
+];
@@ -0,0 +1,57 @@
+/**
+ * Param migrations
+ * MIGRATIONS[n] upgrades params saved at schema version n to version n + 1,
+ * so a file from any older version is brought up to date one step at a time.
+ * Presets and project files share the version number (both store params).
+ *
+ * Version history:
+ *   0 - unversioned presets, including the original `mode` / `textDistribution` text settings
+ *   1 - versioned presets and project files
+ *
+ * To rename or change a param: bump the schema by appending a migration here.
+ */
+
+const MIGRATIONS = [
+  {
+    description: 'mode + textDistribution → textMode',
+    migrate: (params) => {
+      const { mode, textDistribution, ...rest } = params;
+      if (mode === undefined && textDistribution === undefined) return params;
+
+      // `mode` was 'letter' | 'word', `textDistribution` 'repeat' | 'split';
+      // full textMode values are passed through
+      if (rest.textMode === undefined && typeof mode === 'string') {
+        rest.textMode = mode.includes('-') ? mode : `${textDistribution === 'split' ? 'split' : 'repeat'}-${mode}`;
+      }
+      return rest;
+    },
+  },
+];
+
+export const SCHEMA_VERSION = MIGRATIONS.length;
+
+/**
+ * Upgrade params from a schema version to the current one
+ *
+ * @param {Object} params - Params as saved
+ * @param {number} version - Schema version they were saved with (0 = unversioned)
+ * @returns {{ params: Object, applied: Array<string> }} - Upgraded params and the migrations applied
+ */
+export const migrateParams = (params, version = 0) => {
+  if (!Number.isInteger(version) || version < 0) {
+    throw new Error(`Invalid schema version "${version}"`);
+  }
+  if (version > SCHEMA_VERSION) {
+    throw new Error(`Saved by a newer version (schema v${version}, this app reads up to v${SCHEMA_VERSION})`);
+  }
+
+  let migrated = { ...params };
+  const applied = [];
+  for (let v = version; v < SCHEMA_VERSION; v++) {
+    const before = migrated;
+    migrated = MIGRATIONS[v].migrate(migrated);
+    if (migrated !== before) applied.push(`v${v} → v${v + 1}: ${MIGRATIONS[v].description}`);
+  }
+
+  return { params: migrated, applied };
+};
@@ -0,0 +1,312 @@
+/**
+ * Param definitions
+ * One table describes every key of PARAMS: its type, range or allowed values,
+ * and whether presets carry it (animation settings) or only full-state files
+ * (projects, CLI state) do. The zod schemas, the preset field list and the
+ * import sanitizer are all built from it, so a new param only needs a line here;
+ * loading this module fails when PARAMS and the table disagree.
+ */
+
+import { z } from 'zod';
+import { PARAMS, ASPECT_RATIOS, PAPER_SIZES, CURVES, EASINGS, MAX_PALETTE_STOPS } from '../config.js';
+
+// Definition builders
+const number = (min, max) => ({ type: 'number', min, max });
+const integer = (min, max) => ({ type: 'number', min, max, integer: true });
+const boolean = () => ({ type: 'boolean' });
+const oneOf = (values) => ({ type: 'enum', values });
+const string = (maxLength, pattern = null) => ({ type: 'string', maxLength, pattern });
+const color = () => ({ type: 'color' });
+const palette = () => ({ type: 'palette', min: 2, max: MAX_PALETTE_STOPS });
+
+// Saved in presets (otherwise full state only)
+const preset = (definition) => ({ ...definition, preset: true });
+
+const SHAPE_CURVES = ['sine', 'bounce', 'elastic', 'snap', 'smooth'];
+const EASING_NAMES = Object.keys(EASINGS);
+
+export const PARAM_DEFINITIONS = {
+  // Canvas
+  aspectRatio: oneOf(Object.keys(ASPECT_RATIOS)),
+  renderer: oneOf(['canvas', 'webgl']),
+  layoutWorker: boolean(),
+
+  // Text
+  text: string(10000),
+  textMode: preset(oneOf(['repeat-letter', 'repeat-word', 'split-letter', 'split-word'])),
+  repeatPattern: preset(oneOf(['sequential', 'mirror', 'alternating'])),
+  font: string(100),
+  fontWeight: number(1, 1000),
+  fontSize: number(1, 500),
+
+  // Variable font axes
+  weightEnabled: preset(boolean()),
+  weightMin: preset(number(1, 1000)),
+  weightMax: preset(number(1, 1000)),
+  weightCurve: preset(oneOf(SHAPE_CURVES)),
+  axisEnabled: preset(boolean()),
+  axisTag: preset(string(4, /^[A-Za-z0-9 ]{4}$/)),
+  axisMin: preset(number(-1000, 1000)),
+  axisMax: preset(number(-1000, 1000)),
+  axisCurve: preset(oneOf(SHAPE_CURVES)),
+
+  // Grid
+  columns: integer(1, 500),
+  rows: integer(1, 500),
+  gridMode: preset(oneOf(['fill', 'fixed'])),
+
+  // Sequencing
+  waveCycles: preset(number(1, 15)),
+  sequencePattern: preset(oneOf(['linear', 'centerOut', 'wave', 'spiral', 'random'])),
+  linearDirection: preset(oneOf(['horizontal', 'vertical', 'diagonal'])),
+  spiralDensity: preset(number(0.1, 20)),
+  globalSpeed: preset(number(0.1, 5)),
+
+  // Scale
+  scaleEnabled: preset(boolean()),
+  scaleMin: preset(number(0, 3)),
+  scaleMax: preset(number(0, 5)),
+  scaleCurve: preset(oneOf(SHAPE_CURVES)),
+
+  // Position
+  positionEnabled: preset(boolean()),
+  positionMode: preset(oneOf(['oscillate', 'travel'])),
+  positionOrigin: preset(oneOf(['off', 'center', 'edges', 'side0to1', 'side1to0'])),
+  positionAmplitudeX: preset(number(0, 200)),
+  positionAmplitudeY: preset(number(0, 200)),
+  positionFrequency: preset(number(0.1, 10)),
+  positionCurve: preset(oneOf(['sine', 'doubleSinusoid', 'bounce', 'elastic', 'snap', 'smooth', 'noise'])),
+  positionNoiseIntensity: preset(number(0, 1)),
+  positionEasing: preset(oneOf(EASING_NAMES)),
+  containToCell: preset(boolean()),
+
+  // Rotation
+  rotationEnabled: preset(boolean()),
+  rotationMin: preset(number(-360, 360)),
+  rotationMax: preset(number(-360, 360)),
+  rotationCurve: preset(oneOf(SHAPE_CURVES)),
+  rotationEasing: preset(oneOf(EASING_NAMES)),
+  rotationPhaseOffset: preset(number(-1, 1)),
+
+  // Collision
+  collisionEnabled: preset(boolean()),
+  collisionStrength: preset(number(0.1, 3)),
+  collisionDuration: preset(number(0.1, 2)),
+  wallBounce: preset(boolean()),
+
+  // Opacity
+  opacityEnabled: preset(boolean()),
+  opacityMin: preset(number(0, 1)),
+  opacityMax: preset(number(0, 1)),
+  opacityCurve: preset(oneOf(SHAPE_CURVES)),
+
+  // Jitter
+  jitterEnabled: preset(boolean()),
+  jitterAmount: preset(number(0, 100)),
+  jitterSpeed: preset(number(0, 5)),
+
+  // Spacing
+  tracking: preset(number(-100, 100)),
+  lineSpacing: preset(number(-100, 100)),
+
+  // Phase offsets
+  rowPhaseOffset: preset(number(-5, 5)),
+  colPhaseOffset: preset(number(-5, 5)),
+
+  // Colors
+  backgroundColor: color(),
+  textColor: color(),
+  backgroundTransparent: boolean(),
+  colorMode: preset(oneOf(['solid', 'gradient', 'rainbow', 'position', 'depth'])),
+  colorSource: preset(oneOf(['position', 'phase', 'scale'])),
+  gradientStart: preset(color()),
+  gradientEnd: preset(color()),
+
+  // Color animation
+  colorEnabled: preset(boolean()),
+  colorCurve: preset(oneOf(Object.keys(CURVES).filter(c => c !== 'noise'))),
+  colorPalette: preset(palette()),
+
+  // Export
+  exportWidth: integer(16, 7680),
+  exportHeight: integer(16, 7680),
+  exportFps: integer(1, 120),
+  exportDuration: number(0.1, 300),
+  exportQuality: number(0, 1),
+  videoFormat: oneOf(['mp4', 'webm']),
+  pngSizeMode: oneOf(['long-side', 'custom']),
+  pngLongSide: integer(16, 7680),
+  pngWidth: integer(16, 7680),
+  pngHeight: integer(16, 7680),
+  sequenceFormat: oneOf(['png', 'webp']),
+  pdfUnit: oneOf(['mm', 'in']),
+  pdfLongSide: number(1, 2000),
+  plotterFormat: oneOf(['svg', 'hpgl', 'gcode']),
+  plotterPaper: oneOf(Object.keys(PAPER_SIZES)),
+  plotterMargin: number(0, 50),
+  plotterPenWidth: number(0.05, 5),
+  plotterHatch: boolean(),
+  plotterHatchSpacing: number(0.1, 10),
+  plotterHatchAngle: number(0, 180),
+  plotterHideLines: boolean(),
+  svgAnimationFps: integer(1, 120),
+  lottieFps: integer(1, 120),
+  gifFps: integer(1, 50),
+  gifScale: number(0.05, 1),
+  gifDither: boolean(),
+  gifLoopCount: integer(0, 65535),
+  loopEnabled: boolean(),
+  loopCycles: integer(1, 100),
+
+  // Vector export
+  useVectorExport: boolean(),
+
+  // Extrusion
+  extrusionEnabled: boolean(),
+  cloneCount: integer(1, 100),
+  cloneMode: oneOf(['linear', 'wave']),
+  cloneDensityX: number(-100, 100),
+  cloneDensityY: number(-100, 100),
+  cloneWaveAmplitude: number(0, 500),
+  cloneWaveFrequency: number(0, 10),
+  cloneOpacityDecay: number(0, 1),
+  cloneScaleDecay: number(0.5, 1.5),
+};
+
+// Every PARAMS key needs a definition (and no definition may outlive its param)
+const undefinedParams = Object.keys(PARAMS).filter(key => !(key in PARAM_DEFINITIONS));
+const staleDefinitions = Object.keys(PARAM_DEFINITIONS).filter(key => !(key in PARAMS));
+if (undefinedParams.length || staleDefinitions.length) {
+  throw new Error(
+    'PARAM_DEFINITIONS is out of sync with PARAMS: ' +
+    [...undefinedParams.map(key => `missing ${key}`), ...staleDefinitions.map(key => `unknown ${key}`)].join(', ')
+  );
+}
+
+export const PARAM_KEYS = Object.keys(PARAM_DEFINITIONS);
+export const PRESET_PARAM_KEYS = PARAM_KEYS.filter(key => PARAM_DEFINITIONS[key].preset);
+
+const HEX_COLOR = /^#[0-9a-f]{6}$/i;
+
+/**
+ * zod schema for one definition
+ */
+const toZod = (definition) => {
+  switch (definition.type) {
+    case 'number': {
+      const schema = z.number().min(definition.min).max(definition.max);
+      return definition.integer ? schema.int() : schema;
+    }
+    case 'boolean':
+      return z.boolean();
+    case 'enum':
+      return z.enum(definition.values);
+    case 'string': {
+      const schema = z.string().max(definition.maxLength);
+      return definition.pattern ? schema.regex(definition.pattern) : schema;
+    }
+    case 'color':
+      return z.string().regex(HEX_COLOR);
+    case 'palette':
+      return z.array(z.string().regex(HEX_COLOR)).min(definition.min).max(definition.max);
+    default:
+      throw new Error(`Unknown param type "${definition.type}"`);
+  }
+};
+
+const FIELD_SCHEMAS = Object.fromEntries(
+  PARAM_KEYS.map(key => [key, toZod(PARAM_DEFINITIONS[key])])
+);
+
+const objectSchema = (keys) => z.object(
+  Object.fromEntries(keys.map(key => [key, FIELD_SCHEMAS[key].optional()]))
+).strict();
+
+// Full state (projects, CLI) and preset params; every field optional
+export const ParamsSchema = objectSchema(PARAM_KEYS);
+export const PresetParamsSchema = objectSchema(PRESET_PARAM_KEYS);
+
+/**
+ * Expand #rgb to #rrggbb (null when not a hex color)
+ */
+const toHexColor = (value) => {
+  if (typeof value !== 'string') return null;
+  const short = /^#?([0-9a-f])([0-9a-f])([0-9a-f])$/i.exec(value.trim());
+  if (short) return `#${short[1]}${short[1]}${short[2]}${short[2]}${short[3]}${short[3]}`.toLowerCase();
+  const long = /^#?([0-9a-f]{6})$/i.exec(value.trim());
+  return long ? `#${long[1]}`.toLowerCase() : null;
+};
+
+/**
+ * Best-effort conversion of an invalid value (undefined when there is none)
+ */
+const coerceValue = (definition, value) => {
+  switch (definition.type) {
+    case 'number': {
+      const number = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+      if (typeof number !== 'number' || !Number.isFinite(number)) return undefined;
+      const clamped = Math.min(definition.max, Math.max(definition.min, number));
+      return definition.integer ? Math.round(clamped) : clamped;
+    }
+    case 'boolean':
+      if (value === 'true' || value === 1) return true;
+      if (value === 'false' || value === 0) return false;
+      return undefined;
+    case 'enum': {
+      // Case differences only ('Sine' → 'sine')
+      const match = typeof value === 'string' && definition.values.find(v => v.toLowerCase() === value.toLowerCase());
+      return match || undefined;
+    }
+    case 'string':
+      if (typeof value === 'number') return String(value);
+      if (typeof value === 'string' && !definition.pattern) return value.slice(0, definition.maxLength);
+      return undefined;
+    case 'color':
+      return toHexColor(value) ?? undefined;
+    case 'palette': {
+      if (!Array.isArray(value)) return undefined;
+      const colors = value.map(toHexColor).filter(Boolean).slice(0, definition.max);
+      return colors.length >= definition.min ? colors : undefined;
+    }
+    default:
+      return undefined;
+  }
+};
+
+/**
+ * Keep the known params of an imported object, repairing what can be repaired
+ * Unknown keys and values that can't be coerced are dropped; values that had to
+ * be changed (clamped, parsed, normalized) are reported as coerced.
+ *
+ * @param {Object} params - Imported params
+ * @param {Array<string>} keys - Keys allowed (PARAM_KEYS or PRESET_PARAM_KEYS)
+ * @returns {{ params: Object, dropped: Array<{ key, reason }>, coerced: Array<{ key, from, to }> }}
+ */
+export const sanitizeParams = (params, keys = PARAM_KEYS) => {
+  const allowed = new Set(keys);
+  const result = {};
+  const dropped = [];
+  const coerced = [];
+
+  Object.entries(params || {}).forEach(([key, value]) => {
+    if (!allowed.has(key)) {
+      dropped.push({ key, reason: key in PARAM_DEFINITIONS ? 'not a preset setting' : 'unknown setting' });
+      return;
+    }
+
+    if (FIELD_SCHEMAS[key].safeParse(value).success) {
+      result[key] = value;
+      return;
+    }
+
+    const repaired = coerceValue(PARAM_DEFINITIONS[key], value);
+    if (repaired !== undefined && FIELD_SCHEMAS[key].safeParse(repaired).success) {
+      result[key] = repaired;
+      coerced.push({ key, from: value, to: repaired });
+    } else {
+      dropped.push({ key, reason: 'invalid value' });
+    }
+  });
+
+  return { params: result, dropped, coerced };
+};
@@ -0,0 +1,112 @@
+/**
+ * Share links
+ * Encodes the composition in the location hash (#s=...): only params that
+ * differ from the defaults, as JSON, deflated (CompressionStream) and
+ * base64url encoded. Opening a link runs the params through the same schema
+ * and migrations as presets and projects.
+ *
+ * Uploaded fonts are too large for a URL; the link only names them, and the
+ * viewer is warned when they don't have that font.
+ *
+ * Payload: { v: SCHEMA_VERSION, p: { ...changed params }, u?: 1 (font was uploaded) }
+ */
+
+import { PARAMS, FONTS, uploadedFonts } from './config.js';
+import { SCHEMA_VERSION, PARAM_KEYS, upgradeParams, describeImportChanges } from './schema/index.js';
+
+const HASH_KEY = 's';
+
+// Defaults as loaded (links only carry what differs)
+const DEFAULT_PARAMS = structuredClone(PARAMS);
+
+/**
+ * Run bytes through a CompressionStream / DecompressionStream
+ */
+const pipeBytes = async (bytes, stream) => {
+  const response = new Response(new Blob([bytes]).stream().pipeThrough(stream));
+  return new Uint8Array(await response.arrayBuffer());
+};
+
+const toBase64Url = (bytes) => {
+  let binary = '';
+  for (let i = 0; i < bytes.length; i++) binary += String.fromCharCode(bytes[i]);
+  return btoa(binary).replace(/\+/g, '-').replace(/\//g, '_').replace(/=+$/, '');
+};
+
+const fromBase64Url = (text) => {
+  const binary = atob(text.replace(/-/g, '+').replace(/_/g, '/'));
+  return Uint8Array.from(binary, c => c.charCodeAt(0));
+};
+
+/**
+ * Whether share links can be created and opened here
+ */
+export const isSharingSupported = () =>
+  typeof CompressionStream !== 'undefined' && typeof DecompressionStream !== 'undefined';
+
+/**
+ * Encode params as a location hash ("#s=...")
+ */
+export const encodeShareHash = async (params = PARAMS) => {
+  const changed = {};
+  PARAM_KEYS.forEach((key) => {
+    if (JSON.stringify(params[key]) !== JSON.stringify(DEFAULT_PARAMS[key])) changed[key] = params[key];
+  });
+
+  const payload = { v: SCHEMA_VERSION, p: changed };
+  if (uploadedFonts.some(f => f.name === params.font)) payload.u = 1;
+
+  const json = new TextEncoder().encode(JSON.stringify(payload));
+  const compressed = await pipeBytes(json, new CompressionStream('deflate-raw'));
+  return `#${HASH_KEY}=${toBase64Url(compressed)}`;
+};
+
+/**
+ * Share link for params (the current page with the state hash)
+ */
+export const createShareLink = async (params = PARAMS) => {
+  const { origin, pathname, search } = window.location;
+  return `${origin}${pathname}${search}${await encodeShareHash(params)}`;
+};
+
+/**
+ * Whether a location hash holds shared state
+ */
+export const hasShareState = (hash) => new URLSearchParams(hash.replace(/^#/, '')).has(HASH_KEY);
+
+/**
+ * Decode a location hash into params (changed params only; the rest are defaults)
+ * Returns { success: boolean, error?: string, params?: object, font?: { name, uploaded, available }, changes?: Array<string> }
+ *   changes lists migrations and dropped or coerced params
+ */
+export const decodeShareHash = async (hash) => {
+  const encoded = new URLSearchParams(hash.replace(/^#/, '')).get(HASH_KEY);
+  if (!encoded) return { success: false, error: 'The link holds no composition' };
+
+  let payload;
+  try {
+    const json = await pipeBytes(fromBase64Url(encoded), new DecompressionStream('deflate-raw'));
+    payload = JSON.parse(new TextDecoder().decode(json));
+  } catch (error) {
+    return { success: false, error: 'The share link is damaged or incomplete' };
+  }
+
+  let upgraded;
+  try {
+    upgraded = upgradeParams(payload.p, Number.isInteger(payload.v) ? payload.v : 0, PARAM_KEYS);
+  } catch (error) {
+    return { success: false, error: `Invalid share link: ${error.message}` };
+  }
+
+  const fontName = upgraded.params.font ?? DEFAULT_PARAMS.font;
+  return {
+    success: true,
+    params: upgraded.params,
+    font: {
+      name: fontName,
+      uploaded: payload.u === 1,
+      available: FONTS.some(f => f.name === fontName) || uploadedFonts.some(f => f.name === fontName),
+    },
+    changes: [...upgraded.migrations, ...describeImportChanges(upgraded)],
+  };
+};
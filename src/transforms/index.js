@@ -1,17 +1,9 @@
 import { CURVES, EASINGS } from '../config.js';
+import { interpolateColor } from '../color/index.js';
+import { getLoopInfo } from './loop.js';
+import { noise } from './noise.js';
 
-/**
- * Simple noise function (Simplex-like)
- * Uses p5's noise if available, otherwise falls back to deterministic pseudo-noise
- */
-const noise = (x, y, z, p5Instance) => {
-  if (p5Instance && typeof p5Instance.noise === 'function') {
-    return p5Instance.noise(x, y, z);
-  }
-  // Fallback pseudo-noise based on sin
-  const n = Math.sin(x * 12.9898 + y * 78.233 + z * 37.719) * 43758.5453;
-  return (n - Math.floor(n));
-};
+export { getLoopInfo, MAX_LOOP_SECONDS } from './loop.js';
 
 /**
  * Calculate spatial phase based on pattern
@@ -119,7 +111,7 @@ export const getSpatialPhase = (item, params) => {
 /**
  * Apply all transforms to a single item
  */
-export const applyTransforms = (item, index, time, params, p5Instance) => {
+export const applyTransforms = (item, index, time, params) => {
   // Use precomputed spatial phase if available (performance optimization)
   const spatialPhase = item.spatialPhase ?? getSpatialPhase(item, params);
 
@@ -131,6 +123,10 @@ export const applyTransforms = (item, index, time, params, p5Instance) => {
   let offsetX = 0;
   let offsetY = 0;
   let opacity = 1;
+  let rotation = 0;
+  let color = null;
+  let fontWeight = null;
+  let axisValue = null;
 
   // Scale transform - apply spatial phase
   if (params.scaleEnabled) {
@@ -253,6 +249,17 @@ export const applyTransforms = (item, index, time, params, p5Instance) => {
     }
   }
 
+  // Rotation transform - apply spatial phase, optionally shifted from the scale wave
+  if (params.rotationEnabled) {
+    const curve = CURVES[params.rotationCurve] || CURVES.sine;
+    const easing = EASINGS[params.rotationEasing] || EASINGS.linear;
+    const phaseOffset = (params.rotationPhaseOffset || 0) * 2 * Math.PI;
+    const normalized = curve(t + spatialPhase + phaseOffset);
+    // Ease the curve output (clamped so overshooting curves stay well-defined)
+    const eased = easing(Math.max(0, Math.min(1, normalized)));
+    rotation = params.rotationMin + eased * (params.rotationMax - params.rotationMin);
+  }
+
   // Opacity transform - apply spatial phase
   if (params.opacityEnabled) {
     const curve = CURVES[params.opacityCurve] || CURVES.sine;
@@ -262,11 +269,52 @@ export const applyTransforms = (item, index, time, params, p5Instance) => {
     opacity = Math.max(0, Math.min(1, opacity));
   }
 
+  // Variable font weight - per-glyph weight along the same wave as scale
+  if (params.weightEnabled) {
+    const curve = CURVES[params.weightCurve] || CURVES.sine;
+    const normalized = curve(t + spatialPhase);
+    fontWeight = params.weightMin + normalized * (params.weightMax - params.weightMin);
+    fontWeight = Math.max(1, Math.min(1000, fontWeight));
+  }
+
+  // Variable font axis (wdth, slnt, ...) - same wave, value in axis units
+  if (params.axisEnabled) {
+    const curve = CURVES[params.axisCurve] || CURVES.sine;
+    const normalized = curve(t + spatialPhase);
+    axisValue = params.axisMin + normalized * (params.axisMax - params.axisMin);
+  }
+
+  // Color transform - walk the palette stops along the same wave as scale
+  if (params.colorEnabled && params.colorPalette?.length > 0) {
+    const curve = CURVES[params.colorCurve] || CURVES.sine;
+    const stops = params.colorPalette;
+    const normalized = Math.max(0, Math.min(1, curve(t + spatialPhase)));
+    const position = normalized * (stops.length - 1);
+    const stopIndex = Math.min(Math.floor(position), stops.length - 2);
+    color = stops.length === 1
+      ? stops[0]
+      : interpolateColor(stops[stopIndex], stops[stopIndex + 1], position - stopIndex);
+  }
+
   // Jitter transform (noise-based, uses global time only)
   if (params.jitterEnabled) {
-    const jitterTime = time * params.jitterSpeed * 0.01;
-    const noiseX = noise(item.col * 0.5, item.row * 0.5, jitterTime, p5Instance);
-    const noiseY = noise(item.col * 0.5 + 100, item.row * 0.5 + 100, jitterTime, p5Instance);
+    let noiseX, noiseY;
+
+    if (params.loopEnabled) {
+      // Looping noise domain: walk a circle through the noise field so the
+      // last frame meets the first, at the same speed as the linear walk
+      const { length } = getLoopInfo(params);
+      const angle = (time / length) * 2 * Math.PI;
+      const radius = (length * params.jitterSpeed * 0.01) / (2 * Math.PI);
+      const dx = Math.cos(angle) * radius;
+      const dy = Math.sin(angle) * radius;
+      noiseX = noise(item.col * 0.5 + dx, item.row * 0.5 + dy, 0);
+      noiseY = noise(item.col * 0.5 + 100 + dx, item.row * 0.5 + 100 + dy, 0);
+    } else {
+      const jitterTime = time * params.jitterSpeed * 0.01;
+      noiseX = noise(item.col * 0.5, item.row * 0.5, jitterTime);
+      noiseY = noise(item.col * 0.5 + 100, item.row * 0.5 + 100, jitterTime);
+    }
 
     // Convert 0-1 noise to -1 to 1 range
     offsetX += (noiseX * 2 - 1) * params.jitterAmount;
@@ -278,5 +326,10 @@ export const applyTransforms = (item, index, time, params, p5Instance) => {
     y: item.y + offsetY,
     scale,
     opacity,
+    rotation,
+    color, // null unless the color channel is enabled
+    fontWeight, // null unless the weight channel is enabled
+    axisValue, // null unless the axis channel is enabled
+    phase: t + spatialPhase, // current wave phase (drives phase-based color)
   };
 };
@@ -0,0 +1,102 @@
+/**
+ * Seamless loop timing
+ *
+ * Every periodic channel repeats after a rational number of main wave
+ * cycles (the wave driving scale, rotation, opacity, color, axes and position X):
+ * - position Y:            positionFrequency × the wave frequency
+ * - color doubleSinusoid:  2.3 × the wave frequency (secondary harmonic)
+ * - clone wave:            1 / globalSpeed × the wave frequency
+ *
+ * A loop is perfect when it spans a whole number of cycles of each channel,
+ * i.e. a multiple of the lcm of their frequency-ratio denominators. Jitter is
+ * made periodic separately by walking the noise field along a circle
+ * (see applyTransforms).
+ *
+ * Slider values with awkward ratios (e.g. positionFrequency 1.37) can need
+ * hundreds of wave cycles to line up. Loops longer than MAX_LOOP_SECONDS fall
+ * back to exportDuration and are flagged as not exact.
+ */
+
+// Time units for one wave cycle at globalSpeed 1 (phase = time * 0.05 * globalSpeed)
+export const BASE_PERIOD = (2 * Math.PI) / 0.05;
+
+// Preview advances time by globalSpeed per frame at ~60fps
+const PREVIEW_FPS = 60;
+
+// Longest exact loop; matches the maximum of the export Duration slider
+export const MAX_LOOP_SECONDS = 30;
+
+const gcd = (a, b) => (b === 0 ? a : gcd(b, a % b));
+const lcm = (a, b) => (a / gcd(a, b)) * b;
+
+/**
+ * Convert a slider value (≤ 3 decimals) to a reduced fraction
+ */
+const toFraction = (value) => {
+  const den = 1000;
+  const num = Math.round(value * den);
+  const divisor = gcd(Math.abs(num), den) || 1;
+  return { num: num / divisor, den: den / divisor };
+};
+
+/**
+ * Frequency of every active channel relative to the main wave
+ */
+const getChannelRatios = (params) => {
+  const ratios = [{ num: 1, den: 1 }];
+
+  if (params.positionEnabled) {
+    ratios.push(toFraction(params.positionFrequency || 1));
+  }
+  if (params.colorEnabled && params.colorCurve === 'doubleSinusoid') {
+    ratios.push(toFraction(2.3));
+  }
+  if (params.extrusionEnabled && params.cloneMode === 'wave') {
+    // Clone phase advances at 1 / globalSpeed of the wave's rate
+    const speed = toFraction(params.globalSpeed);
+    ratios.push({ num: speed.den, den: speed.num });
+  }
+
+  return ratios;
+};
+
+let cachedKey = null;
+let cachedLoop = null;
+
+/**
+ * Get the shortest perfect loop containing at least params.loopCycles wave cycles
+ * When that loop is longer than MAX_LOOP_SECONDS, exportDuration is used
+ * instead and exact is false (the last frame won't meet the first).
+ *
+ * @param {Object} params - PARAMS object
+ * @returns {{ length: number, seconds: number, waveCycles: number, exact: boolean }}
+ *   length in animation time units, seconds at preview speed
+ */
+export const getLoopInfo = (params) => {
+  const key = `${params.globalSpeed}|${params.loopCycles}|${params.positionEnabled}|${params.positionFrequency}|${params.colorEnabled}|${params.colorCurve}|${params.extrusionEnabled}|${params.cloneMode}|${params.exportDuration}`;
+  if (key === cachedKey) return cachedLoop;
+
+  // Smallest number of wave cycles in which every channel completes whole cycles
+  const baseCycles = getChannelRatios(params).reduce((acc, r) => lcm(acc, r.den), 1);
+
+  // Repeat the base loop until it holds the requested number of wave cycles
+  const repeats = Math.max(1, Math.ceil((params.loopCycles || 1) / baseCycles));
+  const waveCycles = baseCycles * repeats;
+  const length = waveCycles * BASE_PERIOD / params.globalSpeed;
+  const seconds = length / (params.globalSpeed * PREVIEW_FPS);
+
+  cachedKey = key;
+  if (seconds > MAX_LOOP_SECONDS) {
+    const fallbackSeconds = Math.min(params.exportDuration, MAX_LOOP_SECONDS);
+    const fallbackLength = fallbackSeconds * params.globalSpeed * PREVIEW_FPS;
+    cachedLoop = {
+      length: fallbackLength,
+      seconds: fallbackSeconds,
+      waveCycles: fallbackLength * params.globalSpeed / BASE_PERIOD,
+      exact: false,
+    };
+  } else {
+    cachedLoop = { length, seconds, waveCycles, exact: true };
+  }
+  return cachedLoop;
+};
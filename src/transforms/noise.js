@@ -0,0 +1,102 @@
+/**
+ * Portable Perlin noise
+ *
+ * Same algorithm as p5's noise() (4 octaves, falloff 0.5, cosine-interpolated
+ * lattice of 4096 values), but seeded with a fixed LCG instead of
+ * Math.random(). The preview, the layout worker, the exporters and the Node
+ * CLI therefore draw the same jitter for the same params.
+ */
+
+const YWRAP_BITS = 4;
+const YWRAP = 1 << YWRAP_BITS;
+const ZWRAP_BITS = 8;
+const ZWRAP = 1 << ZWRAP_BITS;
+const SIZE = 4095;
+const OCTAVES = 4;
+const FALLOFF = 0.5;
+
+// Seed of the shared noise field (any fixed value keeps every renderer in sync)
+const NOISE_SEED = 0;
+
+/**
+ * Linear congruential generator (same constants as p5's noiseSeed)
+ */
+const createLCG = (seed) => {
+  const m = 4294967296;
+  const a = 1664525;
+  const c = 1013904223;
+  let z = seed >>> 0;
+  return () => {
+    z = (a * z + c) % m;
+    return z / m;
+  };
+};
+
+let lattice = null;
+
+/**
+ * Refill the lattice from a seed
+ */
+export const noiseSeed = (seed) => {
+  const random = createLCG(seed);
+  lattice = new Float64Array(SIZE + 1);
+  for (let i = 0; i <= SIZE; i++) lattice[i] = random();
+};
+
+const scaledCosine = (i) => 0.5 * (1 - Math.cos(i * Math.PI));
+
+/**
+ * Perlin noise at (x, y, z), in 0-1
+ */
+export const noise = (x, y = 0, z = 0) => {
+  if (!lattice) noiseSeed(NOISE_SEED);
+
+  x = Math.abs(x);
+  y = Math.abs(y);
+  z = Math.abs(z);
+
+  let xi = Math.floor(x);
+  let yi = Math.floor(y);
+  let zi = Math.floor(z);
+  let xf = x - xi;
+  let yf = y - yi;
+  let zf = z - zi;
+
+  let result = 0;
+  let amplitude = 0.5;
+
+  for (let octave = 0; octave < OCTAVES; octave++) {
+    let offset = xi + (yi << YWRAP_BITS) + (zi << ZWRAP_BITS);
+    const rxf = scaledCosine(xf);
+    const ryf = scaledCosine(yf);
+
+    let n1 = lattice[offset & SIZE];
+    n1 += rxf * (lattice[(offset + 1) & SIZE] - n1);
+    let n2 = lattice[(offset + YWRAP) & SIZE];
+    n2 += rxf * (lattice[(offset + YWRAP + 1) & SIZE] - n2);
+    n1 += ryf * (n2 - n1);
+
+    offset += ZWRAP;
+    n2 = lattice[offset & SIZE];
+    n2 += rxf * (lattice[(offset + 1) & SIZE] - n2);
+    let n3 = lattice[(offset + YWRAP) & SIZE];
+    n3 += rxf * (lattice[(offset + YWRAP + 1) & SIZE] - n3);
+    n2 += ryf * (n3 - n2);
+
+    n1 += scaledCosine(zf) * (n2 - n1);
+    result += n1 * amplitude;
+    amplitude *= FALLOFF;
+
+    xi <<= 1;
+    xf *= 2;
+    yi <<= 1;
+    yf *= 2;
+    zi <<= 1;
+    zf *= 2;
+    if (xf >= 1) { xi++; xf--; }
+    if (yf >= 1) { yi++; yf--; }
+    if (zf >= 1) { zi++; zf--; }
+  }
+
+  return result;
+};
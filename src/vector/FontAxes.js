@@ -0,0 +1,198 @@
+/**
+ * FontAxes - Variable font axis detection and per-glyph axis rendering
+ *
+ * Reads the `fvar` table of uploaded font files so the UI can offer only
+ * the axes a font actually has, and maps animated axis values onto each
+ * renderer:
+ * - Canvas 2D: wght → font shorthand weight, wdth → ctx.fontStretch
+ *   (quantized to CSS keywords), slnt → `oblique <angle>` font style
+ * - Text SVG: font-variation-settings (any axis)
+ * - Vector SVG: wdth/slnt approximated with scaleX/skewX on the glyph path
+ *
+ * Supported containers: TTF/OTF and WOFF (WOFF2 is Brotli-compressed and
+ * reports no axes).
+ */
+
+// Registered axis names (custom axes fall back to their tag)
+export const AXIS_NAMES = {
+  wght: 'Weight',
+  wdth: 'Width',
+  slnt: 'Slant',
+  ital: 'Italic',
+  opsz: 'Optical Size',
+};
+
+// Axes the per-glyph axis channel can render in the Canvas 2D preview
+export const ANIMATABLE_AXES = ['wdth', 'slnt'];
+
+// CSS font-stretch keywords by width percentage (canvas only accepts keywords)
+const STRETCH_KEYWORDS = [
+  [50, 'ultra-condensed'],
+  [62.5, 'extra-condensed'],
+  [75, 'condensed'],
+  [87.5, 'semi-condensed'],
+  [100, 'normal'],
+  [112.5, 'semi-expanded'],
+  [125, 'expanded'],
+  [150, 'extra-expanded'],
+  [200, 'ultra-expanded'],
+];
+
+const readTag = (view, offset) => String.fromCharCode(
+  view.getUint8(offset),
+  view.getUint8(offset + 1),
+  view.getUint8(offset + 2),
+  view.getUint8(offset + 3)
+);
+
+const readFixed = (view, offset) => view.getInt32(offset) / 65536;
+
+/**
+ * Locate the fvar table and return its bytes (decompressing WOFF tables)
+ */
+async function getFvarTable(buffer) {
+  const view = new DataView(buffer);
+  const signature = readTag(view, 0);
+
+  if (signature === 'wOF2') {
+    console.warn('FontAxes: WOFF2 axis detection is not supported');
+    return null;
+  }
+
+  if (signature === 'wOFF') {
+    const numTables = view.getUint16(12);
+    for (let i = 0; i < numTables; i++) {
+      const record = 44 + i * 20;
+      if (readTag(view, record) !== 'fvar') continue;
+
+      const offset = view.getUint32(record + 4);
+      const compLength = view.getUint32(record + 8);
+      const origLength = view.getUint32(record + 12);
+      const data = new Uint8Array(buffer, offset, compLength);
+
+      if (compLength === origLength) return new DataView(data.slice().buffer);
+
+      // Compressed tables are zlib streams
+      const stream = new Blob([data]).stream().pipeThrough(new DecompressionStream('deflate'));
+      return new DataView(await new Response(stream).arrayBuffer());
+    }
+    return null;
+  }
+
+  // Plain sfnt (TrueType / OpenType)
+  const numTables = view.getUint16(4);
+  for (let i = 0; i < numTables; i++) {
+    const record = 12 + i * 16;
+    if (readTag(view, record) !== 'fvar') continue;
+
+    const offset = view.getUint32(record + 8);
+    const length = view.getUint32(record + 12);
+    return new DataView(buffer, offset, length);
+  }
+  return null;
+}
+
+/**
+ * Parse the variation axes of a font file
+ *
+ * @param {ArrayBuffer} buffer - Raw font file
+ * @returns {Promise<Array<{tag, name, min, max, default}>>} - Empty for static fonts
+ */
+export async function parseFontAxes(buffer) {
+  try {
+    const fvar = await getFvarTable(buffer);
+    if (!fvar) return [];
+
+    const axesArrayOffset = fvar.getUint16(4);
+    const axisCount = fvar.getUint16(8);
+    const axisSize = fvar.getUint16(10);
+
+    const axes = [];
+    for (let i = 0; i < axisCount; i++) {
+      const record = axesArrayOffset + i * axisSize;
+      const tag = readTag(fvar, record);
+      axes.push({
+        tag,
+        name: AXIS_NAMES[tag] || tag,
+        min: readFixed(fvar, record + 4),
+        default: readFixed(fvar, record + 8),
+        max: readFixed(fvar, record + 12),
+      });
+    }
+    return axes;
+  } catch (error) {
+    console.warn('FontAxes: Could not read fvar table:', error);
+    return [];
+  }
+}
+
+/**
+ * Resolve the weight and axis values of a transformed item
+ */
+export function getItemAxes(params, transformed) {
+  const weight = Math.round(transformed?.fontWeight ?? params.fontWeight);
+  const axisValue = transformed?.axisValue ?? null;
+  return {
+    weight,
+    axisTag: axisValue !== null ? params.axisTag : null,
+    axisValue,
+  };
+}
+
+/**
+ * Nearest CSS font-stretch keyword for a wdth value
+ */
+function getStretchKeyword(width) {
+  let best = STRETCH_KEYWORDS[0];
+  for (const entry of STRETCH_KEYWORDS) {
+    if (Math.abs(entry[0] - width) < Math.abs(best[0] - width)) best = entry;
+  }
+  return best[1];
+}
+
+/**
+ * Set ctx.font (and ctx.fontStretch) for a single glyph
+ */
+export function applyCanvasFont(ctx, params, transformed, fontSize) {
+  const { weight, axisTag, axisValue } = getItemAxes(params, transformed);
+
+  // slnt is negative for right-leaning glyphs; CSS oblique angles are positive
+  const style = axisTag === 'slnt' ? `oblique ${(-axisValue).toFixed(1)}deg ` : '';
+  ctx.font = `${style}${weight} ${fontSize}px "${params.font}"`;
+
+  if ('fontStretch' in ctx) {
+    ctx.fontStretch = axisTag === 'wdth' ? getStretchKeyword(axisValue) : 'normal';
+  }
+}
+
+/**
+ * SVG font-variation-settings value for a transformed item
+ */
+export function getFontVariationSettings(params, transformed) {
+  const { weight, axisTag, axisValue } = getItemAxes(params, transformed);
+  let settings = `'wght' ${weight}`;
+  if (axisTag) settings += `, '${axisTag}' ${axisValue.toFixed(1)}`;
+  return settings;
+}
+
+/**
+ * Affine matrix [a, b, c, d, e, f] approximating an axis on a path outline
+ * (same approximation as getAxisTransform, for non-SVG vector writers)
+ */
+export function getAxisMatrix(params, transformed) {
+  const { axisTag, axisValue } = getItemAxes(params, transformed);
+  if (axisTag === 'wdth') return [axisValue / 100, 0, 0, 1, 0, 0];
+  if (axisTag === 'slnt') return [1, 0, Math.tan(axisValue * Math.PI / 180), 1, 0, 0];
+  return [1, 0, 0, 1, 0, 0];
+}
+
+/**
+ * SVG transform approximating an axis on a path outline (vector export)
+ * With css=true the angle carries a unit (CSS transform syntax).
+ */
+export function getAxisTransform(params, transformed, css = false) {
+  const { axisTag, axisValue } = getItemAxes(params, transformed);
+  if (axisTag === 'wdth') return ` scale(${(axisValue / 100).toFixed(3)},1)`;
+  if (axisTag === 'slnt') return ` skewX(${axisValue.toFixed(2)}${css ? 'deg' : ''})`;
+  return '';
+}
@@ -1,15 +1,15 @@
 /**
  * FontManager - Handles font loading for vector export
  *
- * Manages p5.Font objects needed for textToPoints().
- * Google Fonts via CSS don't work with textToPoints - we need actual font files.
+ * Manages p5.Font objects needed for glyph outlines (textToPaths()).
+ * Google Fonts via CSS don't expose outlines - we need actual font files.
  *
  * Strategy:
  * - Uploaded fonts: Load from dataUrl using p5.loadFont()
  * - Google Fonts: Fetch TTF from googleapis and load
  */
 
-import { uploadedFonts } from '../config.js';
+import { uploadedFonts, FONTS } from '../config.js';
 
 // Google Fonts API base URL for fetching actual font files
 const GOOGLE_FONTS_CSS_URL = 'https://fonts.googleapis.com/css2?family=';
@@ -44,6 +44,45 @@ class FontManager {
     return this.loadedFonts.get(cacheKey) || null;
   }
 
+  /**
+   * Get the variation axes a font supports
+   * Uploaded fonts report the axes parsed from their fvar table;
+   * curated fonts report wght plus any extra axes listed in FONTS.
+   *
+   * @returns {Array<{tag, name, min, max, default}>} - Empty for static fonts
+   */
+  getAxes(fontName) {
+    const uploadedFont = uploadedFonts.find(f => f.name === fontName);
+    if (uploadedFont) return uploadedFont.axes || [];
+
+    const fontConfig = FONTS.find(f => f.name === fontName);
+    if (!fontConfig || !fontConfig.variable) return [];
+
+    return [
+      { tag: 'wght', name: 'Weight', min: fontConfig.weights.min, max: fontConfig.weights.max, default: 400 },
+      ...(fontConfig.axes || []),
+    ];
+  }
+
+  /**
+   * Get the weight range a font can render
+   * Variable fonts report their wght axis, static fonts their lightest and
+   * heaviest cut; unknown fonts fall back to 100-900.
+   *
+   * @returns {{ min: number, max: number }}
+   */
+  getWeightRange(fontName) {
+    const font = uploadedFonts.find(f => f.name === fontName) || FONTS.find(f => f.name === fontName);
+    const weights = font?.weights;
+    if (Array.isArray(weights) && weights.length) {
+      return { min: Math.min(...weights), max: Math.max(...weights) };
+    }
+    if (weights && Number.isFinite(weights.min) && Number.isFinite(weights.max)) {
+      return { min: weights.min, max: weights.max };
+    }
+    return { min: 100, max: 900 };
+  }
+
   /**
    * Load a font for vector export
    * Returns a Promise that resolves to the p5.Font object
@@ -1,11 +1,20 @@
 /**
- * GlyphCache - LRU cache for textToPoints results
+ * GlyphCache - LRU cache for glyph outlines
  *
- * Caches the vector points extracted from characters to avoid
- * expensive textToPoints() calls on every frame/export.
+ * Caches the outline path commands of characters to avoid re-extracting
+ * them on every frame/export.
  *
- * Key: `${fontName}|${char}|${fontSize}|${fontWeight}|${sampleFactor}`
- * Value: { points: Array<{x, y}>, bounds: {x, y, w, h} }
+ * Outlines come from p5.Font.textToPaths (p5's bundled Typr parser): one
+ * M … Z run per contour with the font's real quadratic (Q) and cubic (C)
+ * segments, at the requested size and weight. Commands are shifted so
+ * (0, 0) is the glyph's center/middle point, matching the preview's
+ * textAlign 'center' + textBaseline 'middle'.
+ *
+ * Without p5 (the Node CLI) an outline source can be set instead, see
+ * setOutlineSource().
+ *
+ * Key: `${fontName}|${char}|${fontSize}|${fontWeight}`
+ * Value: { commands: Array<[type, ...coords]>, bounds: {x, y, w, h} }
  *
  * Performance considerations:
  * - Max 200 glyphs cached (configurable)
@@ -15,10 +24,14 @@
 
 import fontManager from './FontManager.js';
 
+// Canvas used to measure alignment offsets with the preview's CSS font
+let measureContext = null;
+
 class GlyphCache {
   constructor(maxSize = 200) {
     this.cache = new Map();
     this.maxSize = maxSize;
+    this.outlineSource = null;
     this.stats = {
       hits: 0,
       misses: 0,
@@ -28,22 +41,21 @@ class GlyphCache {
   /**
    * Generate cache key for a glyph
    */
-  getCacheKey(fontName, char, fontSize, fontWeight, sampleFactor = 0.5) {
-    return `${fontName}|${char}|${fontSize}|${fontWeight}|${sampleFactor}`;
+  getCacheKey(fontName, char, fontSize, fontWeight) {
+    return `${fontName}|${char}|${fontSize}|${fontWeight}`;
   }
 
   /**
-   * Get glyph points from cache or generate them
+   * Get glyph outline from cache or extract it
    *
    * @param {string} fontName - Name of the font
-   * @param {string} char - Single character to get points for
+   * @param {string} char - Single character to get the outline for
    * @param {number} fontSize - Font size in pixels
    * @param {number} fontWeight - Font weight (100-900)
-   * @param {number} sampleFactor - Detail level (0.1 = low, 1.0 = high)
-   * @returns {Object|null} - { points: Array<{x,y}>, bounds: {x,y,w,h} } or null if font not loaded
+   * @returns {Object|null} - { commands: Array<[type, ...coords]>, bounds: {x,y,w,h} } or null if font not loaded
    */
-  getGlyph(fontName, char, fontSize, fontWeight, sampleFactor = 0.5) {
-    const key = this.getCacheKey(fontName, char, fontSize, fontWeight, sampleFactor);
+  getGlyph(fontName, char, fontSize, fontWeight) {
+    const key = this.getCacheKey(fontName, char, fontSize, fontWeight);
 
     // Cache hit
     if (this.cache.has(key)) {
@@ -58,23 +70,19 @@ class GlyphCache {
     // Cache miss - need to generate
     this.stats.misses++;
 
-    const font = fontManager.getFont(fontName);
-    if (!font) {
-      console.warn(`GlyphCache: Font "${fontName}" not loaded`);
+    const font = this.outlineSource ? null : fontManager.getFont(fontName, fontWeight);
+    if (!this.outlineSource && !font) {
+      console.warn(`GlyphCache: Font "${fontName}" weight ${fontWeight} not loaded`);
       return null;
     }
 
-    // Generate points using p5's textToPoints
     try {
-      const points = font.textToPoints(char, 0, 0, fontSize, {
-        sampleFactor: sampleFactor,
-        simplifyThreshold: 0,
-      });
+      const centered = this.outlineSource
+        ? this.outlineSource.getCommands(fontName, char, fontSize, fontWeight)
+        : this._extractCenteredCommands(font, fontName, char, fontSize, fontWeight);
+      if (!centered) return null;
 
-      // Calculate bounds
-      const bounds = this._calculateBounds(points);
-
-      const glyphData = { points, bounds };
+      const glyphData = { commands: centered, bounds: this._calculateBounds(centered) };
 
       // Add to cache
       this.cache.set(key, glyphData);
@@ -87,27 +95,104 @@ class GlyphCache {
 
       return glyphData;
     } catch (error) {
-      console.error(`GlyphCache: Failed to get points for "${char}":`, error);
+      console.error(`GlyphCache: Failed to get outline for "${char}":`, error);
       return null;
     }
   }
 
   /**
-   * Calculate bounding box for a set of points
+   * Use an outline source other than FontManager + p5
+   * source.getCommands(fontName, char, fontSize, fontWeight) returns commands
+   * centered like _extractCenteredCommands, or null when the font is unavailable.
+   * Pass null to go back to p5.
    */
-  _calculateBounds(points) {
-    if (!points || points.length === 0) {
-      return { x: 0, y: 0, w: 0, h: 0 };
+  setOutlineSource(source) {
+    this.outlineSource = source;
+    this.cache.clear();
+  }
+
+  /**
+   * Outline commands for a character, centered on its center/middle point
+   */
+  _extractCenteredCommands(font, fontName, char, fontSize, fontWeight) {
+    const commands = this._extractCommands(font, char, fontSize, fontWeight);
+    const { dx, dy } = this._getAlignmentOffset(fontName, char, fontSize, fontWeight);
+
+    // Move the origin from the left baseline to the center/middle point
+    return commands.map(([type, ...coords]) => [
+      type,
+      ...coords.map((v, i) => v + (i % 2 === 0 ? dx : dy)),
+    ]);
+  }
+
+  /**
+   * Outline commands for a character with its left baseline at (0, 0)
+   * The p5 renderer state (size, weight, alignment) is set temporarily
+   * so the result doesn't depend on the preview's text settings.
+   */
+  _extractCommands(font, char, fontSize, fontWeight) {
+    const p = fontManager.p5Instance;
+    if (!p) {
+      throw new Error('GlyphCache: p5 instance not set');
+    }
+
+    p.push();
+    try {
+      p.textFont(font);
+      p.textSize(fontSize);
+      p.textWeight(fontWeight);
+      p.textAlign(p.LEFT, p.BASELINE);
+      return font.textToPaths(char, 0, 0);
+    } finally {
+      p.pop();
     }
+  }
+
+  /**
+   * Offset from the left baseline origin to the center/middle origin
+   * Measured on a canvas with the same CSS font the preview draws with.
+   */
+  _getAlignmentOffset(fontName, char, fontSize, fontWeight) {
+    if (!measureContext) {
+      measureContext = document.createElement('canvas').getContext('2d');
+    }
+    const ctx = measureContext;
+    ctx.font = `${fontWeight} ${fontSize}px "${fontName}"`;
+    ctx.textAlign = 'left';
+
+    ctx.textBaseline = 'alphabetic';
+    const metrics = ctx.measureText(char);
+
+    ctx.textBaseline = 'middle';
+    const middleMetrics = ctx.measureText(char);
+
+    // alphabeticBaseline is negative when the alphabetic baseline lies below the middle line
+    const baselineY = typeof middleMetrics.alphabeticBaseline === 'number'
+      ? -middleMetrics.alphabeticBaseline
+      : (metrics.fontBoundingBoxAscent - metrics.fontBoundingBoxDescent) / 2;
 
+    return { dx: -metrics.width / 2, dy: baselineY };
+  }
+
+  /**
+   * Calculate bounding box for a set of path commands
+   * Control points are included, so the box may be slightly larger than the ink.
+   */
+  _calculateBounds(commands) {
     let minX = Infinity, minY = Infinity;
     let maxX = -Infinity, maxY = -Infinity;
 
-    for (const point of points) {
-      if (point.x < minX) minX = point.x;
-      if (point.y < minY) minY = point.y;
-      if (point.x > maxX) maxX = point.x;
-      if (point.y > maxY) maxY = point.y;
+    for (const [, ...coords] of commands) {
+      for (let i = 0; i < coords.length; i += 2) {
+        if (coords[i] < minX) minX = coords[i];
+        if (coords[i + 1] < minY) minY = coords[i + 1];
+        if (coords[i] > maxX) maxX = coords[i];
+        if (coords[i + 1] > maxY) maxY = coords[i + 1];
+      }
+    }
+
+    if (minX === Infinity) {
+      return { x: 0, y: 0, w: 0, h: 0 };
     }
 
     return {
@@ -122,17 +207,17 @@ class GlyphCache {
    * Batch get glyphs for a string
    * Returns array of glyph data (null entries for failed chars)
    */
-  getGlyphsForString(fontName, text, fontSize, sampleFactor = 0.5) {
+  getGlyphsForString(fontName, text, fontSize, fontWeight = 400) {
     return text.split('').map(char =>
-      this.getGlyph(fontName, char, fontSize, sampleFactor)
+      this.getGlyph(fontName, char, fontSize, fontWeight)
     );
   }
 
   /**
    * Check if a glyph is cached
    */
-  has(fontName, char, fontSize, fontWeight, sampleFactor = 0.5) {
-    const key = this.getCacheKey(fontName, char, fontSize, fontWeight, sampleFactor);
+  has(fontName, char, fontSize, fontWeight) {
+    const key = this.getCacheKey(fontName, char, fontSize, fontWeight);
     return this.cache.has(key);
   }
 
@@ -195,12 +280,12 @@ class GlyphCache {
   /**
    * Preload glyphs for common characters
    */
-  preloadCommonGlyphs(fontName, fontSize, sampleFactor = 0.5) {
+  preloadCommonGlyphs(fontName, fontSize, fontWeight = 400) {
     const commonChars = 'ABCDEFGHIJKLMNOPQRSTUVWXYZ0123456789 ';
     let loaded = 0;
 
     for (const char of commonChars) {
-      const glyph = this.getGlyph(fontName, char, fontSize, sampleFactor);
+      const glyph = this.getGlyph(fontName, char, fontSize, fontWeight);
       if (glyph) loaded++;
     }
 
@@ -5,40 +5,57 @@
  * - Define each unique glyph once in <defs>
  * - Reference with <use> for each instance
  * - Results in 80%+ file size reduction vs duplicating paths
+ *
+ * Glyph paths are filled nonzero: font outlines wind holes opposite to
+ * their outer contour, and variable-font instances may overlap contours
+ * (evenodd would punch holes into the overlaps). References use
+ * xlink:href so older Illustrator versions resolve them.
  */
 
 import glyphCache from './GlyphCache.js';
+import fontManager from './FontManager.js';
+import { getAxisTransform, getAxisMatrix, getItemAxes } from './FontAxes.js';
+import { getCloneCount, getItemCommands } from '../core/commands.js';
 
 /**
- * Convert glyph points to SVG path data string
- *
- * textToPoints returns an array of {x, y} points.
- * We connect them as a polyline path.
+ * Convert glyph outline commands to SVG path data string
  *
- * Note: textToPoints doesn't give bezier curves, just sampled points.
- * For true bezier curves, we'd need opentype.js.
+ * Commands keep the font's own segments (L, Q, C) and close every contour
+ * with Z, so counters (the hole in an "O") stay separate subpaths.
  */
-function pointsToPathData(points) {
-  if (!points || points.length === 0) return '';
-
-  // Start with move to first point
-  let d = `M${points[0].x.toFixed(2)},${points[0].y.toFixed(2)}`;
-
-  // Line to each subsequent point
-  for (let i = 1; i < points.length; i++) {
-    d += ` L${points[i].x.toFixed(2)},${points[i].y.toFixed(2)}`;
-  }
-
-  return d;
+function commandsToPathData(commands) {
+  return commands
+    .map(([type, ...coords]) => {
+      if (type === 'Z') return 'Z';
+      const pairs = [];
+      for (let i = 0; i < coords.length; i += 2) {
+        pairs.push(`${coords[i].toFixed(2)},${coords[i + 1].toFixed(2)}`);
+      }
+      return `${type}${pairs.join(' ')}`;
+    })
+    .join(' ');
 }
 
 /**
- * Generate SVG element ID for a character
+ * Generate SVG element ID for a character at a given weight
  * Handles special chars by using charCode
  */
-function getGlyphId(char) {
+function getGlyphId(char, weight) {
   // Use charCode for safe IDs (spaces, symbols, etc.)
-  return `glyph-${char.charCodeAt(0)}`;
+  return `glyph-${char.charCodeAt(0)}-${weight}`;
+}
+
+/**
+ * Font weight used for an item's vector outline
+ * Animated weights are snapped to 100-steps so each glyph is only
+ * outlined (and its font instance loaded) a handful of times, then kept
+ * inside the font's own weight range.
+ */
+export function getGlyphWeight(item, params) {
+  const animatedWeight = item.transformed?.fontWeight;
+  if (!params.weightEnabled || !animatedWeight) return params.fontWeight;
+  const { min, max } = fontManager.getWeightRange(params.font);
+  return Math.min(max, Math.max(min, Math.round(animatedWeight / 100) * 100));
 }
 
 /**
@@ -54,130 +71,295 @@ function escapeXML(str) {
 }
 
 /**
- * Calculate clone offset based on mode
+ * Collect the outline of every unique glyph (per weight) used by the items
+ *
+ * @param {Array<Array>} itemLists - One or more item arrays (one per frame)
+ * @returns {Map} - glyphId -> pathData ('' for glyphs without ink)
  */
-function getCloneOffset(cloneIndex, params, time = 0) {
-  if (params.cloneMode === 'wave') {
-    const phase = cloneIndex * params.cloneWaveFrequency + time;
-    return {
-      x: Math.sin(phase) * params.cloneWaveAmplitude,
-      y: Math.cos(phase) * params.cloneWaveAmplitude,
-    };
+function collectGlyphs(itemLists, params) {
+  const uniqueGlyphs = new Map();
+
+  for (const items of itemLists) {
+    for (const item of items) {
+      const { char } = item;
+      const weight = getGlyphWeight(item, params);
+      const id = getGlyphId(char, weight);
+      if (uniqueGlyphs.has(id)) continue;
+
+      const glyphData = glyphCache.getGlyph(params.font, char, params.fontSize, weight);
+
+      // Empty outlines (spaces) are recorded too, so they are skipped rather than drawn as text
+      if (glyphData) {
+        uniqueGlyphs.set(id, commandsToPathData(glyphData.commands));
+      }
+    }
   }
 
-  // Linear mode (default)
-  return {
-    x: cloneIndex * params.cloneDensityX,
-    y: cloneIndex * params.cloneDensityY,
-  };
+  return uniqueGlyphs;
 }
 
 /**
- * Export items as vector SVG with embedded paths
- *
- * @param {Array} items - Array of grid items with transformed positions
- * @param {Object} params - PARAMS object with settings
- * @param {number} width - Canvas width
- * @param {number} height - Canvas height
- * @param {number} time - Animation time (for wave mode)
- * @returns {string} - SVG string
+ * SVG opening tag, background and <defs> with the glyph paths
  */
-export function generateVectorSVG(items, params, width, height, time = 0) {
+function getSVGHeader(params, width, height, uniqueGlyphs) {
   const svgNS = 'http://www.w3.org/2000/svg';
 
-  // Collect unique characters and their glyph data
-  const uniqueGlyphs = new Map(); // char -> pathData
-
-  for (const item of items) {
-    const { char } = item;
-    if (uniqueGlyphs.has(char)) continue;
-
-    const glyphData = glyphCache.getGlyph(
-      params.font,
-      char,
-      params.fontSize,
-      params.fontWeight,
-      params.sampleFactor
-    );
-
-    if (glyphData && glyphData.points.length > 0) {
-      uniqueGlyphs.set(char, pointsToPathData(glyphData.points));
-    }
-  }
-
-  // Build SVG
   const backgroundRect = params.backgroundTransparent
     ? ''
     : `  <rect width="100%" height="100%" fill="${params.backgroundColor}"/>\n`;
 
   let svg = `<?xml version="1.0" encoding="UTF-8"?>
-<svg xmlns="${svgNS}" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
+<svg xmlns="${svgNS}" xmlns:xlink="http://www.w3.org/1999/xlink" width="${width}" height="${height}" viewBox="0 0 ${width} ${height}">
 ${backgroundRect}`;
 
   // Add <defs> section with glyph paths
-  if (uniqueGlyphs.size > 0) {
+  const paths = [...uniqueGlyphs].filter(([, pathData]) => pathData);
+  if (paths.length > 0) {
     svg += `  <defs>\n`;
-    for (const [char, pathData] of uniqueGlyphs) {
-      const id = getGlyphId(char);
-      svg += `    <path id="${id}" d="${pathData}"/>\n`;
+    for (const [id, pathData] of paths) {
+      svg += `    <path id="${id}" d="${pathData}" fill-rule="nonzero"/>\n`;
     }
     svg += `  </defs>\n`;
   }
 
-  svg += `  <g id="characters">\n`;
+  return svg;
+}
+
+/**
+ * Transform, opacity, fill and glyph of every clone of an item (back to front)
+ * Built from the shared draw commands, so vector output matches the canvas.
+ * cssTransform always lists every function (with units) so keyframes interpolate
+ * component-wise.
+ *
+ * @returns {Array<{clone, transform, cssTransform, matrix, parts, opacity, fill, glyphId}>} - Empty when the item has no transform
+ *   (parts: the decomposed transform { x, y, rotation, scale, axisTag, axisValue })
+ */
+function getCloneStates(item, params, time) {
+  const commands = getItemCommands(item, params, time);
+  if (commands.length === 0) return [];
+
+  const glyphId = getGlyphId(item.char, getGlyphWeight(item, params));
+  const axisTransform = getAxisTransform(params, item.transformed);
+  const cssAxisTransform = getAxisTransform(params, item.transformed, true);
+  const axisMatrix = getAxisMatrix(params, item.transformed);
+  const { axisTag, axisValue } = getItemAxes(params, item.transformed);
+  const states = [];
+
+  for (const command of commands) {
+    const { clone: c, x: finalX, y: finalY, rotation, scale: cloneScale, opacity: cloneOpacity, fill } = command;
+
+    // Build transform string
+    let transform = `translate(${finalX.toFixed(2)},${finalY.toFixed(2)})`;
+    if (rotation !== 0) {
+      transform += ` rotate(${rotation.toFixed(2)})`;
+    }
+    if (cloneScale !== 1) {
+      transform += ` scale(${cloneScale.toFixed(3)})`;
+    }
+    transform += axisTransform;
+
+    const cssTransform = `translate(${finalX.toFixed(2)}px,${finalY.toFixed(2)}px) rotate(${rotation.toFixed(2)}deg) scale(${cloneScale.toFixed(3)})${cssAxisTransform}`;
+
+    // Same transform as an affine matrix: translate · rotate · scale · axis
+    const angle = rotation * Math.PI / 180;
+    const cos = Math.cos(angle) * cloneScale;
+    const sin = Math.sin(angle) * cloneScale;
+    const [ma, mb, mc, md] = axisMatrix;
+    const matrix = [
+      cos * ma - sin * mb,
+      sin * ma + cos * mb,
+      cos * mc - sin * md,
+      sin * mc + cos * md,
+      finalX,
+      finalY,
+    ];
+
+    const parts = { x: finalX, y: finalY, rotation, scale: cloneScale, axisTag, axisValue };
+
+    states.push({ clone: c, transform, cssTransform, matrix, parts, opacity: cloneOpacity, fill, glyphId });
+  }
 
-  // Determine clone count
-  const cloneCount = params.extrusionEnabled
-    ? Math.min(Math.max(1, params.cloneCount), 100)
-    : 1;
+  return states;
+}
 
-  // Render items (back to front for proper layering)
-  for (const item of items) {
+/**
+ * Glyph reference, or a <text> fallback when the font outline is unavailable
+ * Returns '' for glyphs without ink (nothing to draw).
+ */
+function getGlyphElement(char, glyphId, uniqueGlyphs, params, attributes) {
+  if (uniqueGlyphs.has(glyphId)) {
+    // Use the defined glyph path
+    return uniqueGlyphs.get(glyphId) ? `<use xlink:href="#${glyphId}"${attributes}/>` : '';
+  }
+
+  // Fallback to text element (font not loaded for vector)
+  const escapedChar = escapeXML(char);
+  return `<text${attributes} font-size="${params.fontSize}" font-family="${params.font}" text-anchor="middle" dominant-baseline="central">${escapedChar}</text>`;
+}
+
+/**
+ * Drawable glyph instances of a frame, for vector writers other than SVG
+ *
+ * @param {Array} items - Array of grid items with transformed positions
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} time - Animation time (for wave mode)
+ * @param {Object} options - { includeHidden } keep fully transparent instances (for animated writers)
+ * @returns {{ glyphs: Map, instances: Array }} - glyphs: glyphId -> outline commands
+ *   (null when the outline is unavailable); instances back to front:
+ *   { key, char, glyphId, matrix: [a, b, c, d, e, f], parts, fill, opacity }
+ *   key ("item-clone") identifies the same instance across frames
+ */
+export function getVectorInstances(items, params, time = 0, { includeHidden = false } = {}) {
+  const glyphs = new Map();
+  const instances = [];
+
+  for (let i = 0; i < items.length; i++) {
+    const item = items[i];
     if (!item.transformed) continue;
+    if (!includeHidden && item.transformed.opacity <= 0.01) continue;
+
+    for (const state of getCloneStates(item, params, time)) {
+      if (!includeHidden && state.opacity <= 0.01) continue;
+
+      if (!glyphs.has(state.glyphId)) {
+        const glyphData = glyphCache.getGlyph(params.font, item.char, params.fontSize, getGlyphWeight(item, params));
+        glyphs.set(state.glyphId, glyphData ? glyphData.commands : null);
+      }
+
+      instances.push({
+        key: `${i}-${state.clone}`,
+        char: item.char,
+        glyphId: state.glyphId,
+        matrix: state.matrix,
+        parts: state.parts,
+        fill: state.fill,
+        opacity: state.opacity,
+      });
+    }
+  }
+
+  return { glyphs, instances };
+}
 
-    const { char } = item;
-    const { x, y, scale, opacity, rotation } = item.transformed;
+/**
+ * Export items as vector SVG with embedded paths
+ *
+ * @param {Array} items - Array of grid items with transformed positions
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} time - Animation time (for wave mode)
+ * @returns {string} - SVG string
+ */
+export function generateVectorSVG(items, params, width, height, time = 0) {
+  // Collect unique characters (per weight) and their glyph data
+  const uniqueGlyphs = collectGlyphs([items], params);
 
-    if (opacity <= 0.01) continue;
+  let svg = getSVGHeader(params, width, height, uniqueGlyphs);
+  svg += `  <g id="characters">\n`;
 
-    const hasGlyph = uniqueGlyphs.has(char);
+  // Render items (back to front for proper layering)
+  for (const item of items) {
+    if (!item.transformed || item.transformed.opacity <= 0.01) continue;
 
     // Render clones (back to front)
-    for (let c = cloneCount - 1; c >= 0; c--) {
-      const offset = getCloneOffset(c, params, time);
+    for (const state of getCloneStates(item, params, time)) {
+      if (state.opacity <= 0.01) continue;
 
-      // Calculate clone-specific properties
-      const cloneOpacity = opacity * Math.pow(params.cloneOpacityDecay, c);
-      const cloneScale = scale * Math.pow(params.cloneScaleDecay, c);
+      const attributes = ` transform="${state.transform}" fill="${state.fill}" fill-opacity="${state.opacity.toFixed(3)}"`;
+      const element = getGlyphElement(item.char, state.glyphId, uniqueGlyphs, params, attributes);
+      if (element) svg += `    ${element}\n`;
+    }
+  }
 
-      if (cloneOpacity <= 0.01) continue;
+  svg += `  </g>\n</svg>`;
 
-      // Final position with clone offset
-      const finalX = x + offset.x;
-      const finalY = y + offset.y;
+  return svg;
+}
 
-      // Build transform string
-      let transform = `translate(${finalX.toFixed(2)},${finalY.toFixed(2)})`;
-      if (rotation !== 0) {
-        transform += ` rotate(${rotation.toFixed(2)})`;
-      }
-      if (cloneScale !== 1) {
-        transform += ` scale(${cloneScale.toFixed(3)})`;
+/**
+ * Export sampled frames as a looping animated SVG
+ *
+ * Every glyph instance (item × clone) becomes one element. Transform, fill
+ * and opacity are keyframed with CSS @keyframes (linear between samples);
+ * animated weights swap the referenced glyph with a discrete SMIL <animate>
+ * on xlink:href, since CSS cannot change it. Properties that never change stay
+ * plain attributes, and fully static instances get no animation at all.
+ *
+ * @param {Array<{items, time}>} frames - Items (with transforms) sampled evenly over one loop
+ * @param {Object} params - PARAMS object with settings
+ * @param {number} width - Canvas width
+ * @param {number} height - Canvas height
+ * @param {number} duration - Loop duration in seconds
+ * @returns {string} - SVG string
+ */
+export function generateAnimatedVectorSVG(frames, params, width, height, duration) {
+  const uniqueGlyphs = collectGlyphs(frames.map(f => f.items), params);
+  const cloneCount = getCloneCount(params);
+  const itemCount = frames[0]?.items.length ?? 0;
+  const dur = `${duration.toFixed(3)}s`;
+
+  // Keyframe offsets; the extra 100% stop repeats frame 0 so the loop wraps seamlessly
+  const offsets = frames.map((_, k) => `${+(k / frames.length * 100).toFixed(3)}%`);
+  offsets.push('100%');
+
+  const keyframes = [];
+  const elements = [];
+
+  for (let i = 0; i < itemCount; i++) {
+    // states[frame][clone]
+    const states = frames.map(f => getCloneStates(f.items[i], params, f.time));
+    if (states.some(s => s.length === 0)) continue;
+
+    const { char } = frames[0].items[i];
+
+    for (let c = 0; c < cloneCount; c++) {
+      const track = states.map(s => s[c]);
+      track.push(track[0]);
+
+      // Skip instances that are invisible for the whole loop
+      if (track.every(s => s.opacity <= 0.01)) continue;
+
+      const varies = (key) => track.some(s => s[key] !== track[0][key]);
+      const opacities = track.map(s => (s.opacity <= 0.01 ? 0 : s.opacity).toFixed(3));
+      const animateTransform = varies('cssTransform');
+      const animateFill = varies('fill');
+      const animateOpacity = opacities.some(o => o !== opacities[0]);
+      const id = `g${i}-${c}`;
+
+      let attributes = ` id="${id}" transform="${track[0].transform}" fill="${track[0].fill}" fill-opacity="${opacities[0]}"`;
+
+      if (animateTransform || animateFill || animateOpacity) {
+        const steps = track.map((s, k) => {
+          let props = '';
+          if (animateTransform) props += `transform:${s.cssTransform};`;
+          if (animateFill) props += `fill:${s.fill};`;
+          if (animateOpacity) props += `fill-opacity:${opacities[k]};`;
+          return `${offsets[k]}{${props}}`;
+        });
+        keyframes.push(`    @keyframes k${id}{${steps.join('')}}`);
+        keyframes.push(`    #${id}{animation:k${id} ${dur} linear infinite}`);
       }
 
-      if (hasGlyph) {
-        // Use the defined glyph path
-        const glyphId = getGlyphId(char);
-        svg += `    <use href="#${glyphId}" transform="${transform}" fill="${params.textColor}" fill-opacity="${cloneOpacity.toFixed(3)}"/>\n`;
-      } else {
-        // Fallback to text element (font not loaded for vector)
-        const escapedChar = escapeXML(char);
-        svg += `    <text transform="${transform}" fill="${params.textColor}" fill-opacity="${cloneOpacity.toFixed(3)}" font-size="${params.fontSize}" font-family="${params.font}" text-anchor="middle" dominant-baseline="central">${escapedChar}</text>\n`;
+      let element = getGlyphElement(char, track[0].glyphId, uniqueGlyphs, params, attributes);
+      if (!element) continue;
+
+      // Animated weight: swap glyph outlines (only between loaded outlines)
+      if (element.startsWith('<use') && varies('glyphId') && track.every(s => uniqueGlyphs.get(s.glyphId))) {
+        const values = track.map(s => `#${s.glyphId}`).join(';');
+        const keyTimes = track.map((_, k) => (k / (track.length - 1)).toFixed(4)).join(';');
+        element = element.replace('/>', `><animate attributeName="xlink:href" values="${values}" keyTimes="${keyTimes}" dur="${dur}" calcMode="discrete" repeatCount="indefinite"/></use>`);
       }
+
+      elements.push(`    ${element}\n`);
     }
   }
 
-  svg += `  </g>\n</svg>`;
+  let svg = getSVGHeader(params, width, height, uniqueGlyphs);
+  if (keyframes.length > 0) {
+    svg += `  <style>\n${keyframes.join('\n')}\n  </style>\n`;
+  }
+  svg += `  <g id="characters">\n${elements.join('')}  </g>\n</svg>`;
 
   return svg;
 }
@@ -207,6 +389,8 @@ export function estimateSVGSize(items, params) {
 
 export default {
   generateVectorSVG,
+  generateAnimatedVectorSVG,
+  getVectorInstances,
   isVectorExportReady,
   estimateSVGSize,
 };
@@ -2,11 +2,27 @@
  * Vector Module
  *
  * Exports for vector-based rendering and export:
- * - FontManager: Load fonts for textToPoints
- * - GlyphCache: Cache extracted glyph points
+ * - FontManager: Load font files for glyph outlines
+ * - GlyphCache: Cache extracted glyph outlines
  * - PathExporter: Generate SVG with vector paths
+ * - FontAxes: Variable font axis detection and per-glyph axis rendering
  */
 
 export { fontManager } from './FontManager.js';
 export { glyphCache } from './GlyphCache.js';
-export { generateVectorSVG, estimateSVGSize } from './PathExporter.js';
+export {
+  generateVectorSVG,
+  generateAnimatedVectorSVG,
+  getVectorInstances,
+  estimateSVGSize,
+  getGlyphWeight,
+} from './PathExporter.js';
+export {
+  parseFontAxes,
+  applyCanvasFont,
+  getFontVariationSettings,
+  getAxisTransform,
+  getAxisMatrix,
+  ANIMATABLE_AXES,
+  AXIS_NAMES,
+} from './FontAxes.js';
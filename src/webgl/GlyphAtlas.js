@@ -0,0 +1,167 @@
+/**
+ * GlyphAtlas - Rasterized glyphs packed into one texture
+ *
+ * Each unique glyph is drawn once with Canvas 2D (white on transparent) and
+ * packed into shelf rows of an RGBA atlas; the renderer samples its alpha.
+ *
+ * Key: `${fontName}|${char}|${rasterSize}|${fontWeight}` (like GlyphCache,
+ * with the rasterized pixel size). Animated weights are snapped to 100-steps
+ * (getGlyphWeight) so the atlas holds a handful of weights per glyph; the
+ * wdth/slnt axes are applied as a matrix on the quad, like the vector export.
+ *
+ * Value: { empty, x, y, w, h, u0, v0, u1, v1 } - quad rect in glyph pixels
+ * around the center/middle origin (at rasterScale 1) and its texture coords.
+ * When the atlas is full, get() returns null and the caller resets it.
+ */
+
+import { applyCanvasFont } from '../vector/FontAxes.js';
+
+// Transparent border around every glyph (avoids bleeding with linear filtering)
+const PADDING = 2;
+
+/**
+ * Default 2D canvas factory (OffscreenCanvas where available)
+ */
+const createDefaultCanvas = (width, height) => {
+  if (typeof OffscreenCanvas !== 'undefined') return new OffscreenCanvas(width, height);
+  const canvas = document.createElement('canvas');
+  canvas.width = width;
+  canvas.height = height;
+  return canvas;
+};
+
+export class GlyphAtlas {
+  /**
+   * @param {number} size - Atlas width and height in pixels
+   * @param {Function} createCanvas - (width, height) => canvas with a 2D context
+   */
+  constructor(size = 2048, createCanvas = createDefaultCanvas) {
+    this.size = size;
+    this.createCanvas = createCanvas;
+    this.scratch = createCanvas(1, 1);
+    this.scratchContext = this.scratch.getContext('2d', { willReadFrequently: true });
+    this.entries = new Map();
+    this.pending = []; // { x, y, width, height, pixels } uploads not yet in the texture
+    this.reset();
+  }
+
+  /**
+   * Generate key for a rasterized glyph
+   */
+  getKey(fontName, char, rasterSize, fontWeight) {
+    return `${fontName}|${char}|${rasterSize}|${fontWeight}`;
+  }
+
+  /**
+   * Drop every glyph (the texture is refilled as glyphs are added again)
+   */
+  reset() {
+    this.entries.clear();
+    this.pending = [];
+    this.shelfX = 0;
+    this.shelfY = 0;
+    this.shelfHeight = 0;
+  }
+
+  /**
+   * Get a glyph, rasterizing and packing it on first use
+   *
+   * @param {Object} params - PARAMS object (font family)
+   * @param {string} char - Character (or word) to draw
+   * @param {number} fontSize - Font size in glyph pixels
+   * @param {number} fontWeight - Snapped font weight
+   * @param {number} rasterScale - Texture pixels per glyph pixel
+   * @returns {Object|null} - Atlas entry, or null when the atlas is full
+   */
+  get(params, char, fontSize, fontWeight, rasterScale) {
+    const rasterSize = Math.round(fontSize * rasterScale);
+    const key = this.getKey(params.font, char, rasterSize, fontWeight);
+    const cached = this.entries.get(key);
+    if (cached) return cached;
+
+    const entry = this._rasterize(params, char, rasterSize, fontWeight, rasterSize / fontSize);
+    if (entry) this.entries.set(key, entry);
+    return entry;
+  }
+
+  /**
+   * Take the uploads queued since the last call
+   */
+  takePending() {
+    const pending = this.pending;
+    this.pending = [];
+    return pending;
+  }
+
+  /**
+   * Rasterize a glyph and reserve its atlas rect
+   */
+  _rasterize(params, char, rasterSize, fontWeight, scale) {
+    const ctx = this.scratchContext;
+    const transformed = { fontWeight, axisValue: null };
+
+    applyCanvasFont(ctx, params, transformed, rasterSize);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    const metrics = ctx.measureText(char);
+
+    const left = Math.ceil(metrics.actualBoundingBoxLeft || 0);
+    const right = Math.ceil(metrics.actualBoundingBoxRight || 0);
+    const ascent = Math.ceil(metrics.actualBoundingBoxAscent || 0);
+    const descent = Math.ceil(metrics.actualBoundingBoxDescent || 0);
+
+    // No ink (spaces)
+    if (left + right <= 0 || ascent + descent <= 0) {
+      return { empty: true };
+    }
+
+    const width = left + right + PADDING * 2;
+    const height = ascent + descent + PADDING * 2;
+    const slot = this._allocate(width, height);
+    if (!slot) return null;
+
+    // Resizing resets the context state
+    this.scratch.width = width;
+    this.scratch.height = height;
+    applyCanvasFont(ctx, params, transformed, rasterSize);
+    ctx.textAlign = 'center';
+    ctx.textBaseline = 'middle';
+    ctx.fillStyle = '#ffffff';
+    ctx.fillText(char, PADDING + left, PADDING + ascent);
+
+    const pixels = new Uint8Array(ctx.getImageData(0, 0, width, height).data.buffer);
+    this.pending.push({ x: slot.x, y: slot.y, width, height, pixels });
+
+    return {
+      empty: false,
+      x: -(PADDING + left) / scale,
+      y: -(PADDING + ascent) / scale,
+      w: width / scale,
+      h: height / scale,
+      u0: slot.x / this.size,
+      v0: slot.y / this.size,
+      u1: (slot.x + width) / this.size,
+      v1: (slot.y + height) / this.size,
+    };
+  }
+
+  /**
+   * Reserve a rect with shelf packing (one pixel gap between glyphs)
+   */
+  _allocate(width, height) {
+    if (width + 1 > this.size || height + 1 > this.size) return null;
+
+    // Start a new shelf when the current one is full
+    if (this.shelfX + width + 1 > this.size) {
+      this.shelfY += this.shelfHeight;
+      this.shelfX = 0;
+      this.shelfHeight = 0;
+    }
+    if (this.shelfY + height + 1 > this.size) return null;
+
+    const slot = { x: this.shelfX, y: this.shelfY };
+    this.shelfX += width + 1;
+    this.shelfHeight = Math.max(this.shelfHeight, height + 1);
+    return slot;
+  }
+}
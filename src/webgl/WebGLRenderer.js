@@ -0,0 +1,396 @@
+/**
+ * WebGLRenderer - Instanced glyph-atlas renderer for large grids
+ *
+ * Draws a frame's draw commands (core/commands.js) as one instanced draw
+ * call: a unit quad per glyph instance, with per-instance transform, atlas
+ * rect, color and opacity attributes, sampling a GlyphAtlas texture.
+ * The result is composited onto the target Canvas 2D context, so the
+ * preview and the exporters keep drawing into their usual canvases.
+ *
+ * Only WebGL 1 with ANGLE_instanced_arrays is required (core in WebGL 2),
+ * which software GL (SwiftShader, llvmpipe, headless-gl) provides, so it runs
+ * on CI machines without a GPU. draw() returns false whenever it can't render
+ * a frame and the caller falls back to Canvas 2D. `npm run test:webgl` checks it
+ * against the Canvas 2D path on headless-gl.
+ */
+
+import { parseColor } from '../color/index.js';
+import { getAxisMatrix, getGlyphWeight } from '../vector/index.js';
+import { GlyphAtlas } from './GlyphAtlas.js';
+
+// Floats per instance: matrix (a, b, c, d), translate (e, f), quad rect (x, y, w, h),
+// atlas rect (u0, v0, u1, v1), color (r, g, b, opacity)
+const INSTANCE_FLOATS = 18;
+
+// Largest rasterized glyph size in texture pixels
+const MAX_RASTER_SIZE = 256;
+
+const VERTEX_SHADER = `
+attribute vec2 a_corner;
+attribute vec4 a_matrix;
+attribute vec2 a_translate;
+attribute vec4 a_rect;
+attribute vec4 a_uv;
+attribute vec4 a_color;
+uniform vec2 u_viewport;
+varying vec2 v_uv;
+varying vec4 v_color;
+
+void main() {
+  vec2 local = a_rect.xy + a_corner * a_rect.zw;
+  vec2 world = vec2(
+    a_matrix.x * local.x + a_matrix.z * local.y,
+    a_matrix.y * local.x + a_matrix.w * local.y
+  ) + a_translate;
+  vec2 clip = world / u_viewport * 2.0 - 1.0;
+  gl_Position = vec4(clip.x, -clip.y, 0.0, 1.0);
+  v_uv = mix(a_uv.xy, a_uv.zw, a_corner);
+  v_color = a_color;
+}`;
+
+const FRAGMENT_SHADER = `
+precision mediump float;
+uniform sampler2D u_atlas;
+varying vec2 v_uv;
+varying vec4 v_color;
+
+void main() {
+  float alpha = texture2D(u_atlas, v_uv).a * v_color.a;
+  gl_FragColor = vec4(v_color.rgb * alpha, alpha);
+}`;
+
+// Per-instance attributes: name -> [size, offset in floats]
+const INSTANCE_ATTRIBUTES = {
+  a_matrix: [4, 0],
+  a_translate: [2, 4],
+  a_rect: [4, 6],
+  a_uv: [4, 10],
+  a_color: [4, 14],
+};
+
+/**
+ * Compile and link the glyph program
+ */
+const createProgram = (gl) => {
+  const compile = (type, source) => {
+    const shader = gl.createShader(type);
+    gl.shaderSource(shader, source);
+    gl.compileShader(shader);
+    if (!gl.getShaderParameter(shader, gl.COMPILE_STATUS)) {
+      throw new Error(`WebGLRenderer: Shader compile failed: ${gl.getShaderInfoLog(shader)}`);
+    }
+    return shader;
+  };
+
+  const program = gl.createProgram();
+  gl.attachShader(program, compile(gl.VERTEX_SHADER, VERTEX_SHADER));
+  gl.attachShader(program, compile(gl.FRAGMENT_SHADER, FRAGMENT_SHADER));
+  gl.linkProgram(program);
+  if (!gl.getProgramParameter(program, gl.LINK_STATUS)) {
+    throw new Error(`WebGLRenderer: Program link failed: ${gl.getProgramInfoLog(program)}`);
+  }
+  return program;
+};
+
+export class WebGLRenderer {
+  /**
+   * @param {Object} options - { gl, canvas, createCanvas, atlasSize }
+   *   gl: existing context (e.g. headless-gl in Node); otherwise one is created on
+   *   `canvas` (default: a new OffscreenCanvas or <canvas>).
+   *   createCanvas: 2D canvas factory for glyph rasterization.
+   */
+  constructor(options = {}) {
+    const gl = options.gl || WebGLRenderer._createContext(options.canvas);
+    if (!gl) throw new Error('WebGLRenderer: WebGL is not available');
+    this.gl = gl;
+
+    // Instancing: core in WebGL 2, an extension in WebGL 1
+    if (typeof gl.drawArraysInstanced === 'function') {
+      this.instancing = {
+        divisor: (index, divisor) => gl.vertexAttribDivisor(index, divisor),
+        draw: (mode, first, count, instances) => gl.drawArraysInstanced(mode, first, count, instances),
+      };
+    } else {
+      const ext = gl.getExtension('ANGLE_instanced_arrays');
+      if (!ext) throw new Error('WebGLRenderer: Instanced drawing is not supported');
+      this.instancing = {
+        divisor: (index, divisor) => ext.vertexAttribDivisorANGLE(index, divisor),
+        draw: (mode, first, count, instances) => ext.drawArraysInstancedANGLE(mode, first, count, instances),
+      };
+    }
+
+    const maxTextureSize = gl.getParameter(gl.MAX_TEXTURE_SIZE);
+    this.atlas = new GlyphAtlas(Math.min(options.atlasSize || 2048, maxTextureSize), options.createCanvas);
+
+    this.program = createProgram(gl);
+    this.locations = {
+      corner: gl.getAttribLocation(this.program, 'a_corner'),
+      viewport: gl.getUniformLocation(this.program, 'u_viewport'),
+      atlas: gl.getUniformLocation(this.program, 'u_atlas'),
+    };
+    for (const name of Object.keys(INSTANCE_ATTRIBUTES)) {
+      this.locations[name] = gl.getAttribLocation(this.program, name);
+    }
+
+    // Unit quad (triangle strip)
+    this.cornerBuffer = gl.createBuffer();
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, new Float32Array([0, 0, 1, 0, 0, 1, 1, 1]), gl.STATIC_DRAW);
+
+    this.instanceBuffer = gl.createBuffer();
+    this.instanceData = new Float32Array(0);
+    this.instanceCapacity = 0;
+
+    this.texture = gl.createTexture();
+    this._resetTexture();
+  }
+
+  /**
+   * Whether this environment can create the renderer
+   */
+  static isSupported() {
+    try {
+      const gl = WebGLRenderer._createContext();
+      if (!gl) return false;
+      return typeof gl.drawArraysInstanced === 'function' || !!gl.getExtension('ANGLE_instanced_arrays');
+    } catch {
+      return false;
+    }
+  }
+
+  /**
+   * Create a WebGL 2 (or WebGL 1) context, software GL included
+   */
+  static _createContext(canvas = null) {
+    const target = canvas || (typeof OffscreenCanvas !== 'undefined'
+      ? new OffscreenCanvas(1, 1)
+      : typeof document !== 'undefined' ? document.createElement('canvas') : null);
+    if (!target) return null;
+
+    const attributes = { alpha: true, premultipliedAlpha: true, antialias: false };
+    return target.getContext('webgl2', attributes) || target.getContext('webgl', attributes);
+  }
+
+  /**
+   * Render commands and composite them onto a Canvas 2D context
+   *
+   * @param {CanvasRenderingContext2D} ctx - Target context
+   * @param {Object} commands - From getDrawCommands
+   * @param {Object} params - PARAMS object
+   * @param {Object} viewport - { width, height, scale }
+   * @returns {boolean} - false when the frame could not be rendered (use Canvas 2D)
+   */
+  draw(ctx, commands, params, viewport) {
+    const { gl } = this;
+    if (gl.isContextLost()) return false;
+
+    // Render at the target's backing resolution (devicePixelRatio included)
+    const targetWidth = ctx.canvas?.width || viewport.width;
+    const targetHeight = ctx.canvas?.height || viewport.height;
+    const pixelRatio = targetWidth / viewport.width;
+
+    let count = this._buildInstances(commands.glyphs, params, pixelRatio);
+    if (count < 0) {
+      // Atlas full: start over with only this frame's glyphs
+      this.atlas.reset();
+      this._resetTexture();
+      count = this._buildInstances(commands.glyphs, params, pixelRatio);
+      if (count < 0) return false;
+    }
+    this._uploadPending();
+
+    if (gl.drawingBufferWidth !== targetWidth || gl.drawingBufferHeight !== targetHeight) {
+      if (gl.canvas) {
+        gl.canvas.width = targetWidth;
+        gl.canvas.height = targetHeight;
+      } else {
+        // headless-gl has no canvas, only a resizable drawing buffer
+        const resize = gl.getExtension('STACKGL_resize_drawingbuffer');
+        if (!resize) return false;
+        resize.resize(targetWidth, targetHeight);
+      }
+    }
+    gl.viewport(0, 0, targetWidth, targetHeight);
+
+    // Background (premultiplied)
+    const background = commands.background === null ? null : parseColor(commands.background);
+    if (background) {
+      gl.clearColor(background.r / 255, background.g / 255, background.b / 255, 1);
+    } else {
+      gl.clearColor(0, 0, 0, 0);
+    }
+    gl.clear(gl.COLOR_BUFFER_BIT);
+
+    if (count > 0) this._drawInstances(count, viewport);
+
+    this._composite(ctx, targetWidth, targetHeight);
+    return true;
+  }
+
+  /**
+   * Pixels of the last frame (RGBA, bottom row first) for tests
+   */
+  readPixels(width, height) {
+    const { gl } = this;
+    const pixels = new Uint8Array(width * height * 4);
+    gl.readPixels(0, 0, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    return pixels;
+  }
+
+  /**
+   * Release GL resources
+   */
+  dispose() {
+    const { gl } = this;
+    gl.deleteBuffer(this.cornerBuffer);
+    gl.deleteBuffer(this.instanceBuffer);
+    gl.deleteTexture(this.texture);
+    gl.deleteProgram(this.program);
+    this.atlas.reset();
+  }
+
+  /**
+   * Fill the instance array; returns the instance count, or -1 when the atlas is full
+   */
+  _buildInstances(glyphs, params, pixelRatio) {
+    if (this.instanceCapacity < glyphs.length) {
+      this.instanceCapacity = Math.max(glyphs.length, this.instanceCapacity * 2, 256);
+      this.instanceData = new Float32Array(this.instanceCapacity * INSTANCE_FLOATS);
+    }
+
+    // Rasterize big enough for the largest animated scale (capped)
+    const maxScale = params.scaleEnabled ? Math.max(1, params.scaleMax) : 1;
+    const baseScale = Math.ceil(pixelRatio * maxScale * 2) / 2;
+
+    const data = this.instanceData;
+    let count = 0;
+
+    for (const glyph of glyphs) {
+      const { item } = glyph;
+      const rasterScale = Math.min(baseScale, MAX_RASTER_SIZE / glyph.fontSize);
+      const entry = this.atlas.get(params, glyph.char, glyph.fontSize, getGlyphWeight(item, params), rasterScale);
+      if (!entry) return -1;
+      if (entry.empty) continue;
+
+      // translate · rotate · scale · axis (same as the vector export)
+      const angle = glyph.rotation * Math.PI / 180;
+      const cos = Math.cos(angle) * glyph.scale;
+      const sin = Math.sin(angle) * glyph.scale;
+      const [ma, mb, mc, md] = getAxisMatrix(params, item.transformed);
+      const color = parseColor(glyph.fill) || { r: 255, g: 255, b: 255 };
+
+      const o = count * INSTANCE_FLOATS;
+      data[o] = cos * ma - sin * mb;
+      data[o + 1] = sin * ma + cos * mb;
+      data[o + 2] = cos * mc - sin * md;
+      data[o + 3] = sin * mc + cos * md;
+      data[o + 4] = glyph.x;
+      data[o + 5] = glyph.y;
+      data[o + 6] = entry.x;
+      data[o + 7] = entry.y;
+      data[o + 8] = entry.w;
+      data[o + 9] = entry.h;
+      data[o + 10] = entry.u0;
+      data[o + 11] = entry.v0;
+      data[o + 12] = entry.u1;
+      data[o + 13] = entry.v1;
+      data[o + 14] = color.r / 255;
+      data[o + 15] = color.g / 255;
+      data[o + 16] = color.b / 255;
+      data[o + 17] = Math.min(1, glyph.opacity);
+      count++;
+    }
+
+    return count;
+  }
+
+  /**
+   * Allocate an empty atlas texture
+   */
+  _resetTexture() {
+    const { gl } = this;
+    const { size } = this.atlas;
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.texImage2D(gl.TEXTURE_2D, 0, gl.RGBA, size, size, 0, gl.RGBA, gl.UNSIGNED_BYTE, null);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MIN_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_MAG_FILTER, gl.LINEAR);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_S, gl.CLAMP_TO_EDGE);
+    gl.texParameteri(gl.TEXTURE_2D, gl.TEXTURE_WRAP_T, gl.CLAMP_TO_EDGE);
+  }
+
+  /**
+   * Copy newly rasterized glyphs into the atlas texture
+   */
+  _uploadPending() {
+    const { gl } = this;
+    const pending = this.atlas.takePending();
+    if (pending.length === 0) return;
+
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.pixelStorei(gl.UNPACK_ALIGNMENT, 1);
+    gl.pixelStorei(gl.UNPACK_PREMULTIPLY_ALPHA_WEBGL, false);
+    for (const { x, y, width, height, pixels } of pending) {
+      gl.texSubImage2D(gl.TEXTURE_2D, 0, x, y, width, height, gl.RGBA, gl.UNSIGNED_BYTE, pixels);
+    }
+  }
+
+  /**
+   * One instanced draw call for every glyph
+   */
+  _drawInstances(count, viewport) {
+    const { gl, locations, instancing } = this;
+
+    gl.useProgram(this.program);
+    gl.uniform2f(locations.viewport, viewport.width, viewport.height);
+    gl.activeTexture(gl.TEXTURE0);
+    gl.bindTexture(gl.TEXTURE_2D, this.texture);
+    gl.uniform1i(locations.atlas, 0);
+
+    gl.enable(gl.BLEND);
+    gl.blendFunc(gl.ONE, gl.ONE_MINUS_SRC_ALPHA);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.cornerBuffer);
+    gl.enableVertexAttribArray(locations.corner);
+    gl.vertexAttribPointer(locations.corner, 2, gl.FLOAT, false, 0, 0);
+    instancing.divisor(locations.corner, 0);
+
+    gl.bindBuffer(gl.ARRAY_BUFFER, this.instanceBuffer);
+    gl.bufferData(gl.ARRAY_BUFFER, this.instanceData.subarray(0, count * INSTANCE_FLOATS), gl.DYNAMIC_DRAW);
+
+    const stride = INSTANCE_FLOATS * 4;
+    for (const [name, [size, offset]] of Object.entries(INSTANCE_ATTRIBUTES)) {
+      const location = locations[name];
+      gl.enableVertexAttribArray(location);
+      gl.vertexAttribPointer(location, size, gl.FLOAT, false, stride, offset * 4);
+      instancing.divisor(location, 1);
+    }
+
+    instancing.draw(gl.TRIANGLE_STRIP, 0, 4, count);
+  }
+
+  /**
+   * Copy the rendered frame onto the target context (replacing its pixels)
+   */
+  _composite(ctx, width, height) {
+    const { gl } = this;
+    ctx.save();
+    ctx.setTransform(1, 0, 0, 1, 0, 0);
+    ctx.globalAlpha = 1;
+    ctx.clearRect(0, 0, width, height);
+
+    if (gl.canvas) {
+      ctx.drawImage(gl.canvas, 0, 0, width, height);
+    } else {
+      // No canvas (headless-gl): read back and flip rows into an ImageData
+      const pixels = this.readPixels(width, height);
+      const image = ctx.createImageData(width, height);
+      const rowBytes = width * 4;
+      for (let row = 0; row < height; row++) {
+        image.data.set(pixels.subarray((height - 1 - row) * rowBytes, (height - row) * rowBytes), row * rowBytes);
+      }
+      ctx.putImageData(image, 0, 0);
+    }
+
+    ctx.restore();
+  }
+}
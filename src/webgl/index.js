@@ -0,0 +1,27 @@
+/**
+ * WebGL Module
+ *
+ * Optional GPU renderer for large grids (Canvas 2D stays the fallback):
+ * - GlyphAtlas: each unique glyph rasterized once into a texture atlas
+ * - WebGLRenderer: all glyph instances in one instanced draw call
+ */
+
+import { WebGLRenderer } from './WebGLRenderer.js';
+
+export { GlyphAtlas } from './GlyphAtlas.js';
+export { WebGLRenderer };
+
+/**
+ * Create a WebGL renderer, or null when WebGL or instancing is unavailable
+ *
+ * @param {Object} options - See WebGLRenderer
+ * @returns {WebGLRenderer|null}
+ */
+export const createWebGLRenderer = (options = {}) => {
+  try {
+    return new WebGLRenderer(options);
+  } catch (error) {
+    console.warn(error.message);
+    return null;
+  }
+};
@@ -0,0 +1,166 @@
+/**
+ * LayoutEngine - Transforms and collision physics over typed-array grids
+ *
+ * The computation behind the layout worker, DOM-free so it runs in a worker,
+ * on the main thread or in Node. The grid is kept in typed arrays
+ * (Float32Array x, y and spatial phase; Uint16Array row and column) and each
+ * frame is written into one Float32Array (see frame.js).
+ *
+ * Independent timelines (the preview, an export) use separate channels: each
+ * has its own grid and collision state, since collision responses depend on
+ * the channel's earlier frames.
+ */
+
+import { applyTransforms, getSpatialPhase } from '../transforms/index.js';
+import { CollisionDetector, CollisionResolver } from '../physics/index.js';
+import { parseText, createGrid, getGridKey, getSpatialPhaseKey } from '../core/grid.js';
+import { applyCollisions } from '../core/layout.js';
+import { getFrameLength, writeTransform } from './frame.js';
+
+/**
+ * Pack grid items into typed arrays
+ */
+const createGridBuffers = (items, width, height) => {
+  const count = items.length;
+  const first = items[0] || {};
+
+  const grid = {
+    count,
+    x: new Float32Array(count),
+    y: new Float32Array(count),
+    phase: new Float32Array(count),
+    row: new Uint16Array(count),
+    col: new Uint16Array(count),
+    totalRows: first.totalRows || 0,
+    totalCols: first.totalCols || 0,
+    cellWidth: first.cellWidth || 0,
+    cellHeight: first.cellHeight || 0,
+    canvasWidth: width,
+    canvasHeight: height,
+  };
+
+  items.forEach((item, i) => {
+    grid.x[i] = item.x;
+    grid.y[i] = item.y;
+    grid.row[i] = item.row;
+    grid.col[i] = item.col;
+  });
+
+  return grid;
+};
+
+export class LayoutEngine {
+  constructor() {
+    // Channel name -> { gridKey, phaseKey, grid, bodies, physics }
+    this.channels = new Map();
+
+    // Reused item passed to applyTransforms
+    this.scratch = {};
+  }
+
+  /**
+   * Get (or create) a channel's state
+   */
+  getChannel(name) {
+    let channel = this.channels.get(name);
+    if (!channel) {
+      channel = {
+        gridKey: null,
+        phaseKey: null,
+        grid: null,
+        bodies: [],
+        physics: { collisionDetector: new CollisionDetector(), collisionResolver: new CollisionResolver() },
+      };
+      this.channels.set(name, channel);
+    }
+    return channel;
+  }
+
+  /**
+   * Clear a channel's collision state (start of an export, grid change)
+   */
+  reset(name) {
+    this.getChannel(name).physics.collisionResolver.clear();
+  }
+
+  /**
+   * Lay out one frame
+   *
+   * @param {string} name - Channel name
+   * @param {Object} params - PARAMS object
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} time - Animation time (frames of a channel must come in time order)
+   * @param {ArrayBuffer|null} buffer - Spare buffer to reuse when it has the right size
+   * @returns {{ gridKey: string, count: number, time: number, frame: Float32Array }}
+   */
+  layout(name, params, width, height, time, buffer = null) {
+    const channel = this.getChannel(name);
+    this.updateGrid(channel, params, width, height);
+
+    const { grid, bodies } = channel;
+    const { count } = grid;
+    const scratch = this.scratch;
+
+    Object.assign(scratch, {
+      totalRows: grid.totalRows,
+      totalCols: grid.totalCols,
+      cellWidth: grid.cellWidth,
+      cellHeight: grid.cellHeight,
+      canvasWidth: grid.canvasWidth,
+      canvasHeight: grid.canvasHeight,
+    });
+
+    for (let i = 0; i < count; i++) {
+      scratch.x = grid.x[i];
+      scratch.y = grid.y[i];
+      scratch.row = grid.row[i];
+      scratch.col = grid.col[i];
+      scratch.spatialPhase = grid.phase[i];
+      bodies[i].transformed = applyTransforms(scratch, i, time, params);
+    }
+
+    applyCollisions(bodies, params, width, height, time, channel.physics);
+
+    const length = getFrameLength(count);
+    const frame = buffer && buffer.byteLength === length * 4
+      ? new Float32Array(buffer)
+      : new Float32Array(length);
+
+    for (let i = 0; i < count; i++) {
+      writeTransform(frame, count, i, bodies[i].transformed);
+    }
+
+    return { gridKey: channel.gridKey, count, time, frame };
+  }
+
+  /**
+   * Rebuild the channel's grid (or only its spatial phases) when params change
+   */
+  updateGrid(channel, params, width, height) {
+    const gridKey = getGridKey(params, width, height);
+    const phaseKey = getSpatialPhaseKey(params);
+
+    if (channel.gridKey !== gridKey) {
+      const chars = parseText(params.text, params.textMode);
+      const items = chars.length > 0 ? createGrid(chars, params, width, height) : [];
+
+      channel.grid = createGridBuffers(items, width, height);
+      channel.bodies = items.map(() => ({ transformed: null, collisionOffset: null }));
+      channel.gridKey = gridKey;
+      channel.phaseKey = null;
+      channel.physics.collisionResolver.clear();
+    }
+
+    if (channel.phaseKey !== phaseKey) {
+      const { grid } = channel;
+      const item = { totalRows: grid.totalRows, totalCols: grid.totalCols };
+      for (let i = 0; i < grid.count; i++) {
+        item.row = grid.row[i];
+        item.col = grid.col[i];
+        grid.phase[i] = getSpatialPhase(item, params);
+      }
+      channel.phaseKey = phaseKey;
+    }
+  }
+}
@@ -0,0 +1,166 @@
+/**
+ * LayoutWorker - Main-thread client of the layout worker
+ *
+ * Sends params and a time to the worker and receives the laid-out frame back
+ * as a transferred Float32Array; the main thread keeps grid items only for
+ * their characters and draws. Frame buffers are handed back to the worker
+ * for reuse (recycle), so steady-state frames allocate no new buffers.
+ */
+
+import { parseText, createGrid, getGridKey } from '../core/grid.js';
+import { readTransform } from './frame.js';
+
+/**
+ * Start the module worker (bundled by Vite)
+ */
+const createDefaultWorker = () => new Worker(new URL('./layout.worker.js', import.meta.url), { type: 'module' });
+
+export class LayoutWorker {
+  /**
+   * @param {Worker} worker - Optional worker (default: layout.worker.js)
+   */
+  constructor(worker = createDefaultWorker()) {
+    this.worker = worker;
+    this.nextId = 0;
+    this.pending = new Map(); // id -> { resolve, reject }
+    this.spareBuffers = [];
+    this.failed = false;
+
+    // Main-side grids (for characters) per channel: { key, items }
+    this.grids = new Map();
+
+    this.worker.onmessage = (event) => this.handleMessage(event.data);
+    this.worker.onerror = (event) => {
+      event.preventDefault?.();
+      this.fail(new Error(`Layout worker failed: ${event.message || 'could not start'}`));
+    };
+  }
+
+  /**
+   * Whether this environment can run module workers
+   */
+  static isSupported() {
+    return typeof Worker !== 'undefined';
+  }
+
+  /**
+   * Whether frames can be laid out in the worker (false once it has failed)
+   */
+  canLayout() {
+    return !this.failed;
+  }
+
+  /**
+   * Lay out a frame in the worker
+   *
+   * @param {string} channel - Timeline name ('preview', 'export', ...)
+   * @param {Object} params - PARAMS object
+   * @param {number} width - Canvas width
+   * @param {number} height - Canvas height
+   * @param {number} time - Animation time
+   * @returns {Promise<{ gridKey, count, time, frame: Float32Array }>}
+   */
+  layout(channel, params, width, height, time) {
+    if (this.failed) return Promise.reject(new Error('Layout worker is not available'));
+
+    const id = this.nextId++;
+    const buffer = this.spareBuffers.pop() || null;
+
+    return new Promise((resolve, reject) => {
+      this.pending.set(id, { resolve, reject });
+      this.worker.postMessage(
+        { type: 'layout', id, channel, params: { ...params }, width, height, time, buffer },
+        buffer ? [buffer] : []
+      );
+    });
+  }
+
+  /**
+   * Clear a channel's collision state in the worker
+   */
+  reset(channel) {
+    if (!this.failed) this.worker.postMessage({ type: 'reset', channel });
+  }
+
+  /**
+   * Set `transformed` on grid items from a frame
+   *
+   * @returns {boolean} - false when the frame doesn't match the items
+   */
+  applyFrame(items, result) {
+    const { count, frame } = result;
+    if (items.length !== count) return false;
+
+    for (let i = 0; i < count; i++) {
+      items[i].transformed = readTransform(frame, count, i);
+    }
+    return true;
+  }
+
+  /**
+   * Hand a frame's buffer back for reuse (the frame can't be read afterwards)
+   */
+  recycle(result) {
+    if (this.spareBuffers.length < 4) this.spareBuffers.push(result.frame.buffer);
+  }
+
+  /**
+   * Lay out a frame and return fresh items with `transformed` set
+   * Same result as layoutItems() in core/layout.js (used by the exporters).
+   */
+  async layoutItems(channel, params, width, height, time) {
+    const result = await this.layout(channel, params, width, height, time);
+
+    const key = getGridKey(params, width, height);
+    let grid = this.grids.get(channel);
+    if (!grid || grid.key !== key) {
+      const chars = parseText(params.text, params.textMode);
+      grid = { key, items: chars.length > 0 ? createGrid(chars, params, width, height) : [] };
+      this.grids.set(channel, grid);
+    }
+
+    const items = grid.items.map((item) => ({ ...item }));
+    const applied = this.applyFrame(items, result);
+    this.recycle(result);
+    if (!applied) throw new Error('Layout worker returned a frame for a different grid');
+    return items;
+  }
+
+  /**
+   * Stop the worker (pending layouts are rejected)
+   */
+  terminate() {
+    this.worker.terminate();
+    this.fail(new Error('Layout worker was terminated'));
+  }
+
+  /**
+   * Resolve or reject the request a worker message answers
+   */
+  handleMessage(message) {
+    const request = this.pending.get(message.id);
+    if (!request) return;
+    this.pending.delete(message.id);
+
+    if (message.type === 'error') {
+      request.reject(new Error(message.message));
+      return;
+    }
+
+    request.resolve({
+      gridKey: message.gridKey,
+      count: message.count,
+      time: message.time,
+      frame: new Float32Array(message.buffer),
+    });
+  }
+
+  /**
+   * Mark the worker unusable and reject everything in flight
+   */
+  fail(error) {
+    this.failed = true;
+    for (const { reject } of this.pending.values()) reject(error);
+    this.pending.clear();
+  }
+}
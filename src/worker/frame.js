@@ -0,0 +1,58 @@
+/**
+ * Layout frame buffers
+ * A laid-out frame as one Float32Array, one block of `count` values per
+ * field (x values for every item, then y values, ...), so it can be handed
+ * between threads as a transferable buffer. DOM-free.
+ *
+ * Channels that are null in `transformed` (fontWeight, axisValue, color) are
+ * stored as NaN; colors as 24-bit RGB integers (exact in a float).
+ */
+
+import { hexToRgb, rgbToHex } from '../color/index.js';
+
+export const FRAME_FIELDS = ['x', 'y', 'scale', 'opacity', 'rotation', 'phase', 'fontWeight', 'axisValue', 'color'];
+
+const FIELD = Object.fromEntries(FRAME_FIELDS.map((name, index) => [name, index]));
+
+/**
+ * Float count of a frame with `count` items
+ */
+export const getFrameLength = (count) => count * FRAME_FIELDS.length;
+
+/**
+ * Write one item's transform into a frame
+ */
+export const writeTransform = (frame, count, index, transformed) => {
+  const color = transformed.color ? hexToRgb(transformed.color) : null;
+
+  frame[FIELD.x * count + index] = transformed.x;
+  frame[FIELD.y * count + index] = transformed.y;
+  frame[FIELD.scale * count + index] = transformed.scale;
+  frame[FIELD.opacity * count + index] = transformed.opacity;
+  frame[FIELD.rotation * count + index] = transformed.rotation;
+  frame[FIELD.phase * count + index] = transformed.phase;
+  frame[FIELD.fontWeight * count + index] = transformed.fontWeight ?? NaN;
+  frame[FIELD.axisValue * count + index] = transformed.axisValue ?? NaN;
+  frame[FIELD.color * count + index] = color ? (color.r << 16) | (color.g << 8) | color.b : NaN;
+};
+
+/**
+ * Read one item's transform from a frame (same shape as applyTransforms)
+ */
+export const readTransform = (frame, count, index) => {
+  const value = (field) => frame[FIELD[field] * count + index];
+  const optional = (field) => (Number.isNaN(value(field)) ? null : value(field));
+  const color = optional('color');
+
+  return {
+    x: value('x'),
+    y: value('y'),
+    scale: value('scale'),
+    opacity: value('opacity'),
+    rotation: value('rotation'),
+    color: color === null ? null : rgbToHex((color >> 16) & 255, (color >> 8) & 255, color & 255),
+    fontWeight: optional('fontWeight'),
+    axisValue: optional('axisValue'),
+    phase: value('phase'),
+  };
+};
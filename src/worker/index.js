@@ -0,0 +1,12 @@
+/**
+ * Worker Module
+ *
+ * Per-frame transforms and collision physics off the main thread:
+ * - LayoutEngine: typed-array grid layout (DOM-free, runs in the worker)
+ * - LayoutWorker: main-thread client (preview and video exports)
+ * - frame: layout of the transferable frame buffer
+ */
+
+export { LayoutEngine } from './LayoutEngine.js';
+export { LayoutWorker } from './LayoutWorker.js';
+export { FRAME_FIELDS, getFrameLength, writeTransform, readTransform } from './frame.js';
@@ -0,0 +1,34 @@
+/**
+ * Layout worker
+ * Runs the LayoutEngine off the main thread.
+ *
+ * Messages in:
+ *   { type: 'layout', id, channel, params, width, height, time, buffer? }
+ *   { type: 'reset', channel }
+ * Messages out:
+ *   { type: 'frame', id, gridKey, count, time, buffer } (buffer transferred)
+ *   { type: 'error', id, message }
+ */
+
+import { LayoutEngine } from './LayoutEngine.js';
+
+const engine = new LayoutEngine();
+
+self.onmessage = (event) => {
+  const message = event.data;
+
+  if (message.type === 'reset') {
+    engine.reset(message.channel);
+    return;
+  }
+
+  if (message.type === 'layout') {
+    const { id, channel, params, width, height, time, buffer } = message;
+    try {
+      const { gridKey, count, frame } = engine.layout(channel, params, width, height, time, buffer);
+      self.postMessage({ type: 'frame', id, gridKey, count, time, buffer: frame.buffer }, [frame.buffer]);
+    } catch (error) {
+      self.postMessage({ type: 'error', id, message: error.message });
+    }
+  }
+};
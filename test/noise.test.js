@@ -0,0 +1,25 @@
+/**
+ * Portable Perlin noise: the same field everywhere, smooth in time
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { noise, noiseSeed } from '../src/transforms/noise.js';
+
+test('noise stays in 0-1 and is smooth between nearby samples', () => {
+  for (let t = 0; t < 10; t += 0.01) {
+    const value = noise(3.5, 7.5, t);
+    assert.ok(value >= 0 && value <= 1, `noise(3.5, 7.5, ${t.toFixed(2)}) = ${value}`);
+    assert.ok(Math.abs(noise(3.5, 7.5, t + 0.01) - value) < 0.05, `jump after t = ${t.toFixed(2)}`);
+  }
+});
+
+test('noise is deterministic for a seed', () => {
+  noiseSeed(42);
+  const first = [noise(1, 2, 3), noise(0.5, 100.5, 0.25)];
+  noiseSeed(7);
+  assert.notEqual(noise(1, 2, 3), first[0]);
+  noiseSeed(42);
+  assert.deepEqual([noise(1, 2, 3), noise(0.5, 100.5, 0.25)], first);
+  noiseSeed(0);
+});
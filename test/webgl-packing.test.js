@@ -0,0 +1,168 @@
+/**
+ * WebGL renderer packing (no GL context needed)
+ *
+ * GlyphAtlas shelf layout and the per-instance buffer the renderer uploads,
+ * checked with a stand-in 2D canvas that reports fixed glyph metrics.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PARAMS } from '../src/config.js';
+import { GlyphAtlas, WebGLRenderer } from '../src/webgl/index.js';
+
+const INSTANCE_FLOATS = 18;
+
+/**
+ * 2D canvas stand-in: every character is 0.3em either side of its center,
+ * 0.8em above and 0.2em below the middle; spaces have no ink
+ */
+const createFakeCanvas = (width, height) => {
+  const canvas = { width, height };
+  const ctx = {
+    canvas,
+    font: '',
+    measureText(text) {
+      const size = parseFloat(ctx.font.match(/([\d.]+)px/)[1]);
+      const ink = text.trim() ? size : 0;
+      return {
+        actualBoundingBoxLeft: ink * 0.3 * text.length,
+        actualBoundingBoxRight: ink * 0.3 * text.length,
+        actualBoundingBoxAscent: ink * 0.8,
+        actualBoundingBoxDescent: ink * 0.2,
+      };
+    },
+    fillText() {},
+    getImageData: (x, y, w, h) => ({ data: new Uint8ClampedArray(w * h * 4) }),
+  };
+  canvas.getContext = () => ctx;
+  return canvas;
+};
+
+const params = { ...PARAMS, font: 'Test', fontWeight: 400, weightEnabled: false, axisEnabled: false, scaleEnabled: false };
+
+// Texture rect of an entry in atlas pixels
+const toPixels = (entry, size) => ({
+  x: Math.round(entry.u0 * size),
+  y: Math.round(entry.v0 * size),
+  w: Math.round((entry.u1 - entry.u0) * size),
+  h: Math.round((entry.v1 - entry.v0) * size),
+});
+
+test('GlyphAtlas packs glyphs on shelves without overlap', () => {
+  const size = 128;
+  const atlas = new GlyphAtlas(size, createFakeCanvas);
+
+  // 20px glyphs: 6px either side + 2px padding = 16 wide, 16 + 4 padding = 24 high
+  const chars = 'ABCDEFGHIJKL'.split('');
+  const rects = chars.map(char => toPixels(atlas.get(params, char, 20, 400, 1), size));
+
+  rects.forEach((rect) => {
+    assert.deepEqual([rect.w, rect.h], [16, 24]);
+    assert.ok(rect.x >= 0 && rect.y >= 0 && rect.x + rect.w <= size && rect.y + rect.h <= size);
+  });
+  for (let i = 0; i < rects.length; i++) {
+    for (let j = i + 1; j < rects.length; j++) {
+      const a = rects[i];
+      const b = rects[j];
+      const overlaps = a.x < b.x + b.w && b.x < a.x + a.w && a.y < b.y + b.h && b.y < a.y + a.h;
+      assert.ok(!overlaps, `${chars[i]} and ${chars[j]} overlap`);
+    }
+  }
+
+  // 7 glyphs (17px each with the gap) fit on a 128px shelf; the 8th starts the next one
+  assert.deepEqual(rects.slice(0, 8).map(r => [r.x, r.y]), [
+    [0, 0], [17, 0], [34, 0], [51, 0], [68, 0], [85, 0], [102, 0], [0, 25],
+  ]);
+
+  // Every new glyph is queued for upload once; repeats come from the cache
+  assert.equal(atlas.get(params, 'A', 20, 400, 1), atlas.get(params, 'A', 20, 400, 1));
+  const pending = atlas.takePending();
+  assert.equal(pending.length, chars.length);
+  assert.deepEqual(pending.map(p => [p.x, p.y, p.width, p.height]), rects.map(r => [r.x, r.y, r.w, r.h]));
+  assert.equal(pending[0].pixels.length, 16 * 24 * 4);
+  assert.equal(atlas.takePending().length, 0);
+});
+
+test('GlyphAtlas quads sit around the glyph origin in glyph pixels', () => {
+  const atlas = new GlyphAtlas(256, createFakeCanvas);
+
+  // Rasterized at 2x: 40px raster, quad still measured in 20px glyph units
+  const entry = atlas.get(params, 'A', 20, 400, 2);
+  assert.deepEqual([entry.x, entry.y, entry.w, entry.h], [-7, -17, 14, 22]);
+
+  assert.deepEqual(atlas.get(params, ' ', 20, 400, 1), { empty: true });
+});
+
+test('GlyphAtlas reports a full atlas and packs again after reset', () => {
+  const atlas = new GlyphAtlas(64, createFakeCanvas);
+  let entry;
+  let packed = 0;
+  for (const char of 'ABCDEFGHIJKLMNOPQRSTUVWXYZ') {
+    entry = atlas.get(params, char, 20, 400, 1);
+    if (!entry) break;
+    packed++;
+  }
+  assert.equal(entry, null);
+  assert.equal(packed, 6); // 3 per shelf, 2 shelves of 25px
+
+  atlas.reset();
+  assert.ok(atlas.get(params, 'Z', 20, 400, 1));
+});
+
+/**
+ * Run the renderer's instance packing on a stand-in renderer (no GL context)
+ */
+const buildInstances = (atlas, glyphs, glyphParams = params) => {
+  const renderer = { atlas, instanceCapacity: 0, instanceData: new Float32Array(0) };
+  const count = WebGLRenderer.prototype._buildInstances.call(renderer, glyphs, glyphParams, 1);
+  return { count, data: renderer.instanceData };
+};
+
+const glyph = (char, overrides = {}) => ({
+  item: { transformed: {} },
+  char,
+  x: 100,
+  y: 50,
+  rotation: 0,
+  scale: 1,
+  opacity: 1,
+  fill: '#ffffff',
+  fontSize: 20,
+  ...overrides,
+});
+
+test('instance buffer holds matrix, position, quad, atlas rect and color per glyph', () => {
+  const atlas = new GlyphAtlas(256, createFakeCanvas);
+  const { count, data } = buildInstances(atlas, [
+    glyph('A', { rotation: 90, scale: 2, fill: '#ff0000', opacity: 0.5 }),
+    glyph(' '),
+    glyph('B', { x: 10, y: 20, opacity: 3 }),
+  ]);
+
+  // Spaces have no ink and get no instance
+  assert.equal(count, 2);
+
+  const first = Array.from(data.subarray(0, INSTANCE_FLOATS));
+  const entry = atlas.get(params, 'A', 20, 400, 1);
+  const expected = [0, 2, -2, 0, 100, 50, entry.x, entry.y, entry.w, entry.h, entry.u0, entry.v0, entry.u1, entry.v1, 1, 0, 0, 0.5];
+  first.forEach((value, i) => assert.ok(Math.abs(value - expected[i]) < 1e-6, `float ${i}: ${value} ≠ ${expected[i]}`));
+
+  // Opacity is capped at 1, identity matrix without rotation
+  const second = Array.from(data.subarray(INSTANCE_FLOATS, INSTANCE_FLOATS * 2));
+  assert.deepEqual(second.slice(0, 6), [1, 0, 0, 1, 10, 20]);
+  assert.equal(second[17], 1);
+});
+
+test('instance buffer folds the wdth axis into the glyph matrix', () => {
+  const atlas = new GlyphAtlas(256, createFakeCanvas);
+  const axisParams = { ...params, axisTag: 'wdth' };
+  const { count, data } = buildInstances(atlas, [glyph('A', { item: { transformed: { axisValue: 50 } } })], axisParams);
+
+  assert.equal(count, 1);
+  assert.deepEqual(Array.from(data.subarray(0, 4)), [0.5, 0, 0, 1]);
+});
+
+test('instance packing reports a full atlas', () => {
+  const atlas = new GlyphAtlas(16, createFakeCanvas);
+  assert.equal(buildInstances(atlas, [glyph('A')]).count, -1);
+});
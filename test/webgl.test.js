@@ -0,0 +1,107 @@
+/**
+ * WebGL renderer smoke test (headless, software GL)
+ *
+ * Renders one known frame through createWebGLRenderer on a headless-gl
+ * context and compares readPixels() against the Canvas 2D path. Glyphs go
+ * through the atlas (resampled), so the frames are compared with a tolerance
+ * rather than pixel for pixel.
+ *
+ * Needs the optional "gl" and "@napi-rs/canvas" packages; skipped without them.
+ */
+
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { PARAMS } from '../src/config.js';
+import { CollisionDetector, CollisionResolver } from '../src/physics/index.js';
+import { layoutItems, getDrawCommands, drawCommands } from '../src/core/index.js';
+import { createWebGLRenderer } from '../src/webgl/index.js';
+
+const WIDTH = 320;
+const HEIGHT = 320;
+const TIME = 40;
+
+const loadOptional = async (name) => {
+  try {
+    return await import(name);
+  } catch {
+    return null;
+  }
+};
+
+const glModule = await loadOptional('gl');
+const canvasModule = await loadOptional('@napi-rs/canvas');
+const skip = !glModule ? 'needs "gl" (headless WebGL)' : !canvasModule ? 'needs "@napi-rs/canvas"' : false;
+
+/**
+ * Lay out a fixed frame: rotation, scale and color channels on, no physics
+ */
+const getKnownFrame = () => {
+  const params = {
+    ...PARAMS,
+    text: 'WAVE',
+    fontSize: 48,
+    scaleEnabled: true,
+    rotationEnabled: true,
+    colorEnabled: true,
+    collisionEnabled: false,
+    backgroundTransparent: false,
+  };
+  const physics = { collisionDetector: new CollisionDetector(), collisionResolver: new CollisionResolver() };
+  const items = layoutItems(params, WIDTH, HEIGHT, TIME, physics);
+  const viewport = { width: WIDTH, height: HEIGHT, scale: 1 };
+  return { params, viewport, commands: getDrawCommands({ params, items }, TIME, viewport) };
+};
+
+// Fraction of pixels brighter than the (dark) background
+const getCoverage = (pixels) => {
+  let lit = 0;
+  for (let i = 0; i < pixels.length; i += 4) {
+    if (pixels[i] + pixels[i + 1] + pixels[i + 2] > 3 * 96) lit++;
+  }
+  return lit / (pixels.length / 4);
+};
+
+test('WebGL renderer matches the Canvas 2D path', { skip }, () => {
+  const { createCanvas } = canvasModule;
+  const { params, viewport, commands } = getKnownFrame();
+  assert.ok(commands.glyphs.length > 0, 'known frame has glyphs');
+
+  // Canvas 2D reference
+  const reference = createCanvas(WIDTH, HEIGHT).getContext('2d');
+  drawCommands(reference, commands, params, viewport);
+  const expected = reference.getImageData(0, 0, WIDTH, HEIGHT).data;
+
+  // WebGL on software GL
+  const gl = glModule.default(WIDTH, HEIGHT, { alpha: true, premultipliedAlpha: true, antialias: false });
+  assert.ok(gl, 'headless-gl context');
+  const renderer = createWebGLRenderer({ gl, createCanvas });
+  assert.ok(renderer, 'createWebGLRenderer returns a renderer');
+
+  const target = createCanvas(WIDTH, HEIGHT).getContext('2d');
+  assert.equal(renderer.draw(target, commands, params, viewport), true, 'draw() renders the frame');
+
+  // readPixels is bottom row first: flip into canvas order
+  const raw = renderer.readPixels(WIDTH, HEIGHT);
+  const actual = new Uint8Array(raw.length);
+  const rowBytes = WIDTH * 4;
+  for (let row = 0; row < HEIGHT; row++) {
+    actual.set(raw.subarray((HEIGHT - 1 - row) * rowBytes, (HEIGHT - row) * rowBytes), row * rowBytes);
+  }
+  renderer.dispose();
+
+  // Same background, glyphs in the same places
+  assert.deepEqual([...actual.subarray(0, 4)], [...expected.subarray(0, 4)], 'background color');
+
+  let difference = 0;
+  for (let i = 0; i < actual.length; i++) difference += Math.abs(actual[i] - expected[i]);
+  const meanDifference = difference / actual.length;
+  assert.ok(meanDifference < 8, `mean channel difference ${meanDifference.toFixed(2)} < 8`);
+
+  const expectedCoverage = getCoverage(expected);
+  const actualCoverage = getCoverage(actual);
+  assert.ok(expectedCoverage > 0.005, 'reference frame has visible glyphs');
+  assert.ok(
+    Math.abs(actualCoverage - expectedCoverage) < expectedCoverage * 0.25,
+    `glyph coverage ${actualCoverage.toFixed(4)} within 25% of ${expectedCoverage.toFixed(4)}`
+  );
+});